@@ -0,0 +1,87 @@
+// browser-profiles.js - Persistent browser profiles, one per provider
+//
+// Every provider scrapes in its own Chromium profile: a user-data directory
+// that keeps the site's cookies, local storage and cache between searches and
+// restarts, so a site sees a returning visitor rather than a fresh browser.
+// Cookies are also written to a JSON jar after every scrape, because Chromium
+// only flushes its cookie database now and then and a crash would lose
+// anything newer. Small bits of our own state, like when a cookie banner
+// was last accepted, are kept next to them.
+//
+// browser_profiles/<profile>/chrome        - Chromium user-data directory
+// browser_profiles/<profile>/cookies.json  - cookie jar
+// browser_profiles/<profile>/state.json    - our own state for the profile
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILE_DIR = process.env.BROWSER_PROFILE_DIR || path.join(__dirname, 'browser_profiles');
+
+// Cookie fields Puppeteer's setCookie accepts back
+const COOKIE_FIELDS = ['name', 'value', 'domain', 'path', 'expires', 'httpOnly', 'secure', 'sameSite'];
+
+function readJson(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+        return fallback;
+    }
+}
+
+// Write through a temporary file so a crash never leaves half a file behind
+function writeJson(file, value) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(value, null, 2));
+    fs.renameSync(temp, file);
+}
+
+// Profile store under dir. Nothing is written until a profile is used.
+function createProfileStore({ dir = PROFILE_DIR } = {}) {
+    const profilePath = (profile, ...parts) => {
+        if (!/^[a-z0-9_-]+$/i.test(String(profile))) {
+            throw new Error(`Invalid browser profile name: ${profile}`);
+        }
+        return path.join(dir, profile, ...parts);
+    };
+
+    return {
+        userDataDir: profile => profilePath(profile, 'chrome'),
+
+        // Saved cookies that haven't expired (expires is in seconds; -1 for session cookies)
+        loadCookies(profile) {
+            const now = Date.now() / 1000;
+            const cookies = readJson(profilePath(profile, 'cookies.json'), []);
+            return Array.isArray(cookies) ? cookies.filter(cookie => !(cookie.expires > 0 && cookie.expires < now)) : [];
+        },
+
+        saveCookies(profile, cookies) {
+            const saved = cookies.map(cookie => Object.fromEntries(
+                COOKIE_FIELDS.filter(field => cookie[field] !== undefined).map(field => [field, cookie[field]])
+            ));
+            writeJson(profilePath(profile, 'cookies.json'), saved);
+        },
+
+        getState: profile => readJson(profilePath(profile, 'state.json'), {}),
+
+        // Merge changes into the profile's state and return the result
+        updateState(profile, changes) {
+            const file = profilePath(profile, 'state.json');
+            const state = { ...readJson(file, {}), ...changes };
+            writeJson(file, state);
+            return state;
+        }
+    };
+}
+
+const store = createProfileStore();
+
+module.exports = {
+    PROFILE_DIR,
+    createProfileStore,
+    userDataDir: store.userDataDir,
+    loadCookies: store.loadCookies,
+    saveCookies: store.saveCookies,
+    getState: store.getState,
+    updateState: store.updateState
+};
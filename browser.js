@@ -0,0 +1,308 @@
+// browser.js - Puppeteer browsers and the pool of pages providers scrape with
+//
+// Providers borrow a page with acquirePage(profile) and must hand it back with
+// releasePage(). Each provider passes its own id as the profile and gets pages
+// from a browser running in that profile's user-data directory, so cookies,
+// consent and challenge clearances survive between searches and restarts
+// (see browser-profiles.js). A profile's browser starts on first use and is
+// closed again after BROWSER_IDLE_MS without a scrape.
+//
+// At most MAX_PAGES pages are out at once across all profiles; later requests
+// wait in a first-come, first-served queue and fail with a TIMEOUT error if no
+// page frees up in time. Each new page is set up once (viewport, user agent,
+// headers); returned pages are reset and reused, and replaced after
+// MAX_PAGE_USES scrapes so leaked memory can't build up. If Chromium crashes or
+// disconnects, a new browser is launched for that profile.
+
+const puppeteer = require('puppeteer');
+const browserProfiles = require('./browser-profiles');
+
+const MAX_PAGES = 4; // Pages scraping at once, across every provider and request
+const QUEUE_TIMEOUT_MS = 30000; // Longest a scrape waits for a free page
+const MAX_PAGE_USES = 20; // Scrapes a page serves before it is replaced
+const RELAUNCH_DELAY_MS = 1000; // Pause before relaunching a crashed browser
+const BROWSER_IDLE_MS = 5 * 60 * 1000; // A profile's browser is closed after this long without a scrape
+const DEFAULT_PROFILE = 'default';
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const LAUNCH_OPTIONS = {
+    headless: 'new',
+    args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-blink-features=AutomationControlled',
+        '--disable-features=IsolateOrigins,site-per-process'
+    ]
+};
+
+// Make a new page look like a desktop browser. Runs once per page rather than
+// per scrape: settings stay on a reused page, and evaluateOnNewDocument
+// scripts would pile up.
+async function setupPage(page) {
+    await page.setViewport({ width: 1920, height: 1080 });
+    await page.setUserAgent(USER_AGENT);
+    await page.setExtraHTTPHeaders({
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+    });
+    // Hide the webdriver property
+    await page.evaluateOnNewDocument(() => {
+        Object.defineProperty(navigator, 'webdriver', {
+            get: () => false,
+        });
+    });
+}
+
+// A page pool over browsers started by launch(profile), one per profile.
+// profiles, if given, keeps each profile's cookie jar (see browser-profiles.js):
+// cookies are restored into a newly launched browser and saved whenever a
+// page is given back. setup(page) runs once on each page the pool opens.
+// Options override the limits above.
+function createPagePool({
+    launch,
+    profiles = null,
+    setup = null,
+    maxPages = MAX_PAGES,
+    queueTimeoutMs = QUEUE_TIMEOUT_MS,
+    maxPageUses = MAX_PAGE_USES,
+    relaunchDelayMs = RELAUNCH_DELAY_MS,
+    browserIdleMs = BROWSER_IDLE_MS
+}) {
+    // Profile -> its browser, the launch in progress (shared by everyone who
+    // asks for the browser meanwhile), idle pages and pages handed out
+    const sessions = new Map();
+    let launches = 0;
+    let queueTimeouts = 0;
+    // Pages handed out across all profiles, including ones still being opened
+    let checkedOut = 0;
+    const queue = [];
+    const uses = new WeakMap();
+    const pageProfiles = new WeakMap();
+
+    const sessionFor = (profile) => {
+        if (!sessions.has(profile)) {
+            sessions.set(profile, {
+                browser: null,
+                launching: null,
+                closing: false,
+                launches: 0,
+                active: 0,
+                idle: [],
+                idleTimer: null
+            });
+        }
+        return sessions.get(profile);
+    };
+
+    const restoreCookies = async (profile, browser) => {
+        try {
+            const cookies = profiles.loadCookies(profile);
+            if (cookies.length > 0) await browser.setCookie(...cookies);
+        } catch (error) {
+            console.error(`Could not restore cookies for ${profile}:`, error.message);
+        }
+    };
+
+    const saveCookies = async (profile, browser) => {
+        try {
+            profiles.saveCookies(profile, await browser.cookies());
+        } catch (error) {
+            console.error(`Could not save cookies for ${profile}:`, error.message);
+        }
+    };
+
+    // Close a profile's browser once nothing has used it for browserIdleMs
+    const scheduleIdleClose = (profile, session) => {
+        clearTimeout(session.idleTimer);
+        session.idleTimer = setTimeout(() => {
+            if (session.active > 0 || !session.browser) return;
+            console.log(`Closing idle browser for ${profile}`);
+            closeSession(session).catch(error => console.error('Could not close idle browser:', error.message));
+        }, browserIdleMs);
+        session.idleTimer.unref();
+    };
+
+    const launchBrowser = async (profile, session) => {
+        console.log(session.launches > 0
+            ? `Relaunching Puppeteer browser for ${profile}...`
+            : `Launching Puppeteer browser for ${profile}...`);
+        const launched = await launch(profile);
+        launches += 1;
+        session.launches += 1;
+
+        launched.on('disconnected', () => {
+            if (session.browser !== launched) return;
+            session.browser = null;
+            session.idle.length = 0;
+            if (session.closing) return;
+            console.error(`Browser for ${profile} disconnected, relaunching...`);
+            setTimeout(() => {
+                initBrowser(profile).catch(error => console.error('Browser relaunch failed:', error.message));
+            }, relaunchDelayMs).unref();
+        });
+
+        if (profiles) await restoreCookies(profile, launched);
+        session.browser = launched;
+        if (session.active === 0) scheduleIdleClose(profile, session);
+        console.log('Browser launched successfully');
+        return launched;
+    };
+
+    // The browser for a profile, launching it if it isn't running
+    async function initBrowser(profile = DEFAULT_PROFILE) {
+        const session = sessionFor(profile);
+        if (session.browser) return session.browser;
+        session.closing = false;
+        if (!session.launching) {
+            session.launching = launchBrowser(profile, session).finally(() => {
+                session.launching = null;
+            });
+        }
+        return session.launching;
+    }
+
+    async function closeSession(session) {
+        clearTimeout(session.idleTimer);
+        if (!session.browser) return;
+        session.closing = true;
+        const closed = session.browser;
+        session.browser = null;
+        session.idle.length = 0;
+        await closed.close();
+    }
+
+    // Wait in line for a page slot; freeSlot hands it over directly
+    const waitForSlot = () => new Promise((resolve, reject) => {
+        const waiter = { resolve, queuedAt: Date.now() };
+        waiter.timer = setTimeout(() => {
+            queue.splice(queue.indexOf(waiter), 1);
+            queueTimeouts += 1;
+            const error = new Error(`Browser busy: no page free after ${queueTimeoutMs / 1000}s`);
+            error.code = 'TIMEOUT';
+            reject(error);
+        }, queueTimeoutMs);
+        queue.push(waiter);
+    });
+
+    const freeSlot = () => {
+        const next = queue.shift();
+        if (next) {
+            clearTimeout(next.timer);
+            next.resolve();
+        } else {
+            checkedOut -= 1;
+        }
+    };
+
+    // An idle page from the profile's current browser, or a new one
+    const takePage = async (profile, session) => {
+        const current = await initBrowser(profile);
+        while (session.idle.length > 0) {
+            const page = session.idle.pop();
+            if (!page.isClosed() && page.browser() === current) return page;
+        }
+        const page = await current.newPage();
+        if (setup) {
+            try {
+                await setup(page);
+            } catch (error) {
+                await page.close().catch(() => {});
+                throw error;
+            }
+        }
+        uses.set(page, 0);
+        pageProfiles.set(page, profile);
+        return page;
+    };
+
+    // A page in the given profile's browser (see browser-profiles.js)
+    async function acquirePage(profile = DEFAULT_PROFILE) {
+        if (checkedOut < maxPages) {
+            checkedOut += 1;
+        } else {
+            await waitForSlot();
+        }
+
+        const session = sessionFor(profile);
+        session.active += 1;
+        clearTimeout(session.idleTimer);
+        try {
+            return await takePage(profile, session);
+        } catch (error) {
+            session.active -= 1;
+            freeSlot();
+            throw error;
+        }
+    }
+
+    // Give a page back. Never throws; a page that can't be reset is closed.
+    async function releasePage(page) {
+        const profile = pageProfiles.get(page) || DEFAULT_PROFILE;
+        const session = sessionFor(profile);
+        try {
+            const count = (uses.get(page) || 0) + 1;
+            uses.set(page, count);
+            const current = !page.isClosed() && page.browser() === session.browser;
+            if (current && profiles) await saveCookies(profile, session.browser);
+
+            if (current && count < maxPageUses) {
+                await page.goto('about:blank');
+                session.idle.push(page);
+            } else if (!page.isClosed()) {
+                await page.close();
+            }
+        } catch (error) {
+            console.error('Could not reset browser page, closing it:', error.message);
+            await page.close().catch(() => {});
+        } finally {
+            session.active -= 1;
+            if (session.active === 0 && session.browser) scheduleIdleClose(profile, session);
+            freeSlot();
+        }
+    }
+
+    async function closeBrowser() {
+        const running = Array.from(sessions.values()).filter(session => session.browser);
+        await Promise.all(Array.from(sessions.values()).map(closeSession));
+        if (running.length > 0) console.log('Browser closed');
+    }
+
+    const runningProfiles = () => Array.from(sessions.keys()).filter(profile => sessions.get(profile).browser);
+
+    return {
+        initBrowser,
+        acquirePage,
+        releasePage,
+        closeBrowser,
+        isBrowserRunning: () => runningProfiles().length > 0,
+        stats: () => ({
+            browserRunning: runningProfiles().length > 0,
+            // Profiles with a browser open
+            browsers: runningProfiles(),
+            launches,
+            maxPages,
+            activePages: checkedOut,
+            idlePages: Array.from(sessions.values()).reduce((sum, session) => sum + session.idle.length, 0),
+            queued: queue.length,
+            oldestQueuedMs: queue.length > 0 ? Date.now() - queue[0].queuedAt : 0,
+            queueTimeouts
+        })
+    };
+}
+
+const pool = createPagePool({
+    launch: profile => puppeteer.launch({ ...LAUNCH_OPTIONS, userDataDir: browserProfiles.userDataDir(profile) }),
+    profiles: browserProfiles,
+    setup: setupPage
+});
+
+module.exports = {
+    createPagePool,
+    initBrowser: pool.initBrowser,
+    acquirePage: pool.acquirePage,
+    releasePage: pool.releasePage,
+    closeBrowser: pool.closeBrowser,
+    isBrowserRunning: pool.isBrowserRunning,
+    getPoolStats: pool.stats
+};
@@ -1,5 +1,64 @@
-import React, { useState, useRef } from 'react';
-import { Search, Loader2, ChevronLeft, ChevronRight } from 'lucide-react';
+import React, { useState, useRef, useEffect } from 'react';
+import { Loader2, ChevronLeft, ChevronRight, CheckCircle2, XCircle, Clock, Database, Bell, RefreshCw, WifiOff } from 'lucide-react';
+import ModelCard from './ModelCard.jsx';
+import ModelDrawer from './ModelDrawer.jsx';
+import CollectionsPage from './CollectionsPage.jsx';
+import SavedSearchesPage from './SavedSearchesPage.jsx';
+import CachePage from './CachePage.jsx';
+import SearchInput from './SearchInput.jsx';
+import FilterBar from './FilterBar.jsx';
+import { formatAge } from './format.js';
+
+// Results requested per platform per page
+const PAGE_SIZE = 10;
+
+// Tailwind only generates classes it can see literally, so each palette a
+// provider may declare needs its full class names spelled out here
+const COLOR_CLASSES = {
+  orange: { badge: 'bg-orange-100 text-orange-800', text: 'text-orange-600' },
+  blue: { badge: 'bg-blue-100 text-blue-800', text: 'text-blue-600' },
+  green: { badge: 'bg-green-100 text-green-800', text: 'text-green-600' },
+  red: { badge: 'bg-red-100 text-red-800', text: 'text-red-600' },
+  purple: { badge: 'bg-purple-100 text-purple-800', text: 'text-purple-600' },
+  pink: { badge: 'bg-pink-100 text-pink-800', text: 'text-pink-600' },
+  teal: { badge: 'bg-teal-100 text-teal-800', text: 'text-teal-600' },
+  yellow: { badge: 'bg-yellow-100 text-yellow-800', text: 'text-yellow-600' },
+  indigo: { badge: 'bg-indigo-100 text-indigo-800', text: 'text-indigo-600' },
+  gray: { badge: 'bg-gray-100 text-gray-800', text: 'text-gray-600' }
+};
+
+const DEFAULT_FILTERS = {
+  sort: 'default',
+  view: 'grouped',
+  minLikes: '',
+  minDownloads: '',
+  author: '',
+  // Merge the same model listed on several platforms: title, hash (also compare thumbnails) or off
+  dedupe: 'title',
+  // Uses the license must allow: '', 'commercial', 'remix' or 'commercial,remix'
+  license: '',
+  // Empty means every platform
+  sources: []
+};
+
+// Query string for the sort/filter options the server understands
+const filterParams = (filters) => {
+  const params = new URLSearchParams();
+  if (filters.sort !== 'default') params.set('sort', filters.sort);
+  if (filters.minLikes) params.set('minLikes', filters.minLikes);
+  if (filters.minDownloads) params.set('minDownloads', filters.minDownloads);
+  if (filters.author.trim()) params.set('author', filters.author.trim());
+  if (filters.sources.length > 0) params.set('sources', filters.sources.join(','));
+  if (filters.dedupe !== 'title') params.set('dedupe', filters.dedupe);
+  if (filters.license) params.set('license', filters.license);
+  return params.toString();
+};
+
+// How often the saved searches list (and its unread badge) is refreshed
+const SAVED_SEARCH_POLL_MS = 60000;
+
+// Stream statuses after which a platform has nothing more to report
+const FINISHED_STATUSES = ['cached', 'done', 'failed', 'timeout'];
 
 export default function ModelSearchApp() {
   const [query, setQuery] = useState('');
@@ -7,55 +66,283 @@ export default function ModelSearchApp() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [stats, setStats] = useState(null);
+  const [providers, setProviders] = useState([]);
+  const [searchedQuery, setSearchedQuery] = useState('');
+  const [paging, setPaging] = useState({});
+  // Bumped on every new search so late "load more" responses from an older search are dropped
+  const searchIdRef = useRef(0);
+  const eventSourceRef = useRef(null);
+  // Per-platform status from the stream: pending, started, cached, done, failed or timeout
+  const [progress, setProgress] = useState({});
+  // Why each platform returned what it did, and how current it is: { status, message, freshness } keyed by source
+  const [providerStatus, setProviderStatus] = useState({});
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  // Search the server's index of models fetched so far instead of the sites
+  const [offline, setOffline] = useState(false);
+  // Result whose detail drawer is open
+  const [openResult, setOpenResult] = useState(null);
+  const [page, setPage] = useState('search');
+  const [collections, setCollections] = useState([]);
+  // Starred results: Favorites item id keyed by result id
+  const [favoriteItems, setFavoriteItems] = useState({});
+  const [savedSearches, setSavedSearches] = useState([]);
+
+  // Load the provider registry once so names and colors come from the server
+  useEffect(() => {
+    fetch('/api/providers')
+      .then((res) => (res.ok ? res.json() : { providers: [] }))
+      .then((data) => setProviders(data.providers))
+      .catch((err) => console.error('Failed to load providers:', err));
+  }, []);
+
+  const favoritesCollection = collections.find((collection) => collection.favorites);
+
+  // Collection list with item counts, plus which results are starred
+  const loadCollections = async () => {
+    try {
+      const res = await fetch('/api/collections');
+      if (!res.ok) throw new Error('Failed to load collections');
+      const data = await res.json();
+      setCollections(data.collections);
+
+      const favorites = data.collections.find((collection) => collection.favorites);
+      if (!favorites) return;
+      const itemsRes = await fetch(`/api/collections/${favorites.id}/items`);
+      if (!itemsRes.ok) throw new Error('Failed to load favorites');
+      const { items } = await itemsRes.json();
+      setFavoriteItems(Object.fromEntries(items.map((item) => [item.resultId, item.id])));
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  useEffect(() => {
+    loadCollections();
+  }, []);
+
+  const toggleFavorite = async (result) => {
+    if (!favoritesCollection) return;
+    const itemId = favoriteItems[result.id];
 
-  const handleSearch = async () => {
-    if (!query.trim()) return;
+    try {
+      const res = itemId
+        ? await fetch(`/api/collections/${favoritesCollection.id}/items/${itemId}`, { method: 'DELETE' })
+        : await fetch(`/api/collections/${favoritesCollection.id}/items`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ result })
+          });
+      if (!res.ok) throw new Error('Failed to update favorites');
+      loadCollections();
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const loadSavedSearches = async () => {
+    try {
+      const res = await fetch('/api/saved-searches');
+      if (!res.ok) throw new Error('Failed to load saved searches');
+      const data = await res.json();
+      setSavedSearches(data.savedSearches);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  // Scheduled runs happen on the server, so poll to keep the unread badge current
+  useEffect(() => {
+    loadSavedSearches();
+    const timer = setInterval(loadSavedSearches, SAVED_SEARCH_POLL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const unreadCount = savedSearches.reduce((total, savedSearch) => total + savedSearch.unreadCount, 0);
+  const searchIsSaved = savedSearches.some((savedSearch) => savedSearch.query === searchedQuery);
+
+  const saveSearch = async () => {
+    try {
+      const res = await fetch('/api/saved-searches', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query: searchedQuery, sources: filters.sources })
+      });
+      if (!res.ok) throw new Error('Failed to save search');
+      loadSavedSearches();
+    } catch (err) {
+      console.error(err);
+    }
+  };
 
+  // Close any stream still open when the page unmounts
+  useEffect(() => () => eventSourceRef.current?.close(), []);
+
+  // Results arrive per platform over Server-Sent Events, so each row renders as soon as its site answers.
+  // Re-runs of the same search (new filters) pass record = false to stay out of the history.
+  // Offline searches go to the local index instead (see runLocalSearch).
+  const runSearch = (text, activeFilters, record = true, activeOffline = offline) => {
+    if (!text.trim()) return;
+
+    eventSourceRef.current?.close();
+    searchIdRef.current += 1;
+    const searchId = searchIdRef.current;
     setLoading(true);
     setError('');
-    
+    setResults([]);
+    setStats({ total: 0, sources: {} });
+    setPaging({});
+    setProgress({});
+    setProviderStatus({});
+    setSearchedQuery(text);
+
+    if (activeOffline) {
+      runLocalSearch(text, activeFilters, record, searchId);
+      return;
+    }
+
+    const params = filterParams(activeFilters);
+    const eventSource = new EventSource(
+      `/api/search/stream?q=${encodeURIComponent(text)}&limit=${PAGE_SIZE}&view=${activeFilters.view}${record ? '' : '&history=0'}${params ? `&${params}` : ''}`
+    );
+    eventSourceRef.current = eventSource;
+
+    eventSource.addEventListener('start', (e) => {
+      const data = JSON.parse(e.data);
+      setProgress(Object.fromEntries(data.sources.map((source) => [source, 'pending'])));
+    });
+
+    eventSource.addEventListener('status', (e) => {
+      const data = JSON.parse(e.data);
+      setProgress((prev) => ({ ...prev, [data.source]: data.status }));
+    });
+
+    eventSource.addEventListener('results', (e) => {
+      const data = JSON.parse(e.data);
+      setResults((prev) => [...prev.filter((result) => result.source !== data.source), ...data.results]);
+      setStats((prev) => {
+        const sources = { ...prev.sources, [data.source]: data.results.length };
+        return { total: Object.values(sources).reduce((sum, count) => sum + count, 0), sources };
+      });
+      setPaging((prev) => ({ ...prev, [data.source]: { page: 1, hasMore: data.hasMore, loading: false } }));
+      setProviderStatus((prev) => ({
+        ...prev,
+        [data.source]: { status: data.status, message: data.message, freshness: data.freshness }
+      }));
+    });
+
+    // The merged view's ranking and duplicate merging need every platform's results at once,
+    // so the final list comes with done and replaces the rows streamed so far
+    eventSource.addEventListener('done', (e) => {
+      // Close before the server ends the response, otherwise EventSource reconnects
+      eventSource.close();
+
+      const data = JSON.parse(e.data);
+      setResults(data.results);
+      setStats({ total: data.total, sources: data.sources });
+      setLoading(false);
+    });
+
+    // Fires both for the server's error event, which carries a message, and when the connection fails
+    eventSource.onerror = (err) => {
+      eventSource.close();
+      setError(err.data ? JSON.parse(err.data).error : 'Search failed. Make sure the backend server is running on port 3001.');
+      setLoading(false);
+      console.error(err);
+    };
+  };
+
+  const handleSearch = (text = query) => runSearch(text, filters);
+
+  // The local index answers for every platform at once, with nothing to stream
+  const runLocalSearch = async (text, activeFilters, record, searchId) => {
     try {
-      const res = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
-      
+      const params = filterParams(activeFilters);
+      const res = await fetch(
+        `/api/local-search?q=${encodeURIComponent(text)}&limit=${PAGE_SIZE}&view=${activeFilters.view}${record ? '' : '&history=0'}${params ? `&${params}` : ''}`
+      );
+      const data = await res.json();
       if (!res.ok) {
-        throw new Error('Search failed');
+        throw new Error(data.error || 'Local search failed');
       }
-      
-      const data = await res.json();
+
+      if (searchId !== searchIdRef.current) return;
       setResults(data.results);
-      setStats({ total: data.total, sources: data.sources });
+      setStats({ total: data.total, sources: data.sources, indexed: data.indexed });
+      setPaging(Object.fromEntries(Object.entries(data.hasMore).map(([source, hasMore]) => [source, { page: 1, hasMore, loading: false }])));
+      setProviderStatus(data.providerStatus);
     } catch (err) {
-      setError('Search failed. Make sure the backend server is running on port 3001.');
       console.error(err);
+      if (searchId === searchIdRef.current) setError(err.message);
     } finally {
-      setLoading(false);
+      if (searchId === searchIdRef.current) setLoading(false);
     }
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter') {
-      handleSearch();
-    }
+  // Switching between the sites and the local index re-runs the current search
+  const toggleOffline = () => {
+    const next = !offline;
+    setOffline(next);
+    if (searchedQuery) runSearch(searchedQuery, filters, false, next);
   };
 
-  const getSourceColor = (source) => {
-    const colors = {
-      printables: 'bg-orange-100 text-orange-800',
-      thingiverse: 'bg-blue-100 text-blue-800',
-      makerworld: 'bg-green-100 text-green-800'
-    };
-    return colors[source] || 'bg-gray-100 text-gray-800';
+  // Changing a filter re-runs the current search; it's served from the cache
+  const updateFilters = (changes) => {
+    const next = { ...filters, ...changes };
+    setFilters(next);
+    if (searchedQuery) runSearch(searchedQuery, next, false);
   };
 
-  const getSourceName = (source) => {
-    const names = {
-      printables: 'Printables',
-      thingiverse: 'Thingiverse',
-      makerworld: 'MakerWorld'
-    };
-    return names[source] || source;
+  // Fetch the next page for one platform and append it to its row
+  const loadMore = async (source) => {
+    const current = paging[source];
+    if (!current || !current.hasMore || current.loading) return;
+
+    const searchId = searchIdRef.current;
+    const nextPage = current.page + 1;
+    setPaging((prev) => ({ ...prev, [source]: { ...prev[source], loading: true } }));
+
+    try {
+      const params = filterParams({ ...filters, sources: [source] });
+      const res = await fetch(
+        `/api/${offline ? 'local-search' : 'search'}?q=${encodeURIComponent(searchedQuery)}&page=${nextPage}&limit=${PAGE_SIZE}&${params}`
+      );
+
+      if (!res.ok) {
+        throw new Error('Load more failed');
+      }
+
+      const data = await res.json();
+      if (searchId !== searchIdRef.current) return;
+
+      // A merged duplicate also covers its other platforms' listings
+      const seen = new Set(results.flatMap((result) => [result.id, ...(result.listings || []).map((listing) => listing.id)]));
+      const added = data.results.filter((result) => !seen.has(result.id));
+
+      setResults((prev) => [...prev, ...added]);
+      setStats((prev) => ({
+        ...prev,
+        total: prev.total + added.length,
+        sources: { ...prev.sources, [source]: (prev.sources[source] || 0) + added.length }
+      }));
+      setPaging((prev) => ({
+        ...prev,
+        [source]: { page: nextPage, hasMore: data.hasMore[source] && added.length > 0, loading: false }
+      }));
+    } catch (err) {
+      console.error(err);
+      if (searchId !== searchIdRef.current) return;
+      setPaging((prev) => ({ ...prev, [source]: { ...prev[source], hasMore: false, loading: false } }));
+    }
   };
 
+  const getProvider = (source) => providers.find((provider) => provider.id === source);
+
+  const getColorClasses = (source) => COLOR_CLASSES[getProvider(source)?.color] || COLOR_CLASSES.gray;
+
+  const getSourceColor = (source) => getColorClasses(source).badge;
+
+  const getSourceName = (source) => getProvider(source)?.name || source;
+
   // Group results by source
   const groupedResults = results.reduce((acc, result) => {
     if (!acc[result.source]) {
@@ -65,17 +352,19 @@ export default function ModelSearchApp() {
     return acc;
   }, {});
 
+  const progressSources = Object.keys(progress);
+  const finishedCount = progressSources.filter((source) => FINISHED_STATUSES.includes(progress[source])).length;
+
+  // Show rows in registry order; fall back to arrival order if the registry didn't load.
+  // Platforms without results still get a row so their status banner is visible.
+  const orderedSources = providers.length > 0
+    ? providers.map((provider) => provider.id).filter((id) => groupedResults[id] || providerStatus[id])
+    : [...new Set([...Object.keys(groupedResults), ...Object.keys(providerStatus)])];
+
   return (
     <div className="min-h-screen bg-gray-50">
       <style>
         {`
-          @keyframes progress {
-            0% { width: 0%; }
-            100% { width: 100%; }
-          }
-          .animate-progress {
-            animation: progress 8s ease-in-out;
-          }
           .scrollbar-hide::-webkit-scrollbar {
             display: none;
           }
@@ -90,112 +379,295 @@ export default function ModelSearchApp() {
           <p className="text-gray-600">
             Search across Printables, MakerWorld, and more
           </p>
-        </div>
-
-        {/* Search Bar */}
-        <div className="mb-6">
-          <div className="flex gap-2 max-w-2xl mx-auto">
-            <div className="flex-1 relative">
-              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
-              <input
-                type="text"
-                value={query}
-                onChange={(e) => setQuery(e.target.value)}
-                onKeyPress={handleKeyPress}
-                placeholder="Search for 3D models..."
-                className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              />
-            </div>
-            <button
-              onClick={handleSearch}
-              disabled={loading || !query.trim()}
-              className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
-            >
-              {loading ? (
-                <Loader2 className="animate-spin" size={20} />
-              ) : (
-                'Search'
-              )}
-            </button>
+          <div className="inline-flex mt-3 rounded overflow-hidden border border-gray-300 text-sm">
+            {[['search', 'Search'], ['collections', 'Collections'], ['saved', 'Saved searches'], ['cache', 'Cache']].map(([id, label]) => (
+              <button
+                key={id}
+                onClick={() => setPage(id)}
+                className={`px-3 py-1 flex items-center gap-1 ${page === id ? 'bg-blue-600 text-white' : 'bg-white hover:bg-gray-50'}`}
+              >
+                {label}
+                {id === 'saved' && unreadCount > 0 && (
+                  <span className="px-1.5 rounded-full bg-red-500 text-white text-xs">{unreadCount}</span>
+                )}
+              </button>
+            ))}
           </div>
         </div>
 
-        {/* Stats */}
-        {stats && (
-          <div className="max-w-2xl mx-auto mb-4 p-3 bg-white rounded-lg shadow-sm">
-            <div className="flex gap-6 justify-center text-sm">
-              <span className="text-gray-600">
-                Total Results: <strong>{stats.total}</strong>
-              </span>
-              <span className="text-orange-600">
-                Printables: <strong>{stats.sources.printables}</strong>
-              </span>
-              <span className="text-blue-600">
-                Thingiverse: <strong>{stats.sources.thingiverse}</strong>
-              </span>
-              <span className="text-green-600">
-                MakerWorld: <strong>{stats.sources.makerworld}</strong>
-              </span>
-            </div>
-          </div>
+        {page === 'collections' && (
+          <CollectionsPage
+            collections={collections}
+            onCollectionsChange={loadCollections}
+            platformName={getSourceName}
+            sourceColor={getSourceColor}
+            onOpen={setOpenResult}
+          />
         )}
 
-        {/* Error Message */}
-        {error && (
-          <div className="max-w-2xl mx-auto mb-4 p-4 bg-red-50 border border-red-200 rounded-lg">
-            <p className="text-red-800">{error}</p>
-          </div>
+        {page === 'saved' && (
+          <SavedSearchesPage
+            savedSearches={savedSearches}
+            onSavedSearchesChange={loadSavedSearches}
+            platformName={getSourceName}
+            sourceColor={getSourceColor}
+            onOpen={setOpenResult}
+          />
         )}
 
-        {/* Loading Progress Bar */}
-        {loading && (
-          <div className="max-w-2xl mx-auto mb-4">
-            <div className="bg-white rounded-lg shadow-sm p-4">
-              <div className="flex items-center justify-between mb-2">
-                <span className="text-sm text-gray-600">Searching across platforms...</span>
-                <span className="text-sm text-gray-500">~8s</span>
-              </div>
-              <div className="w-full bg-gray-200 rounded-full h-2 overflow-hidden">
-                <div className="bg-blue-600 h-2 rounded-full animate-progress"></div>
+        {page === 'cache' && (
+          <CachePage
+            providers={providers}
+            platformName={getSourceName}
+            onSearch={(text) => {
+              setQuery(text);
+              setPage('search');
+              handleSearch(text);
+            }}
+          />
+        )}
+
+        {page === 'search' && (
+          <>
+            {/* Search Bar */}
+            <div className="mb-6">
+              <div className="flex gap-2 max-w-2xl mx-auto">
+                <SearchInput value={query} onChange={setQuery} onSearch={handleSearch} />
+                <button
+                  onClick={() => handleSearch()}
+                  disabled={loading || !query.trim()}
+                  className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                >
+                  {loading ? (
+                    <Loader2 className="animate-spin" size={20} />
+                  ) : (
+                    'Search'
+                  )}
+                </button>
+                <button
+                  onClick={toggleOffline}
+                  aria-pressed={offline}
+                  title={offline ? 'Offline: searching models fetched so far. Click to search the sites.' : 'Search only models fetched so far, without contacting the sites'}
+                  className={`px-3 py-3 border rounded-lg ${offline ? 'border-blue-600 bg-blue-600 text-white hover:bg-blue-700' : 'border-gray-300 bg-white hover:bg-gray-50'}`}
+                >
+                  <WifiOff size={20} />
+                </button>
+                {searchedQuery && (
+                  <button
+                    onClick={saveSearch}
+                    disabled={searchIsSaved}
+                    title={searchIsSaved ? 'This search is saved' : 'Re-run this search on a schedule and flag new models'}
+                    className="px-3 py-3 border border-gray-300 bg-white rounded-lg hover:bg-gray-50 disabled:text-gray-400 disabled:cursor-default"
+                  >
+                    <Bell size={20} />
+                  </button>
+                )}
               </div>
             </div>
-          </div>
-        )}
 
-        {/* Results by Source */}
-        {results.length > 0 && (
-          <div className="space-y-3">
-            {Object.entries(groupedResults).map(([source, sourceResults]) => (
-              <SourceRow
-                key={source}
-                source={source}
-                sourceName={getSourceName(source)}
-                sourceColor={getSourceColor(source)}
-                results={sourceResults}
-              />
-            ))}
-          </div>
-        )}
+            {/* Sort and Filters */}
+            <FilterBar filters={filters} providers={providers} onChange={updateFilters} />
 
-        {/* Empty State */}
-        {!loading && results.length === 0 && !error && query && (
-          <div className="text-center text-gray-500 py-12">
-            No results found. Try a different search term.
-          </div>
-        )}
+            {/* Stats */}
+            {stats && (
+              <div className="max-w-2xl mx-auto mb-4 p-3 bg-white rounded-lg shadow-sm">
+                <div className="flex gap-6 justify-center text-sm">
+                  <span className="text-gray-600">
+                    Total Results: <strong>{stats.total}</strong>
+                  </span>
+                  {stats.indexed !== undefined && (
+                    <span className="text-gray-500" title="Searched the local index instead of the sites">
+                      Offline, {stats.indexed} models indexed
+                    </span>
+                  )}
+                  {Object.keys(stats.sources).map((source) => (
+                    <span key={source} className={getColorClasses(source).text}>
+                      {getSourceName(source)}: <strong>{stats.sources[source]}</strong>
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
 
-        {/* Initial State */}
-        {!loading && results.length === 0 && !query && (
-          <div className="text-center text-gray-500 py-12">
-            Enter a search term to find 3D models across multiple platforms.
-          </div>
+            {/* Error Message */}
+            {error && (
+              <div className="max-w-2xl mx-auto mb-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+                <p className="text-red-800">{error}</p>
+              </div>
+            )}
+
+            {/* Per-platform Progress */}
+            {loading && !offline && (
+              <div className="max-w-2xl mx-auto mb-4">
+                <div className="bg-white rounded-lg shadow-sm p-4">
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="text-sm text-gray-600">Searching across platforms...</span>
+                    <span className="text-sm text-gray-500">
+                      {finishedCount} / {progressSources.length}
+                    </span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2 overflow-hidden mb-3">
+                    <div
+                      className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                      style={{ width: `${progressSources.length ? (finishedCount / progressSources.length) * 100 : 0}%` }}
+                    ></div>
+                  </div>
+                  <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-600">
+                    {progressSources.map((source) => (
+                      <span key={source} className="flex items-center gap-1">
+                        <ProgressIcon status={progress[source]} />
+                        {getSourceName(source)}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Merged, ranked grid across every platform */}
+            {filters.view === 'merged' && !loading && results.length > 0 && (
+              <div className="bg-white rounded-lg shadow-sm p-3">
+                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-3">
+                  {results.map((result) => (
+                    <ModelCard
+                      key={result.id}
+                      result={result}
+                      sourceName={getSourceName(result.source)}
+                      sourceColor={getSourceColor(result.source)}
+                      platformName={getSourceName}
+                      onOpen={setOpenResult}
+                      starred={Boolean(favoriteItems[result.id])}
+                      onToggleStar={favoritesCollection ? toggleFavorite : undefined}
+                      className="w-full"
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Results by Source */}
+            {filters.view === 'grouped' && orderedSources.length > 0 && (
+              <div className="space-y-3">
+                {orderedSources.map((source) => (
+                  <SourceRow
+                    key={source}
+                    sourceName={getSourceName(source)}
+                    sourceColor={getSourceColor(source)}
+                    results={groupedResults[source] || []}
+                    status={providerStatus[source]}
+                    hasMore={paging[source]?.hasMore}
+                    loadingMore={paging[source]?.loading}
+                    onLoadMore={() => loadMore(source)}
+                    platformName={getSourceName}
+                    onOpen={setOpenResult}
+                    favoriteItems={favoriteItems}
+                    onToggleStar={favoritesCollection ? toggleFavorite : undefined}
+                  />
+                ))}
+              </div>
+            )}
+
+            {/* Empty State */}
+            {!loading && results.length === 0 && !error && query && (
+              <div className="text-center text-gray-500 py-12">
+                No results found. Try a different search term.
+              </div>
+            )}
+
+            {/* Initial State */}
+            {!loading && results.length === 0 && !query && (
+              <div className="text-center text-gray-500 py-12">
+                Enter a search term to find 3D models across multiple platforms.
+              </div>
+            )}
+          </>
         )}
       </div>
+
+      {openResult && (
+        <ModelDrawer
+          key={openResult.id}
+          result={openResult}
+          sourceName={getSourceName(openResult.source)}
+          sourceColor={getSourceColor(openResult.source)}
+          collections={collections}
+          onSaved={loadCollections}
+          onClose={() => setOpenResult(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+function ProgressIcon({ status }) {
+  switch (status) {
+    case 'cached':
+      return <Database className="text-gray-500" size={14} />;
+    case 'done':
+      return <CheckCircle2 className="text-green-600" size={14} />;
+    case 'failed':
+      return <XCircle className="text-red-600" size={14} />;
+    case 'timeout':
+      return <Clock className="text-yellow-600" size={14} />;
+    case 'started':
+      return <Loader2 className="animate-spin text-blue-600" size={14} />;
+    default:
+      return <Clock className="text-gray-300" size={14} />;
+  }
+}
+
+// Banner text and styling for each non-ok provider status
+const STATUS_BANNERS = {
+  empty: { className: 'bg-gray-50 border-gray-200 text-gray-600', text: (name) => `No models on ${name} matched this search.` },
+  blocked: { className: 'bg-yellow-50 border-yellow-200 text-yellow-800', text: (name) => `${name} blocked the request with an anti-bot check. Try again in a few minutes.` },
+  timeout: { className: 'bg-yellow-50 border-yellow-200 text-yellow-800', text: (name) => `${name} took too long to respond.` },
+  parse_error: { className: 'bg-red-50 border-red-200 text-red-800', text: (name) => `Couldn't read ${name}'s results. The site layout may have changed.` },
+  error: { className: 'bg-red-50 border-red-200 text-red-800', text: (name) => `${name} search failed.` }
+};
+
+function StatusBanner({ sourceName, status }) {
+  const banner = STATUS_BANNERS[status?.status];
+  if (!banner) return null;
+
+  return (
+    <div className={`mb-2 px-3 py-2 border rounded text-xs ${banner.className}`} title={status.message || undefined}>
+      {banner.text(sourceName)}
+      {status.status === 'error' && status.message && (
+        <span className="ml-1 opacity-75">({status.message})</span>
+      )}
     </div>
   );
 }
 
-function SourceRow({ source, sourceName, sourceColor, results }) {
+// When cached results were scraped, and whether they are being refreshed
+function FreshnessNote({ freshness }) {
+  if (!freshness || freshness.state === 'live' || !freshness.fetchedAt) return null;
+
+  return (
+    <span
+      className={`flex items-center gap-1 text-xs ${freshness.state === 'stale' ? 'text-amber-600' : 'text-gray-400'}`}
+      title={freshness.refreshError ? `Last refresh failed: ${freshness.refreshError}` : undefined}
+    >
+      {freshness.refreshing && <RefreshCw size={12} className="animate-spin" />}
+      Updated {formatAge(freshness.fetchedAt)}
+      {freshness.refreshing && ', refreshing'}
+    </span>
+  );
+}
+
+function SourceRow({
+  sourceName,
+  sourceColor,
+  results,
+  status,
+  hasMore,
+  loadingMore,
+  onLoadMore,
+  platformName,
+  onOpen,
+  favoriteItems = {},
+  onToggleStar
+}) {
   const scrollContainerRef = useRef(null);
   const [canScrollLeft, setCanScrollLeft] = useState(false);
   const [canScrollRight, setCanScrollRight] = useState(true);
@@ -219,7 +691,18 @@ function SourceRow({ source, sourceName, sourceColor, results }) {
     }
   };
 
-  React.useEffect(() => {
+  // Ask for the next page once the carousel is scrolled near its end
+  const handleScroll = () => {
+    const container = scrollContainerRef.current;
+    if (!container || !hasMore || loadingMore) return;
+
+    const { scrollLeft, scrollWidth, clientWidth } = container;
+    if (scrollLeft >= scrollWidth - clientWidth - 200) {
+      onLoadMore();
+    }
+  };
+
+  useEffect(() => {
     updateScrollButtons();
     const container = scrollContainerRef.current;
     if (container) {
@@ -232,10 +715,13 @@ function SourceRow({ source, sourceName, sourceColor, results }) {
     <div className="bg-white rounded-lg shadow-sm p-3">
       <div className="flex items-center justify-between mb-2">
         <h2 className="text-base font-semibold text-gray-900">
-          {sourceName} <span className="text-gray-500 text-sm font-normal">({results.length})</span>
+          <span className={`px-2 py-0.5 rounded ${sourceColor}`}>{sourceName}</span> <span className="text-gray-500 text-sm font-normal">({results.length})</span>
         </h2>
+        <FreshnessNote freshness={status?.freshness} />
       </div>
 
+      <StatusBanner sourceName={sourceName} status={status} />
+
       <div className="relative">
         {/* Left scroll button */}
         {canScrollLeft && (
@@ -250,41 +736,31 @@ function SourceRow({ source, sourceName, sourceColor, results }) {
         {/* Scrollable container */}
         <div
           ref={scrollContainerRef}
+          onScroll={handleScroll}
           className="flex gap-3 overflow-x-auto scrollbar-hide pb-1"
           style={{ scrollbarWidth: 'none', msOverflowStyle: 'none' }}
         >
           {results.map((result) => (
-            <a
+            <ModelCard
               key={result.id}
-              href={result.url}
-              target="_blank"
-              rel="noopener noreferrer"
-              className="flex-shrink-0 w-40 bg-white border border-gray-200 rounded-lg hover:shadow-md transition-shadow"
-            >
-              <div className="aspect-square bg-gray-200 rounded-t-lg relative overflow-hidden">
-                <img
-                  src={result.thumbnail}
-                  alt={result.title}
-                  className="w-full h-full object-cover"
-                  onError={(e) => {
-                    e.target.src = `https://placehold.co/200x200/e2e8f0/64748b?text=${encodeURIComponent(result.title.substring(0, 15))}`;
-                  }}
-                />
-              </div>
-              <div className="p-2">
-                <h3 className="font-medium text-xs text-gray-900 mb-1 line-clamp-2 leading-tight">
-                  {result.title}
-                </h3>
-                <p className="text-xs text-gray-500 mb-1 truncate">
-                  {result.author}
-                </p>
-                <div className="flex items-center gap-2 text-xs text-gray-500">
-                  <span>❤️ {result.likes}</span>
-                  <span>⬇️ {result.downloads}</span>
-                </div>
-              </div>
-            </a>
+              result={result}
+              platformName={platformName}
+              onOpen={onOpen}
+              starred={Boolean(favoriteItems[result.id])}
+              onToggleStar={onToggleStar}
+            />
           ))}
+
+          {/* Next page: loads automatically on scroll, or on click if the row doesn't overflow */}
+          {(hasMore || loadingMore) && (
+            <button
+              onClick={onLoadMore}
+              disabled={loadingMore}
+              className="flex-shrink-0 w-40 flex items-center justify-center border border-dashed border-gray-300 rounded-lg text-sm text-gray-500 hover:bg-gray-50"
+            >
+              {loadingMore ? <Loader2 className="animate-spin" size={20} /> : 'Load more'}
+            </button>
+          )}
         </div>
 
         {/* Right scroll button */}
@@ -0,0 +1,243 @@
+import { useState, useEffect } from 'react';
+import { Trash2, RefreshCw } from 'lucide-react';
+import { formatBytes, formatAge } from './format.js';
+
+// Purge ages offered on the cache page, in minutes
+const CACHE_PURGE_AGES = [
+  [60, 'Older than an hour'],
+  [1440, 'Older than a day'],
+  [4320, 'Older than 3 days']
+];
+
+// How often the cache page checks on queries being warmed
+const CACHE_WARM_POLL_MS = 3000;
+
+// What the search cache holds, with purging, warming and vacuuming
+export default function CachePage({ providers, platformName, onSearch }) {
+  const [cache, setCache] = useState(null);
+  const [search, setSearch] = useState('');
+  const [sort, setSort] = useState('recent');
+  const [purgeAge, setPurgeAge] = useState(CACHE_PURGE_AGES[0][0]);
+  const [purgeSource, setPurgeSource] = useState('');
+  const [warmText, setWarmText] = useState('');
+  const [notice, setNotice] = useState('');
+  const [error, setError] = useState('');
+  const [reloadCount, setReloadCount] = useState(0);
+
+  const reload = () => setReloadCount((count) => count + 1);
+  const warming = Boolean(cache?.warming.current);
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = new URLSearchParams({ sort });
+    if (search.trim()) params.set('search', search.trim());
+
+    fetch(`/api/cache?${params}`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => !cancelled && data && setCache(data))
+      .catch((err) => console.error(err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [search, sort, reloadCount]);
+
+  // Keep the warming progress current until the queue is done
+  useEffect(() => {
+    if (!warming) return undefined;
+    const timer = setTimeout(() => setReloadCount((count) => count + 1), CACHE_WARM_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [warming, cache]);
+
+  // Run a cache request and reload the list; shows the server's error if it fails
+  const request = async (url, options) => {
+    setError('');
+    setNotice('');
+    try {
+      const res = await fetch(url, options);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Request failed');
+      reload();
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const purge = async (params, confirmText) => {
+    if (confirmText && !window.confirm(confirmText)) return;
+    const data = await request(`/api/cache?${new URLSearchParams(params)}`, { method: 'DELETE' });
+    if (data) setNotice(`Purged ${data.removed} cached platform ${data.removed === 1 ? 'page' : 'pages'}.`);
+  };
+
+  const warm = async () => {
+    const queries = warmText.split('\n').map((line) => line.trim()).filter(Boolean);
+    if (queries.length === 0) return;
+    const data = await request('/api/cache/warm', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ queries })
+    });
+    if (data) {
+      setWarmText('');
+      setNotice(`Warming ${data.queued.length} ${data.queued.length === 1 ? 'query' : 'queries'}.`);
+    }
+  };
+
+  const vacuum = async () => {
+    const data = await request('/api/cache/vacuum', { method: 'POST' });
+    if (data) {
+      setNotice(`Removed ${data.removed} expired entries; the database went from ${formatBytes(data.bytesBefore)} to ${formatBytes(data.bytesAfter)}.`);
+    }
+  };
+
+  if (!cache) {
+    return <div className="text-center text-gray-500 py-12">Loading the cache...</div>;
+  }
+
+  const { stats, warming: warmStatus } = cache;
+
+  return (
+    <div className="space-y-3 text-sm">
+      {error && <div className="p-3 bg-red-50 border border-red-200 rounded text-red-700">{error}</div>}
+      {notice && <div className="p-3 bg-green-50 border border-green-200 rounded text-green-700">{notice}</div>}
+
+      <div className="bg-white rounded-lg shadow-sm p-3 space-y-2">
+        <p className="text-gray-600">
+          {stats.totalSearches} cached {stats.totalSearches === 1 ? 'query' : 'queries'}
+          {' · '}
+          {stats.entries} platform {stats.entries === 1 ? 'page' : 'pages'} ({formatBytes(stats.bytes) || '0 B'})
+          {' · '}
+          database {formatBytes(cache.databaseBytes)}
+          {stats.lastUpdate && ` · last updated ${formatAge(stats.lastUpdate)}`}
+        </p>
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={purgeAge} onChange={(e) => setPurgeAge(Number(e.target.value))} className="px-2 py-1 border border-gray-300 rounded">
+            {CACHE_PURGE_AGES.map(([minutes, label]) => (
+              <option key={minutes} value={minutes}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => purge({ olderThanMinutes: purgeAge })}
+            className="px-2 py-1 border border-gray-300 rounded hover:bg-gray-50"
+          >
+            Purge
+          </button>
+          <select value={purgeSource} onChange={(e) => setPurgeSource(e.target.value)} className="px-2 py-1 border border-gray-300 rounded">
+            <option value="">Platform...</option>
+            {providers.map((provider) => (
+              <option key={provider.id} value={provider.id}>{provider.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => purge({ source: purgeSource }, `Purge everything cached from ${platformName(purgeSource)}?`)}
+            disabled={!purgeSource}
+            className="px-2 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:text-gray-400"
+          >
+            Purge platform
+          </button>
+          <button onClick={vacuum} className="px-2 py-1 border border-gray-300 rounded hover:bg-gray-50">
+            Vacuum
+          </button>
+          <button
+            onClick={() => purge({ all: 1 }, 'Purge every cached search?')}
+            className="ml-auto text-red-600 hover:underline"
+          >
+            Purge all
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-3 space-y-2">
+        <textarea
+          value={warmText}
+          onChange={(e) => setWarmText(e.target.value)}
+          rows={3}
+          placeholder="Queries to search ahead of time, one per line"
+          className="w-full px-2 py-1 border border-gray-300 rounded"
+        />
+        <div className="flex items-center gap-2">
+          <button
+            onClick={warm}
+            disabled={!warmText.trim()}
+            className="flex items-center gap-1 px-2 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:text-gray-400"
+          >
+            <RefreshCw size={14} className={warming ? 'animate-spin' : ''} />
+            Warm cache
+          </button>
+          {warming && (
+            <span className="text-gray-500">
+              Searching &ldquo;{warmStatus.current}&rdquo;{warmStatus.queued.length > 0 && `, ${warmStatus.queued.length} more waiting`}
+            </span>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-3">
+        <div className="flex gap-2 mb-2">
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Filter cached queries"
+            className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded"
+          />
+          <select value={sort} onChange={(e) => setSort(e.target.value)} className="px-2 py-1 border border-gray-300 rounded">
+            <option value="recent">Newest first</option>
+            <option value="oldest">Oldest first</option>
+            <option value="size">Largest first</option>
+          </select>
+        </div>
+
+        {cache.queries.length === 0 ? (
+          <div className="text-center text-gray-500 py-6">Nothing cached{search.trim() && ' matches this filter'}.</div>
+        ) : (
+          <table className="w-full text-left">
+            <thead className="text-gray-500">
+              <tr>
+                <th className="py-1 font-normal">Query</th>
+                <th className="py-1 font-normal">Platforms</th>
+                <th className="py-1 font-normal text-right">Results</th>
+                <th className="py-1 font-normal text-right">Size</th>
+                <th className="py-1 font-normal text-right">Updated</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {cache.queries.map((entry) => (
+                <tr key={entry.query} className="border-t border-gray-100">
+                  <td className="py-1">
+                    <button onClick={() => onSearch(entry.query)} className="text-blue-600 hover:underline text-left">
+                      {entry.query}
+                    </button>
+                  </td>
+                  <td className="py-1 text-gray-600">
+                    {entry.sources.map(platformName).join(', ')}
+                    {entry.failing > 0 && <span className="ml-1 text-amber-600">({entry.failing} failing)</span>}
+                  </td>
+                  <td className="py-1 text-right">{entry.results}</td>
+                  <td className="py-1 text-right">{formatBytes(entry.bytes) || '0 B'}</td>
+                  <td className="py-1 text-right" title={`Oldest page ${formatAge(entry.oldestFetchedAt)}`}>
+                    {formatAge(entry.fetchedAt)}
+                  </td>
+                  <td className="py-1 text-right">
+                    <button
+                      onClick={() => purge({ q: entry.query })}
+                      title={`Purge "${entry.query}"`}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {cache.total > cache.queries.length && (
+          <p className="mt-2 text-gray-500">Showing {cache.queries.length} of {cache.total} queries.</p>
+        )}
+      </div>
+    </div>
+  );
+}
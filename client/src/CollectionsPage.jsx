@@ -0,0 +1,162 @@
+import { useState, useEffect } from 'react';
+import { Star, Trash2 } from 'lucide-react';
+import ModelCard from './ModelCard.jsx';
+
+// Saved models by collection. Items show the snapshot taken when they were
+// saved, so they still display if the site has since removed the model.
+export default function CollectionsPage({ collections, onCollectionsChange, platformName, sourceColor, onOpen }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const [collection, setCollection] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState('');
+
+  const selected = collections.find((c) => c.id === selectedId) || collections[0];
+  const openId = selected?.id;
+  // Changes when anything in the open collection does (renames, saves, removals)
+  const openVersion = selected ? `${selected.updated_at}:${selected.itemCount}` : '';
+
+  useEffect(() => {
+    if (!openId) return undefined;
+    let cancelled = false;
+
+    fetch(`/api/collections/${openId}`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => !cancelled && setCollection(data))
+      .catch((err) => console.error(err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [openId, openVersion]);
+
+  // Run a collection request, then refresh the list; shows the server's error if it fails
+  const request = async (url, options) => {
+    setError('');
+    try {
+      const res = await fetch(url, options);
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || 'Request failed');
+      }
+      await onCollectionsChange();
+      return res.status === 204 ? null : res.json();
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const jsonBody = (method, body) => ({
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const createCollection = async () => {
+    if (!newName.trim()) return;
+    const created = await request('/api/collections', jsonBody('POST', { name: newName }));
+    if (created) {
+      setNewName('');
+      setSelectedId(created.id);
+    }
+  };
+
+  const renameCollection = () => {
+    const name = window.prompt('Rename collection', selected.name);
+    if (name && name !== selected.name) request(`/api/collections/${selected.id}`, jsonBody('PATCH', { name }));
+  };
+
+  const deleteCollection = async () => {
+    if (!window.confirm(`Delete "${selected.name}" and everything saved in it?`)) return;
+    await request(`/api/collections/${selected.id}`, { method: 'DELETE' });
+    setSelectedId(null);
+  };
+
+  const removeItem = (item) => request(`/api/collections/${selected.id}/items/${item.id}`, { method: 'DELETE' });
+
+  const saveNote = (item, note) => {
+    if (note !== item.note) request(`/api/collections/${selected.id}/items/${item.id}`, jsonBody('PATCH', { note }));
+  };
+
+  return (
+    <div className="flex flex-col md:flex-row gap-4">
+      <aside className="md:w-60 flex-shrink-0 bg-white rounded-lg shadow-sm p-3 space-y-1 text-sm">
+        {collections.map((c) => (
+          <button
+            key={c.id}
+            onClick={() => setSelectedId(c.id)}
+            className={`w-full flex items-center justify-between px-2 py-1 rounded text-left ${c.id === selected?.id ? 'bg-blue-50 text-blue-700' : 'hover:bg-gray-50'}`}
+          >
+            <span className="flex items-center gap-1 truncate">
+              {c.favorites && <Star size={12} className="fill-yellow-400 text-yellow-500" />}
+              {c.name}
+            </span>
+            <span className="text-xs text-gray-400">{c.itemCount}</span>
+          </button>
+        ))}
+        <div className="flex gap-1 pt-2">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && createCollection()}
+            placeholder="New collection"
+            className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded text-sm"
+          />
+          <button onClick={createCollection} className="px-2 py-1 bg-blue-600 text-white rounded hover:bg-blue-700">
+            Add
+          </button>
+        </div>
+      </aside>
+
+      <section className="flex-1 min-w-0">
+        {error && <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>}
+
+        {selected && (
+          <div className="flex items-center gap-2 mb-3">
+            <h2 className="text-lg font-semibold text-gray-900">{selected.name}</h2>
+            {!selected.favorites && (
+              <>
+                <button onClick={renameCollection} className="text-sm text-blue-600 hover:underline">Rename</button>
+                <button onClick={deleteCollection} className="text-sm text-red-600 hover:underline">Delete</button>
+              </>
+            )}
+          </div>
+        )}
+
+        {collection && collection.items.length === 0 && (
+          <div className="text-center text-gray-500 py-12">
+            {collection.favorites ? 'Star a model in the search results to save it here.' : 'Nothing saved here yet.'}
+          </div>
+        )}
+
+        {collection && collection.items.length > 0 && (
+          <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-3">
+            {collection.items.map((item) => (
+              <div key={item.id} className="flex flex-col gap-1">
+                <ModelCard
+                  result={item.result}
+                  sourceName={platformName(item.result.source)}
+                  sourceColor={sourceColor(item.result.source)}
+                  platformName={platformName}
+                  onOpen={onOpen}
+                  className="w-full"
+                />
+                <div className="flex items-center gap-1">
+                  <input
+                    defaultValue={item.note}
+                    onBlur={(e) => saveNote(item, e.target.value)}
+                    placeholder="Note"
+                    className="flex-1 min-w-0 px-2 py-0.5 border border-gray-200 rounded text-xs"
+                  />
+                  <button onClick={() => removeItem(item)} title="Remove" className="p-1 text-gray-400 hover:text-red-600">
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import { useState } from 'react';
+
+// Sort, view and filter controls. Text and number fields apply on Enter or
+// when they lose focus, so typing doesn't re-run the search on every key.
+export default function FilterBar({ filters, providers, onChange }) {
+  const [draft, setDraft] = useState({
+    minLikes: filters.minLikes,
+    minDownloads: filters.minDownloads,
+    author: filters.author
+  });
+
+  const commit = (field) => {
+    if (draft[field] !== filters[field]) onChange({ [field]: draft[field] });
+  };
+
+  const draftInput = (field, { width, ...props }) => (
+    <input
+      {...props}
+      value={draft[field]}
+      onChange={(e) => setDraft((prev) => ({ ...prev, [field]: e.target.value }))}
+      onBlur={() => commit(field)}
+      onKeyDown={(e) => e.key === 'Enter' && commit(field)}
+      className={`${width} px-2 py-1 border border-gray-300 rounded text-sm`}
+    />
+  );
+
+  // An empty list means every platform, so "all selected" is stored as []
+  const toggleSource = (id) => {
+    const selected = filters.sources.length === 0 ? providers.map((provider) => provider.id) : filters.sources;
+    const next = selected.includes(id) ? selected.filter((source) => source !== id) : [...selected, id];
+    if (next.length === 0) return;
+    onChange({ sources: next.length === providers.length ? [] : next });
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto mb-4 p-3 bg-white rounded-lg shadow-sm flex flex-wrap items-center gap-3 text-sm text-gray-600">
+      <label className="flex items-center gap-1">
+        Sort
+        <select
+          value={filters.sort}
+          onChange={(e) => onChange({ sort: e.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded text-sm"
+        >
+          <option value="default">Site order</option>
+          <option value="relevance">Relevance</option>
+          <option value="likes">Most liked</option>
+          <option value="downloads">Most downloaded</option>
+        </select>
+      </label>
+
+      <div className="flex rounded overflow-hidden border border-gray-300">
+        {['grouped', 'merged'].map((view) => (
+          <button
+            key={view}
+            onClick={() => onChange({ view })}
+            className={`px-2 py-1 capitalize ${filters.view === view ? 'bg-blue-600 text-white' : 'bg-white hover:bg-gray-50'}`}
+          >
+            {view}
+          </button>
+        ))}
+      </div>
+
+      <label className="flex items-center gap-1">
+        Duplicates
+        <select
+          value={filters.dedupe}
+          onChange={(e) => onChange({ dedupe: e.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded text-sm"
+        >
+          <option value="title">Merge</option>
+          <option value="hash">Merge, compare images</option>
+          <option value="off">Show all</option>
+        </select>
+      </label>
+
+      <label className="flex items-center gap-1" title="Models without a recognized license are hidden">
+        License
+        <select
+          value={filters.license}
+          onChange={(e) => onChange({ license: e.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded text-sm"
+        >
+          <option value="">Any</option>
+          <option value="commercial">Commercial use</option>
+          <option value="remix">Remixing</option>
+          <option value="commercial,remix">Commercial + remixing</option>
+        </select>
+      </label>
+
+      <label className="flex items-center gap-1">
+        Min ❤️
+        {draftInput('minLikes', { type: 'number', min: 0, width: 'w-20' })}
+      </label>
+      <label className="flex items-center gap-1">
+        Min ⬇️
+        {draftInput('minDownloads', { type: 'number', min: 0, width: 'w-24' })}
+      </label>
+      <label className="flex items-center gap-1">
+        Author
+        {draftInput('author', { type: 'text', placeholder: 'Any', width: 'w-32' })}
+      </label>
+
+      {providers.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {providers.map((provider) => {
+            const active = filters.sources.length === 0 || filters.sources.includes(provider.id);
+            return (
+              <button
+                key={provider.id}
+                onClick={() => toggleSource(provider.id)}
+                className={`px-2 py-0.5 rounded-full border text-xs ${active ? 'border-blue-600 text-blue-700 bg-blue-50' : 'border-gray-300 text-gray-400'}`}
+              >
+                {provider.name}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
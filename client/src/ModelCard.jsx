@@ -0,0 +1,90 @@
+import { Star } from 'lucide-react';
+import { thumbUrl, placeholderImage, showPlaceholder } from './format.js';
+
+// One model card. Rows give it a fixed width; the merged grid passes its own
+// width and a source badge, since cards from every platform sit together there.
+// A model found on several platforms shows combined stats and a link to each.
+// With onOpen, a plain click opens the detail drawer; modified clicks still
+// open the site in a new tab. With onToggleStar, a star saves it to Favorites.
+export default function ModelCard({
+  result,
+  sourceName,
+  sourceColor,
+  platformName,
+  onOpen,
+  starred = false,
+  onToggleStar,
+  className = 'flex-shrink-0 w-40'
+}) {
+  const listings = result.listings || [];
+
+  const handleClick = (e) => {
+    if (!onOpen || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    onOpen(result);
+  };
+
+  return (
+    <div className={`${className} relative bg-white border border-gray-200 rounded-lg hover:shadow-md transition-shadow`}>
+      <a href={result.url} target="_blank" rel="noopener noreferrer" onClick={handleClick} className="block">
+        <div className="aspect-square bg-gray-200 rounded-t-lg relative overflow-hidden">
+          <img
+            src={thumbUrl(result.thumbnails?.[0]) || placeholderImage(result.title)}
+            alt={result.title}
+            className="w-full h-full object-cover"
+            onError={showPlaceholder(result.title)}
+          />
+          {sourceName && (
+            <span className={`absolute top-1 left-1 px-1.5 py-0.5 rounded text-[10px] font-semibold ${sourceColor}`}>
+              {sourceName}
+            </span>
+          )}
+        </div>
+        <div className="p-2">
+          <h3 className="font-medium text-xs text-gray-900 mb-1 line-clamp-2 leading-tight">
+            {result.title}
+          </h3>
+          <p className="text-xs text-gray-500 mb-1 truncate">
+            {result.author || 'Unknown'}
+          </p>
+          {result.license && (
+            <p className="text-[10px] text-gray-500 mb-1 truncate" title="License">
+              {result.license}
+            </p>
+          )}
+          <div className="flex items-center gap-2 text-xs text-gray-500">
+            {result.likes != null && <span>❤️ {result.likes}</span>}
+            {result.downloads != null && <span>⬇️ {result.downloads}</span>}
+          </div>
+        </div>
+      </a>
+
+      {onToggleStar && (
+        <button
+          onClick={() => onToggleStar(result)}
+          title={starred ? 'Remove from Favorites' : 'Add to Favorites'}
+          className="absolute top-1 right-1 p-1 rounded-full bg-white/90 shadow hover:bg-white"
+        >
+          <Star size={14} className={starred ? 'fill-yellow-400 text-yellow-500' : 'text-gray-500'} />
+        </button>
+      )}
+
+      {listings.length > 1 && (
+        <div className="px-2 pb-2 flex flex-wrap gap-1" title={`Combined stats from ${listings.length} platforms`}>
+          {listings.map((listing) => (
+            <a
+              key={listing.id}
+              href={listing.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              title={listing.title}
+              className="px-1.5 py-0.5 rounded bg-gray-100 text-[10px] text-gray-700 hover:bg-gray-200"
+            >
+              {platformName ? platformName(listing.source) : listing.source}
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
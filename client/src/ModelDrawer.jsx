@@ -0,0 +1,221 @@
+import { useState, useEffect } from 'react';
+import { Loader2, X, ExternalLink } from 'lucide-react';
+import { thumbUrl, showPlaceholder, formatBytes } from './format.js';
+
+// Stats shown on the detail view beyond likes and downloads, with their icon
+// and label. Results carry null for a stat their site doesn't show.
+const EXTRA_STATS = [
+  ['makes', '🖨️', 'Makes'],
+  ['comments', '💬', 'Comments'],
+  ['views', '👁️', 'Views'],
+  ['collections', '📁', 'Collections']
+];
+
+// Side panel with everything the model page says: gallery, description,
+// license, files, print settings, tags and remix parent. Falls back to the
+// card's own data and a link to the site when the page can't be read.
+export default function ModelDrawer({ result, sourceName, sourceColor, collections = [], onSaved, onClose }) {
+  const [details, setDetails] = useState(null);
+  const [savedTo, setSavedTo] = useState('');
+  const [loading, setLoading] = useState(Boolean(result.modelId));
+  const [error, setError] = useState(result.modelId ? '' : `${sourceName} model pages can't be loaded here.`);
+  const [imageIndex, setImageIndex] = useState(0);
+
+  useEffect(() => {
+    if (!result.modelId) return undefined;
+    let cancelled = false;
+
+    fetch(`/api/model/${result.source}/${encodeURIComponent(result.modelId)}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Could not load model details');
+        return data;
+      })
+      .then((data) => !cancelled && setDetails(data))
+      .catch((err) => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [result.source, result.modelId]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => e.key === 'Escape' && onClose();
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const saveToCollection = async (collection) => {
+    try {
+      const res = await fetch(`/api/collections/${collection.id}/items`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ result: { ...result, license: details?.license || result.license } })
+      });
+      if (!res.ok) throw new Error('Failed to save');
+      setSavedTo(collection.name);
+      onSaved?.();
+    } catch (err) {
+      console.error(err);
+      setSavedTo('');
+    }
+  };
+
+  const images = details?.images?.length ? details.images : result.thumbnails || [];
+  const settings = Object.entries(details?.printSettings || {});
+  const totalBytes = (details?.files || []).reduce((sum, file) => sum + (file.bytes || 0), 0);
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose}></div>
+
+      <aside className="relative w-full max-w-xl h-full bg-white shadow-xl overflow-y-auto">
+        <div className="sticky top-0 z-10 flex items-center gap-2 p-4 bg-white border-b border-gray-200">
+          <span className={`px-2 py-0.5 rounded text-xs font-semibold ${sourceColor}`}>{sourceName}</span>
+          <h2 className="flex-1 font-semibold text-gray-900 truncate">{details?.title || result.title}</h2>
+          <button onClick={onClose} className="p-1 rounded hover:bg-gray-100" aria-label="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4 text-sm text-gray-700">
+          {images.length > 0 && (
+            <div>
+              <img
+                src={thumbUrl(images[Math.min(imageIndex, images.length - 1)], 800)}
+                alt={result.title}
+                className="w-full aspect-square object-contain bg-gray-100 rounded"
+                onError={showPlaceholder(result.title)}
+              />
+              {images.length > 1 && (
+                <div className="flex gap-2 mt-2 overflow-x-auto">
+                  {images.map((src, index) => (
+                    <button
+                      key={src}
+                      onClick={() => setImageIndex(index)}
+                      className={`flex-shrink-0 w-16 h-16 rounded overflow-hidden border-2 ${index === imageIndex ? 'border-blue-600' : 'border-transparent'}`}
+                    >
+                      <img src={thumbUrl(src, 200)} alt="" className="w-full h-full object-cover" onError={showPlaceholder('')} />
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-gray-500">
+            <span>by {details?.author || result.author || 'Unknown'}</span>
+            {details?.createdAt && <span>{new Date(details.createdAt).toLocaleDateString()}</span>}
+            {result.likes != null && <span>❤️ {result.likes}</span>}
+            {result.downloads != null && <span>⬇️ {result.downloads}</span>}
+            {EXTRA_STATS.filter(([stat]) => result[stat] != null).map(([stat, icon, label]) => (
+              <span key={stat} title={label}>{icon} {result[stat]}</span>
+            ))}
+          </div>
+
+          {loading && (
+            <div className="flex items-center gap-2 text-gray-500">
+              <Loader2 className="animate-spin" size={16} />
+              Loading model page...
+            </div>
+          )}
+
+          {error && <div className="p-3 bg-amber-50 text-amber-800 rounded">{error}</div>}
+
+          {details && (
+            <>
+              {(details.license || details.licenseText) && (
+                <p>
+                  <span className="font-medium text-gray-900">License:</span> {details.license || 'Unrecognized'}
+                  {details.licenseText && details.licenseText !== details.license && (
+                    <span className="text-gray-500"> ({details.licenseText})</span>
+                  )}
+                </p>
+              )}
+
+              {details.remixOf && (
+                <p>
+                  <span className="font-medium text-gray-900">Remix of:</span>{' '}
+                  <a href={details.remixOf.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                    {details.remixOf.title || details.remixOf.url}
+                  </a>
+                </p>
+              )}
+
+              {details.description && <p className="whitespace-pre-line">{details.description}</p>}
+
+              {settings.length > 0 && (
+                <div>
+                  <h3 className="font-medium text-gray-900 mb-1">Print settings</h3>
+                  <dl className="grid grid-cols-2 gap-x-4 gap-y-1">
+                    {settings.map(([label, value]) => (
+                      <React.Fragment key={label}>
+                        <dt className="text-gray-500">{label}</dt>
+                        <dd>{value}</dd>
+                      </React.Fragment>
+                    ))}
+                  </dl>
+                </div>
+              )}
+
+              {details.files.length > 0 && (
+                <div>
+                  <h3 className="font-medium text-gray-900 mb-1">
+                    Files ({details.files.length}{totalBytes ? `, ${formatBytes(totalBytes)}` : ''})
+                  </h3>
+                  <ul className="divide-y divide-gray-100">
+                    {details.files.map((file) => (
+                      <li key={file.name} className="flex justify-between gap-4 py-1">
+                        <span className="truncate">{file.name}</span>
+                        <span className="text-gray-500 flex-shrink-0">{file.size}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {details.tags.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                  {details.tags.map((tag) => (
+                    <span key={tag} className="px-2 py-0.5 rounded-full bg-gray-100 text-xs text-gray-600">{tag}</span>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+
+          <a
+            href={result.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-flex items-center gap-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            Open on {sourceName}
+            <ExternalLink size={14} />
+          </a>
+
+          {collections.length > 0 && (
+            <div className="flex items-center gap-2">
+              <select
+                value=""
+                onChange={(e) => {
+                  const collection = collections.find((c) => String(c.id) === e.target.value);
+                  if (collection) saveToCollection(collection);
+                }}
+                className="px-2 py-1 border border-gray-300 rounded text-sm"
+              >
+                <option value="">Save to collection...</option>
+                {collections.map((collection) => (
+                  <option key={collection.id} value={collection.id}>{collection.name}</option>
+                ))}
+              </select>
+              {savedTo && <span className="text-green-700">Saved to {savedTo}</span>}
+            </div>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+import { useState, useEffect } from 'react';
+import { RefreshCw } from 'lucide-react';
+import ModelCard from './ModelCard.jsx';
+
+// Re-run intervals offered for saved searches, in minutes
+const SAVED_SEARCH_INTERVALS = [
+  [60, 'Every hour'],
+  [360, 'Every 6 hours'],
+  [1440, 'Every day'],
+  [10080, 'Every week']
+];
+
+// Saved searches re-run on a schedule by the server. Each shows the models
+// found since it was saved; unread ones are highlighted until marked read.
+export default function SavedSearchesPage({ savedSearches, onSavedSearchesChange, platformName, sourceColor, onOpen }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const [items, setItems] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  const selected = savedSearches.find((s) => s.id === selectedId) || savedSearches[0];
+  const openId = selected?.id;
+  // Changes after every run and whenever items are marked read
+  const openVersion = selected ? `${selected.lastRunAt}:${selected.unreadCount}:${selected.query}` : '';
+
+  useEffect(() => {
+    if (!openId) return undefined;
+    let cancelled = false;
+
+    fetch(`/api/saved-searches/${openId}/new?all=1`)
+      .then((res) => (res.ok ? res.json() : { items: [] }))
+      .then((data) => !cancelled && setItems(data.items))
+      .catch((err) => console.error(err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [openId, openVersion]);
+
+  // Run a saved search request, then refresh the list; shows the server's error if it fails
+  const request = async (url, options) => {
+    setError('');
+    try {
+      const res = await fetch(url, options);
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || 'Request failed');
+      }
+      await onSavedSearchesChange();
+      return res.status === 204 ? null : res.json();
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const update = (changes) => request(`/api/saved-searches/${selected.id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(changes)
+  });
+
+  const runNow = async () => {
+    setRunning(true);
+    await request(`/api/saved-searches/${selected.id}/run`, { method: 'POST' });
+    setRunning(false);
+  };
+
+  const markRead = () => request(`/api/saved-searches/${selected.id}/new/read`, { method: 'POST' });
+
+  const deleteSearch = async () => {
+    if (!window.confirm(`Stop watching "${selected.name}"?`)) return;
+    await request(`/api/saved-searches/${selected.id}`, { method: 'DELETE' });
+    setSelectedId(null);
+  };
+
+  const saveWebhook = (webhookUrl) => {
+    if (webhookUrl !== selected.webhookUrl) update({ webhookUrl });
+  };
+
+  if (savedSearches.length === 0) {
+    return (
+      <div className="text-center text-gray-500 py-12">
+        Run a search and use the bell next to the Search button to be told when new models show up.
+      </div>
+    );
+  }
+
+  const failedSources = Object.entries(selected.lastStatuses)
+    .filter(([, { status }]) => status !== 'ok' && status !== 'empty')
+    .map(([source]) => platformName(source));
+
+  return (
+    <div className="flex flex-col md:flex-row gap-4">
+      <aside className="md:w-60 flex-shrink-0 bg-white rounded-lg shadow-sm p-3 space-y-1 text-sm">
+        {savedSearches.map((s) => (
+          <button
+            key={s.id}
+            onClick={() => setSelectedId(s.id)}
+            className={`w-full flex items-center justify-between px-2 py-1 rounded text-left ${s.id === selected.id ? 'bg-blue-50 text-blue-700' : 'hover:bg-gray-50'}`}
+          >
+            <span className="truncate">{s.name}</span>
+            {s.unreadCount > 0 && (
+              <span className="px-1.5 rounded-full bg-red-500 text-white text-xs">{s.unreadCount}</span>
+            )}
+          </button>
+        ))}
+      </aside>
+
+      <section className="flex-1 min-w-0">
+        {error && <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>}
+
+        <div className="bg-white rounded-lg shadow-sm p-3 mb-3 text-sm space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <h2 className="text-lg font-semibold text-gray-900 mr-auto">{selected.name}</h2>
+            <button
+              onClick={runNow}
+              disabled={running}
+              className="flex items-center gap-1 px-2 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:text-gray-400"
+            >
+              <RefreshCw size={14} className={running ? 'animate-spin' : ''} />
+              Run now
+            </button>
+            <button
+              onClick={markRead}
+              disabled={selected.unreadCount === 0}
+              className="px-2 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:text-gray-400"
+            >
+              Mark all read
+            </button>
+            <button onClick={deleteSearch} className="text-red-600 hover:underline">Delete</button>
+          </div>
+          <p className="text-gray-600">
+            &ldquo;{selected.query}&rdquo; on {selected.sources.length > 0 ? selected.sources.map(platformName).join(', ') : 'every platform'}
+            {' · '}
+            {selected.lastRunAt ? `last run ${new Date(`${selected.lastRunAt}Z`).toLocaleString()}` : 'not run yet'}
+          </p>
+          {failedSources.length > 0 && (
+            <p className="text-amber-700">Last run couldn&apos;t search {failedSources.join(', ')}.</p>
+          )}
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={selected.intervalMinutes}
+              onChange={(e) => update({ intervalMinutes: Number(e.target.value) })}
+              className="px-2 py-1 border border-gray-300 rounded"
+            >
+              {!SAVED_SEARCH_INTERVALS.some(([minutes]) => minutes === selected.intervalMinutes) && (
+                <option value={selected.intervalMinutes}>Every {selected.intervalMinutes} minutes</option>
+              )}
+              {SAVED_SEARCH_INTERVALS.map(([minutes, label]) => (
+                <option key={minutes} value={minutes}>{label}</option>
+              ))}
+            </select>
+            <input
+              key={selected.id}
+              defaultValue={selected.webhookUrl}
+              onBlur={(e) => saveWebhook(e.target.value.trim())}
+              placeholder="Webhook URL on this network (optional)"
+              className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded"
+            />
+          </div>
+          {selected.lastWebhookError && (
+            <p className="text-red-700">Webhook failed: {selected.lastWebhookError}</p>
+          )}
+        </div>
+
+        {items.length === 0 && (
+          <div className="text-center text-gray-500 py-12">
+            No new models yet. The first run records what already exists; later runs list anything new here.
+          </div>
+        )}
+
+        {items.length > 0 && (
+          <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-3">
+            {items.map((item) => (
+              <div key={item.resultId} className={`rounded-lg ${item.read ? '' : 'ring-2 ring-blue-400'}`}>
+                <ModelCard
+                  result={item.result}
+                  sourceName={platformName(item.result.source)}
+                  sourceColor={sourceColor(item.result.source)}
+                  platformName={platformName}
+                  onOpen={onOpen}
+                  className="w-full"
+                />
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
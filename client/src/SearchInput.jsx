@@ -0,0 +1,138 @@
+import { useState, useEffect } from 'react';
+import { Search, Clock, X } from 'lucide-react';
+
+// Pause in typing before the search box asks for completions
+const SUGGEST_DELAY_MS = 150;
+
+const SUGGESTION_COUNT = 8;
+
+// Search box with a dropdown from the search history: recent queries while
+// it's empty, completions while typing. Arrow keys move through the list,
+// Enter searches the highlighted query and Escape closes the list.
+export default function SearchInput({ value, onChange, onSearch }) {
+  const [open, setOpen] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const [highlighted, setHighlighted] = useState(-1);
+  // Bumped when an entry is deleted so the list reloads
+  const [historyVersion, setHistoryVersion] = useState(0);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    const text = value.trim();
+
+    const timer = setTimeout(() => {
+      const url = text
+        ? `/api/suggest?q=${encodeURIComponent(text)}&limit=${SUGGESTION_COUNT}`
+        : `/api/history?limit=${SUGGESTION_COUNT}`;
+      fetch(url)
+        .then((res) => (res.ok ? res.json() : null))
+        .then((data) => {
+          if (cancelled || !data) return;
+          setEntries(text ? data.suggestions : data.recent);
+          setHighlighted(-1);
+        })
+        .catch((err) => console.error(err));
+    }, text ? SUGGEST_DELAY_MS : 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [open, value, historyVersion]);
+
+  const choose = (text) => {
+    setOpen(false);
+    onChange(text);
+    onSearch(text);
+  };
+
+  const forget = async (text) => {
+    try {
+      await fetch(`/api/history?q=${encodeURIComponent(text)}`, { method: 'DELETE' });
+      setHistoryVersion((version) => version + 1);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!open) {
+        setOpen(true);
+        return;
+      }
+      const last = entries.length - 1;
+      // -1 is the typed text, so moving past either end returns to it
+      setHighlighted((prev) => (e.key === 'ArrowDown'
+        ? (prev >= last ? -1 : prev + 1)
+        : (prev <= -1 ? last : prev - 1)));
+    } else if (e.key === 'Enter') {
+      if (open && entries[highlighted]) {
+        choose(entries[highlighted].query);
+      } else {
+        setOpen(false);
+        onSearch(value);
+      }
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="flex-1 relative">
+      <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search for 3D models..."
+        role="combobox"
+        aria-expanded={open && entries.length > 0}
+        aria-autocomplete="list"
+        className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+      {open && entries.length > 0 && (
+        // mousedown would blur the input and close the list before the click lands
+        <ul
+          role="listbox"
+          onMouseDown={(e) => e.preventDefault()}
+          className="absolute z-20 left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg py-1 text-sm"
+        >
+          {!value.trim() && <li className="px-3 py-1 text-xs text-gray-400">Recent searches</li>}
+          {entries.map((entry, index) => (
+            <li
+              key={entry.query}
+              role="option"
+              aria-selected={index === highlighted}
+              onMouseEnter={() => setHighlighted(index)}
+              onClick={() => choose(entry.query)}
+              className={`flex items-center gap-2 px-3 py-1.5 cursor-pointer ${index === highlighted ? 'bg-blue-50' : ''}`}
+            >
+              <Clock size={14} className="text-gray-400 flex-shrink-0" />
+              <span className="flex-1 truncate">{entry.query}</span>
+              {entry.count > 1 && <span className="text-xs text-gray-400">{entry.count}×</span>}
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  forget(entry.query);
+                }}
+                title="Remove from history"
+                className="p-0.5 text-gray-400 hover:text-red-600"
+              >
+                <X size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
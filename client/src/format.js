@@ -0,0 +1,37 @@
+// Remote images go through the server's thumbnail cache, resized to width
+export const thumbUrl = (url, width = 400) => (
+  /^https?:\/\//.test(url || '') ? `/api/thumb?${new URLSearchParams({ url, w: width })}` : url
+);
+
+// Gray square with the start of the title, for images that are missing or won't load
+export const placeholderImage = (title = '') => {
+  const text = title.substring(0, 15).replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200">'
+    + '<rect width="200" height="200" fill="#e2e8f0"/>'
+    + `<text x="100" y="100" fill="#64748b" font-family="sans-serif" font-size="16" text-anchor="middle" dominant-baseline="middle">${text}</text>`
+    + '</svg>';
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+};
+
+// onError handler swapping a broken image for the placeholder (once, so a broken placeholder can't loop)
+export const showPlaceholder = (title) => (e) => {
+  if (e.target.src.startsWith('data:image/svg+xml')) return;
+  e.target.src = placeholderImage(title);
+};
+
+// "1572864" -> "1.5 MB"
+export const formatBytes = (bytes) => {
+  if (!bytes) return '';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / 1024 ** exponent).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+};
+
+// "3 h ago" for a UTC timestamp from SQLite ("2024-05-01 12:00:00")
+export const formatAge = (timestamp) => {
+  const minutes = Math.max(0, Math.round((Date.now() - Date.parse(`${timestamp.replace(' ', 'T')}Z`)) / 60000));
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`;
+  return `${Math.round(minutes / (24 * 60))} days ago`;
+};
@@ -0,0 +1,248 @@
+// collections.js - Favorites and named collections of saved models
+//
+// Items keep a snapshot of the search result they were saved from, so a
+// saved model still displays if the site later removes it. Favorites is a
+// collection like any other, created on first use, that can't be renamed or
+// deleted. Snapshots saved with an older result schema (see result-schema.js)
+// are migrated on startup.
+
+const { STATS } = require('./providers/_counts');
+const { RESULT_SCHEMA_VERSION, isoTime, migrateResult, addSchemaVersionColumn } = require('./result-schema');
+
+const FAVORITES_NAME = 'Favorites';
+
+// Result fields kept in a snapshot; anything else on the result is dropped
+const SNAPSHOT_FIELDS = [
+    'id', 'source', 'modelId', 'title', 'url', 'author', 'thumbnails',
+    ...STATS, 'license', 'via', 'fetchedAt', 'listings'
+];
+
+class CollectionError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'CollectionError';
+        // HTTP status for the API to answer with
+        this.status = status;
+    }
+}
+
+function snapshotResult(result) {
+    if (!result || typeof result !== 'object') {
+        throw new CollectionError(400, 'result is required');
+    }
+    const missing = ['id', 'source', 'title', 'url'].filter(field => !result[field]);
+    if (missing.length > 0) {
+        throw new CollectionError(400, `result is missing ${missing.join(', ')}`);
+    }
+
+    const snapshot = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+        if (result[field] !== undefined) snapshot[field] = result[field];
+    });
+    return snapshot;
+}
+
+function cleanName(name) {
+    const clean = String(name || '').trim();
+    if (!clean) throw new CollectionError(400, 'name is required');
+    return clean;
+}
+
+function toCollection(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        favorites: row.kind === 'favorites',
+        itemCount: row.item_count,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+function toItem(row) {
+    return {
+        id: row.id,
+        collectionId: row.collection_id,
+        resultId: row.result_id,
+        note: row.note,
+        saved_at: row.created_at,
+        result: JSON.parse(row.snapshot)
+    };
+}
+
+// Bring snapshots in a table keyed by result_id up to the current result
+// schema; timeColumn, when the row was saved, stands in for when an old
+// result was scraped. A migrated snapshot whose new id is already saved next
+// to it is a duplicate and is deleted. Shared with saved-searches.js.
+function migrateSnapshots(db, table, timeColumn, getProvider) {
+    addSchemaVersionColumn(db, table);
+    const rows = db.prepare(`SELECT rowid AS row_id, snapshot, schema_version, ${timeColumn} AS saved_at FROM ${table} WHERE schema_version < ?`).all(RESULT_SCHEMA_VERSION);
+    if (rows.length === 0) return;
+
+    const update = db.prepare(`UPDATE OR IGNORE ${table} SET result_id = ?, snapshot = ?, schema_version = ? WHERE rowid = ?`);
+    const remove = db.prepare(`DELETE FROM ${table} WHERE rowid = ?`);
+    db.transaction(() => {
+        rows.forEach(row => {
+            const snapshot = migrateResult(JSON.parse(row.snapshot), row.schema_version, { getProvider, fetchedAt: isoTime(row.saved_at) });
+            if (update.run(snapshot.id, JSON.stringify(snapshot), RESULT_SCHEMA_VERSION, row.row_id).changes === 0) {
+                remove.run(row.row_id);
+            }
+        });
+    })();
+    console.log(`Migrated ${rows.length} saved results in ${table} to result schema ${RESULT_SCHEMA_VERSION}`);
+}
+
+// Collection storage on a better-sqlite3 database. Creates its tables if
+// needed and returns the operations the API uses; failures the client can fix
+// throw a CollectionError carrying the HTTP status. getProvider(id) lets old
+// snapshots be migrated (see result-schema.js).
+function createCollectionStore(db, { getProvider = () => null } = {}) {
+    db.pragma('foreign_keys = ON');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS collections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        description TEXT NOT NULL DEFAULT '',
+        kind TEXT NOT NULL DEFAULT 'custom',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS collection_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        collection_id INTEGER NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+        result_id TEXT NOT NULL,
+        source TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        note TEXT NOT NULL DEFAULT '',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(collection_id, result_id)
+      );
+    `);
+    migrateSnapshots(db, 'collection_items', 'created_at', getProvider);
+
+    const collectionColumns = `
+      collections.*,
+      (SELECT COUNT(*) FROM collection_items WHERE collection_id = collections.id) AS item_count
+    `;
+    const listStmt = db.prepare(`SELECT ${collectionColumns} FROM collections ORDER BY kind = 'favorites' DESC, name`);
+    const getStmt = db.prepare(`SELECT ${collectionColumns} FROM collections WHERE id = ?`);
+    const getFavoritesStmt = db.prepare(`SELECT id FROM collections WHERE kind = 'favorites'`);
+    const insertStmt = db.prepare('INSERT INTO collections (name, description, kind) VALUES (?, ?, ?)');
+    const updateStmt = db.prepare('UPDATE collections SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+    const touchStmt = db.prepare('UPDATE collections SET updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+    const deleteStmt = db.prepare('DELETE FROM collections WHERE id = ?');
+    const listItemsStmt = db.prepare('SELECT * FROM collection_items WHERE collection_id = ? ORDER BY created_at DESC, id DESC');
+    const getItemStmt = db.prepare('SELECT * FROM collection_items WHERE id = ? AND collection_id = ?');
+    const getItemByResultStmt = db.prepare('SELECT * FROM collection_items WHERE collection_id = ? AND result_id = ?');
+    // A null note keeps the saved one
+    const upsertItemStmt = db.prepare(`
+      INSERT INTO collection_items (collection_id, result_id, source, snapshot, note, schema_version)
+      VALUES (@collectionId, @resultId, @source, @snapshot, COALESCE(@note, ''), ${RESULT_SCHEMA_VERSION})
+      ON CONFLICT(collection_id, result_id) DO UPDATE SET
+        snapshot = excluded.snapshot,
+        schema_version = excluded.schema_version,
+        note = COALESCE(@note, collection_items.note),
+        updated_at = CURRENT_TIMESTAMP
+    `);
+    const updateNoteStmt = db.prepare('UPDATE collection_items SET note = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+    const deleteItemStmt = db.prepare('DELETE FROM collection_items WHERE id = ? AND collection_id = ?');
+
+    // Favorites always exists, so the star button has somewhere to save to
+    if (!getFavoritesStmt.get()) {
+        insertStmt.run(FAVORITES_NAME, 'Models starred from search results', 'favorites');
+    }
+
+    const requireCollection = (id) => {
+        const row = getStmt.get(id);
+        if (!row) throw new CollectionError(404, `Collection ${id} not found`);
+        return row;
+    };
+
+    // SQLite reports a taken name as a UNIQUE constraint failure
+    const withUniqueName = (name, write) => {
+        try {
+            return write();
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                throw new CollectionError(409, `A collection named "${name}" already exists`);
+            }
+            throw error;
+        }
+    };
+
+    return {
+        listCollections() {
+            return listStmt.all().map(toCollection);
+        },
+
+        getCollection(id) {
+            const collection = toCollection(requireCollection(id));
+            return { ...collection, items: listItemsStmt.all(id).map(toItem) };
+        },
+
+        createCollection({ name, description = '' } = {}) {
+            const clean = cleanName(name);
+            const { lastInsertRowid } = withUniqueName(clean, () => insertStmt.run(clean, String(description), 'custom'));
+            return toCollection(getStmt.get(lastInsertRowid));
+        },
+
+        updateCollection(id, { name, description } = {}) {
+            const row = requireCollection(id);
+            if (row.kind === 'favorites' && name !== undefined && name !== row.name) {
+                throw new CollectionError(400, `${FAVORITES_NAME} can't be renamed`);
+            }
+            const clean = name === undefined ? row.name : cleanName(name);
+            withUniqueName(clean, () => updateStmt.run(clean, description === undefined ? row.description : String(description), id));
+            return toCollection(getStmt.get(id));
+        },
+
+        deleteCollection(id) {
+            const row = requireCollection(id);
+            if (row.kind === 'favorites') {
+                throw new CollectionError(400, `${FAVORITES_NAME} can't be deleted`);
+            }
+            deleteStmt.run(id);
+        },
+
+        listItems(id) {
+            requireCollection(id);
+            return listItemsStmt.all(id).map(toItem);
+        },
+
+        // Save a result, or refresh the snapshot if it is already saved. A saved
+        // note is only replaced when a note is given.
+        saveItem(id, { result, note = null } = {}) {
+            requireCollection(id);
+            const snapshot = snapshotResult(result);
+            upsertItemStmt.run({
+                collectionId: id,
+                resultId: snapshot.id,
+                source: snapshot.source,
+                snapshot: JSON.stringify(snapshot),
+                note: note === null ? null : String(note)
+            });
+            touchStmt.run(id);
+            return toItem(getItemByResultStmt.get(id, snapshot.id));
+        },
+
+        updateItem(id, itemId, { note = '' } = {}) {
+            requireCollection(id);
+            if (!getItemStmt.get(itemId, id)) throw new CollectionError(404, `Item ${itemId} not found`);
+            updateNoteStmt.run(String(note), itemId);
+            return toItem(getItemStmt.get(itemId, id));
+        },
+
+        deleteItem(id, itemId) {
+            requireCollection(id);
+            if (deleteItemStmt.run(itemId, id).changes === 0) {
+                throw new CollectionError(404, `Item ${itemId} not found`);
+            }
+            touchStmt.run(id);
+        }
+    };
+}
+
+module.exports = { FAVORITES_NAME, CollectionError, snapshotResult, migrateSnapshots, createCollectionStore };
@@ -0,0 +1,283 @@
+// dedupe.js - Group the same model posted on several platforms
+//
+// Designers often upload one model to several sites under slightly different
+// titles. Two results from different sites are treated as the same model when
+// their titles are similar and either the author handle or the thumbnail
+// matches. Each group becomes one result listing every platform's link.
+
+const axios = require('axios');
+const sharp = require('sharp');
+const { isLocalUrl, publicLookup } = require('./local-network');
+const { STATS } = require('./providers/_counts');
+const { toListing } = require('./result-schema');
+
+const DEDUPE_MODES = ['title', 'hash', 'off'];
+
+// Words that sites or uploaders tack onto titles without changing the model
+const TITLE_NOISE = new Set([
+    '3d', 'print', 'prints', 'printed', 'printable', 'printing', 'model', 'models',
+    'stl', 'stls', 'file', 'files', 'free', 'for', 'the', 'a', 'an', 'and', 'with'
+]);
+
+// Title similarity needed when the authors match, and when only the thumbnails do
+const SAME_AUTHOR_SIMILARITY = 0.6;
+const SAME_IMAGE_SIMILARITY = 0.4;
+
+// Thumbnails whose 64-bit hashes differ in at most this many bits look alike
+const MAX_HASH_DISTANCE = 6;
+
+const HASH_FETCH_TIMEOUT_MS = 5000;
+const HASH_MAX_IMAGE_BYTES = 5 * 1024 * 1024; // Larger thumbnails aren't hashed
+const HASH_CONCURRENCY = 6;
+const HASH_CACHE_SIZE = 2000;
+
+// Thumbnail URL -> hash (null when it couldn't be fetched), oldest first
+const hashCache = new Map();
+
+function titleTokens(title) {
+    return String(title || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token && !TITLE_NOISE.has(token));
+}
+
+// Lowercase title without punctuation or noise words
+function normalizeTitle(title) {
+    return titleTokens(title).join(' ');
+}
+
+// "@Jane_Doe" and "jane-doe" are the same handle; "Unknown" is no handle
+function normalizeHandle(author) {
+    const handle = String(author || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+    return handle === 'unknown' ? '' : handle;
+}
+
+function bigrams(text) {
+    const compact = text.replace(/ /g, '');
+    const pairs = [];
+    for (let i = 0; i < compact.length - 1; i++) {
+        pairs.push(compact.slice(i, i + 2));
+    }
+    return pairs;
+}
+
+// 0..1: the better of word overlap (Jaccard) and character-pair overlap
+// (Dice). Word overlap handles reordered titles, character pairs handle
+// "2x3" vs "2 x 3" and small spelling differences.
+function titleSimilarity(a, b) {
+    const tokensA = new Set(titleTokens(a));
+    const tokensB = new Set(titleTokens(b));
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+    const sharedTokens = [...tokensA].filter(token => tokensB.has(token)).length;
+    const jaccard = sharedTokens / (tokensA.size + tokensB.size - sharedTokens);
+
+    const pairsA = bigrams([...tokensA].join(' '));
+    const pairsB = bigrams([...tokensB].join(' '));
+    let dice = 0;
+    if (pairsA.length > 0 && pairsB.length > 0) {
+        const remaining = [...pairsB];
+        let sharedPairs = 0;
+        pairsA.forEach(pair => {
+            const index = remaining.indexOf(pair);
+            if (index !== -1) {
+                remaining.splice(index, 1);
+                sharedPairs += 1;
+            }
+        });
+        dice = (2 * sharedPairs) / (pairsA.length + pairsB.length);
+    }
+
+    return Math.max(jaccard, dice);
+}
+
+// Numbers in a title usually mark a variant (sizes, versions), so "Bin 2x3"
+// and "Bin 3x3" are different models however similar the rest reads
+function titleNumbers(title) {
+    return (normalizeTitle(title).match(/\d+/g) || []).join(' ');
+}
+
+// Number of differing bits between two hex hashes of equal length
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (bits) {
+            distance += bits & 1;
+            bits >>= 1;
+        }
+    }
+    return distance;
+}
+
+// Difference hash: shrink to 9x8 grayscale and record whether each pixel is
+// brighter than its right-hand neighbour. Survives resizing and recompression,
+// which is what differs between two sites' copies of one image.
+async function imageHash(buffer) {
+    const pixels = await sharp(buffer)
+        .grayscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hex = '';
+    for (let row = 0; row < 8; row++) {
+        let byte = 0;
+        for (let col = 0; col < 8; col++) {
+            const left = pixels[row * 9 + col];
+            const right = pixels[row * 9 + col + 1];
+            byte = (byte << 1) | (left > right ? 1 : 0);
+        }
+        hex += byte.toString(16).padStart(2, '0');
+    }
+    return hex;
+}
+
+async function thumbnailHash(url) {
+    if (hashCache.has(url)) return hashCache.get(url);
+
+    let hash = null;
+    try {
+        // Thumbnail URLs come from other sites, so nothing on this machine or the
+        // local network is fetched, directly or through a redirect
+        if (isLocalUrl(url)) {
+            throw new Error('Will not fetch from this machine or the local network');
+        }
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: HASH_FETCH_TIMEOUT_MS,
+            maxContentLength: HASH_MAX_IMAGE_BYTES,
+            maxRedirects: 0,
+            lookup: publicLookup
+        });
+        hash = await imageHash(Buffer.from(response.data));
+    } catch (error) {
+        console.log(`Dedupe: Could not hash thumbnail ${url}: ${error.message}`);
+    }
+
+    hashCache.set(url, hash);
+    if (hashCache.size > HASH_CACHE_SIZE) {
+        hashCache.delete(hashCache.keys().next().value);
+    }
+    return hash;
+}
+
+// Hash every result's thumbnail, a few at a time. Returns result id -> hash;
+// results without a usable thumbnail are left out.
+async function thumbnailHashes(results) {
+    const hashes = new Map();
+    const queue = results.filter(result => /^https?:\/\//.test(result.thumbnails?.[0] || ''));
+
+    const worker = async () => {
+        while (queue.length > 0) {
+            const result = queue.shift();
+            const hash = await thumbnailHash(result.thumbnails[0]);
+            if (hash) hashes.set(result.id, hash);
+        }
+    };
+    await Promise.all(Array.from({ length: HASH_CONCURRENCY }, worker));
+
+    return hashes;
+}
+
+// Results from one site are never merged: a site doesn't list a model twice,
+// but a designer may well post several variants of it
+function isLikelyDuplicate(a, b, hashes) {
+    if (a.source === b.source) return false;
+    if (titleNumbers(a.title) !== titleNumbers(b.title)) return false;
+
+    const similarity = titleSimilarity(a.title, b.title);
+    const handle = normalizeHandle(a.author);
+    if (handle && handle === normalizeHandle(b.author) && similarity >= SAME_AUTHOR_SIMILARITY) {
+        return true;
+    }
+
+    const hashA = hashes && hashes.get(a.id);
+    const hashB = hashes && hashes.get(b.id);
+    return Boolean(hashA && hashB) &&
+        hammingDistance(hashA, hashB) <= MAX_HASH_DISTANCE &&
+        similarity >= SAME_IMAGE_SIMILARITY;
+}
+
+// Groups of duplicate results, each in result order, ordered by their first
+// member. Duplicates of duplicates end up in one group, as long as that
+// doesn't put two results from one site together.
+function groupDuplicates(results, hashes) {
+    const parent = results.map((result, index) => index);
+    const groupSources = results.map(result => new Set([result.source]));
+    const find = (index) => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+
+    for (let i = 0; i < results.length; i++) {
+        for (let j = i + 1; j < results.length; j++) {
+            if (!isLikelyDuplicate(results[i], results[j], hashes)) continue;
+
+            const rootI = find(i);
+            const rootJ = find(j);
+            if (rootI === rootJ) continue;
+            if ([...groupSources[rootJ]].some(source => groupSources[rootI].has(source))) continue;
+
+            // Keep the earliest result as the root so groups stay in result order
+            const root = Math.min(rootI, rootJ);
+            const child = Math.max(rootI, rootJ);
+            parent[child] = root;
+            groupSources[child].forEach(source => groupSources[root].add(source));
+        }
+    }
+
+    const groups = new Map();
+    results.forEach((result, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(result);
+    });
+    return [...groups.values()];
+}
+
+// A group's stats summed, each null unless some member reports it
+function sumStats(group) {
+    return Object.fromEntries(STATS.map(stat => {
+        const counts = group.map(result => result[stat]).filter(count => typeof count === 'number');
+        return [stat, counts.length > 0 ? counts.reduce((sum, count) => sum + count, 0) : null];
+    }));
+}
+
+// One result for a group: the first member's title, thumbnail and source, the
+// summed stats, and every platform's listing
+function mergeGroup(group) {
+    if (group.length === 1) return group[0];
+
+    const [primary] = group;
+    return {
+        ...primary,
+        ...sumStats(group),
+        listings: group.map(toListing)
+    };
+}
+
+// Merge likely duplicates. mode is 'title' (titles and authors), 'hash'
+// (also compare thumbnails) or 'off'.
+async function dedupeResults(results, mode = 'title') {
+    if (mode === 'off' || results.length < 2) return results;
+
+    const hashes = mode === 'hash' ? await thumbnailHashes(results) : null;
+    return groupDuplicates(results, hashes).map(mergeGroup);
+}
+
+module.exports = {
+    DEDUPE_MODES,
+    normalizeTitle,
+    normalizeHandle,
+    titleSimilarity,
+    hammingDistance,
+    imageHash,
+    isLikelyDuplicate,
+    groupDuplicates,
+    mergeGroup,
+    dedupeResults
+};
@@ -0,0 +1,110 @@
+// history.js - Log of searches run, for history and autocomplete
+//
+// The searches table only keeps the latest cached answer per query and page,
+// so it can't tell how often or when a query was run. Every search run is
+// logged here instead. Queries with the same queryKey (see query-key.js)
+// count as one; the most recent spelling is the one shown.
+
+const { queryKey } = require('./query-key');
+
+const DEFAULT_HISTORY_LIMIT = 10;
+const MAX_HISTORY_LIMIT = 50;
+
+// Queries that share a cache entry share a history entry
+function historyKey(query) {
+    return queryKey(query);
+}
+
+// Escape LIKE wildcards so a typed % or _ matches literally
+function likePrefix(text) {
+    return text.replace(/[\\%_]/g, char => `\\${char}`) + '%';
+}
+
+function cleanLimit(limit) {
+    const value = parseInt(limit, 10);
+    return value > 0 ? Math.min(value, MAX_HISTORY_LIMIT) : DEFAULT_HISTORY_LIMIT;
+}
+
+function toEntry(row) {
+    return {
+        query: row.query,
+        count: row.count,
+        lastSearchedAt: row.last_searched_at
+    };
+}
+
+// Query log on a better-sqlite3 database. Creates its table if needed and
+// returns the operations the API uses.
+function createHistoryStore(db) {
+    db.function('query_key', { deterministic: true }, query => queryKey(query));
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS query_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        query TEXT NOT NULL,
+        query_key TEXT NOT NULL,
+        searched_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_query_log_key ON query_log(query_key);
+
+      -- Re-key runs logged before the key last changed
+      UPDATE query_log SET query_key = query_key(query) WHERE query_key != query_key(query);
+    `);
+
+    // One row per query: its latest spelling, how often and when it was last run
+    const groupedLog = `
+      SELECT query_key,
+        (SELECT query FROM query_log latest WHERE latest.query_key = query_log.query_key ORDER BY id DESC LIMIT 1) AS query,
+        COUNT(*) AS count,
+        MAX(searched_at) AS last_searched_at,
+        MAX(id) AS last_id
+      FROM query_log
+    `;
+    const insertStmt = db.prepare('INSERT INTO query_log (query, query_key) VALUES (?, ?)');
+    const recentStmt = db.prepare(`${groupedLog} GROUP BY query_key ORDER BY last_id DESC LIMIT ?`);
+    const frequentStmt = db.prepare(`${groupedLog} GROUP BY query_key ORDER BY count DESC, last_id DESC LIMIT ?`);
+    // Queries starting with the prefix come first, then ones with a word starting with it
+    const suggestStmt = db.prepare(`
+      ${groupedLog}
+      WHERE query_key LIKE @prefix ESCAPE '\\' OR query_key LIKE '% ' || @prefix ESCAPE '\\'
+      GROUP BY query_key
+      ORDER BY query_key LIKE @prefix ESCAPE '\\' DESC, count DESC, last_id DESC
+      LIMIT @limit
+    `);
+    const deleteStmt = db.prepare('DELETE FROM query_log WHERE query_key = ?');
+    const clearStmt = db.prepare('DELETE FROM query_log');
+
+    return {
+        recordSearch(query) {
+            const key = historyKey(query);
+            if (key) insertStmt.run(String(query).trim().replace(/\s+/g, ' '), key);
+        },
+
+        // Most recent and most frequent queries, limit of each
+        listHistory({ limit } = {}) {
+            const count = cleanLimit(limit);
+            return {
+                recent: recentStmt.all(count).map(toEntry),
+                frequent: frequentStmt.all(count).map(toEntry)
+            };
+        },
+
+        // Logged queries completing what has been typed so far
+        suggest(prefix, { limit } = {}) {
+            const key = historyKey(prefix);
+            if (!key) return [];
+            return suggestStmt.all({ prefix: likePrefix(key), limit: cleanLimit(limit) }).map(toEntry);
+        },
+
+        // Forget every run of a query; returns how many were removed
+        deleteQuery(query) {
+            return deleteStmt.run(historyKey(query)).changes;
+        },
+
+        clearHistory() {
+            clearStmt.run();
+        }
+    };
+}
+
+module.exports = { historyKey, createHistoryStore };
@@ -0,0 +1,80 @@
+// local-network.js - Tell this machine and the local network apart from the internet
+//
+// Saved-search webhooks may only be sent to the local network, and thumbnails,
+// which the proxy and duplicate detection fetch from URLs found on other
+// sites, must never come from it. A URL naming an address outright is judged
+// by that address. A hostname is judged by every address it resolves to,
+// through a lookup passed to the request itself, so the check applies to the
+// address actually connected to rather than to an earlier lookup.
+
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, shared (carrier-grade NAT), link-local and unspecified
+// ranges. IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) match the IPv4 ranges.
+const LOCAL_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.168.0.0', 16]
+].forEach(([network, prefix]) => LOCAL_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128],
+    ['::1', 128],
+    ['fc00::', 7],
+    ['fe80::', 10]
+].forEach(([network, prefix]) => LOCAL_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+// Whether an IP address is on this machine or the local network. Anything
+// that isn't an IP address is not.
+function isLocalAddress(address) {
+    const version = net.isIP(address);
+    if (version === 0) return false;
+    return LOCAL_RANGES.check(address, version === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Whether an http(s) URL names this machine or the local network outright: a
+// local IP address, localhost or an mDNS .local name. Other hostnames are
+// only known once resolved; see publicLookup and localLookup.
+function isLocalUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local')) return true;
+    return isLocalAddress(host);
+}
+
+// A dns.lookup for axios's lookup option that fails when the hostname resolves
+// to any address on the wrong side
+function restrictedLookup(allowLocal) {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+            const refused = addresses.find(({ address }) => isLocalAddress(address) !== allowLocal);
+            if (refused) {
+                const side = allowLocal ? 'outside' : 'on';
+                return callback(new Error(`${hostname} resolves to ${refused.address}, ${side} this machine or the local network`));
+            }
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+// Only connects to hostnames on the internet
+const publicLookup = restrictedLookup(false);
+
+// Only connects to hostnames on this machine or the local network
+const localLookup = restrictedLookup(true);
+
+module.exports = { isLocalAddress, isLocalUrl, publicLookup, localLookup };
@@ -0,0 +1,232 @@
+// model-index.js - Every model ever scraped, searchable without the sites
+//
+// The search cache keeps each platform page's results as one JSON blob that
+// expires within a week, so it can't be searched and forgets what it saw.
+// Every result a scrape returns is also kept here, one row per model (by its
+// `source:modelId` id, see result-schema.js), with an FTS5 index over its
+// title, author and tags. Tags come from model pages (see /api/model), so a
+// model is findable by them once its details have been looked at. Rows are
+// never cleaned up: the index is the catalogue of everything seen so far, and
+// can be searched when the sites are slow or blocking us.
+//
+// Rows record the result schema version their result was written with and
+// are migrated forward on startup, like the search cache's.
+
+const { queryKey } = require('./query-key');
+const { RESULT_SCHEMA_VERSION, validateResult, migrateResult } = require('./result-schema');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// bm25 weights of the indexed columns: a title match counts most, then tags
+const TITLE_WEIGHT = 10;
+const AUTHOR_WEIGHT = 2;
+const TAGS_WEIGHT = 5;
+
+class ModelIndexError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ModelIndexError';
+        // HTTP status for the API to answer with
+        this.status = status;
+    }
+}
+
+function cleanLimit(limit) {
+    const value = parseInt(limit, 10);
+    return value > 0 ? Math.min(value, MAX_LIMIT) : DEFAULT_LIMIT;
+}
+
+function cleanPage(page) {
+    const value = parseInt(page, 10);
+    return value > 0 ? value : 1;
+}
+
+// An FTS5 query matching models with every word of the query, each as a
+// prefix ("gridf bin" finds "Gridfinity Bins"). Words are quoted, so FTS5
+// syntax typed into the box (AND, NEAR, *) is searched for as text. Returns
+// '' for a query without words.
+function matchQuery(query) {
+    const words = queryKey(query).match(/[\p{L}\p{N}]+/gu) || [];
+    return words.map(word => `"${word}"*`).join(' ');
+}
+
+function toModel(row) {
+    return {
+        ...JSON.parse(row.result),
+        license: row.license,
+        tags: JSON.parse(row.tags),
+        firstSeenAt: row.first_seen_at,
+        lastSeenAt: row.last_seen_at
+    };
+}
+
+// Bring rows written with an older result schema up to date. A row whose
+// result no longer fits, or whose new id is already taken, is deleted; the
+// model comes back the next time a search finds it.
+function migrateModels(db, getProvider) {
+    const rows = db.prepare('SELECT row_id, result, schema_version, last_seen_at FROM models WHERE schema_version != ?').all(RESULT_SCHEMA_VERSION);
+    if (rows.length === 0) return;
+
+    const update = db.prepare(`UPDATE OR IGNORE models SET id = ?, title = ?, author = ?, result = ?, schema_version = ? WHERE row_id = ?`);
+    const remove = db.prepare('DELETE FROM models WHERE row_id = ?');
+    let dropped = 0;
+    db.transaction(() => {
+        rows.forEach(row => {
+            const result = row.schema_version < RESULT_SCHEMA_VERSION
+                ? migrateResult(JSON.parse(row.result), row.schema_version, { getProvider, fetchedAt: row.last_seen_at })
+                : null;
+            const kept = result && validateResult(result).length === 0 &&
+                update.run(result.id, result.title, result.author || '', JSON.stringify(result), RESULT_SCHEMA_VERSION, row.row_id).changes > 0;
+            if (!kept) {
+                remove.run(row.row_id);
+                dropped += 1;
+            }
+        });
+    })();
+    console.log(`Migrated ${rows.length - dropped} indexed models to result schema ${RESULT_SCHEMA_VERSION}` +
+        `${dropped > 0 ? ` (deleted ${dropped})` : ''}`);
+}
+
+// Model index on a better-sqlite3 database. Creates its tables if needed and
+// returns the operations the API uses; a search the client can fix throws a
+// ModelIndexError carrying the HTTP status. getProvider(id) lets old results
+// be migrated (see result-schema.js).
+function createModelIndex(db, { getProvider = () => null } = {}) {
+    // row_id is declared so VACUUM keeps it, as the FTS index refers to rows by it
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS models (
+        row_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        source TEXT NOT NULL,
+        title TEXT NOT NULL,
+        author TEXT NOT NULL DEFAULT '',
+        tags TEXT NOT NULL DEFAULT '[]',
+        license TEXT,
+        result TEXT NOT NULL,
+        schema_version INTEGER NOT NULL,
+        first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_models_source ON models(source);
+
+      CREATE VIRTUAL TABLE IF NOT EXISTS models_fts USING fts5(
+        title, author, tags,
+        content = 'models', content_rowid = 'row_id',
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+
+      -- Keep the index in step with the table
+      CREATE TRIGGER IF NOT EXISTS models_fts_insert AFTER INSERT ON models BEGIN
+        INSERT INTO models_fts (rowid, title, author, tags) VALUES (new.row_id, new.title, new.author, new.tags);
+      END;
+      CREATE TRIGGER IF NOT EXISTS models_fts_delete AFTER DELETE ON models BEGIN
+        INSERT INTO models_fts (models_fts, rowid, title, author, tags) VALUES ('delete', old.row_id, old.title, old.author, old.tags);
+      END;
+      CREATE TRIGGER IF NOT EXISTS models_fts_update AFTER UPDATE OF title, author, tags ON models BEGIN
+        INSERT INTO models_fts (models_fts, rowid, title, author, tags) VALUES ('delete', old.row_id, old.title, old.author, old.tags);
+        INSERT INTO models_fts (rowid, title, author, tags) VALUES (new.row_id, new.title, new.author, new.tags);
+      END;
+    `);
+    migrateModels(db, getProvider);
+
+    // A result seen again replaces the stored one; tags and a license found on
+    // the model page are kept until the page is looked at again
+    const upsertStmt = db.prepare(`
+      INSERT INTO models (id, source, title, author, license, result, schema_version)
+      VALUES (@id, @source, @title, @author, @license, @result, ${RESULT_SCHEMA_VERSION})
+      ON CONFLICT(id) DO UPDATE SET
+        title = excluded.title,
+        author = excluded.author,
+        license = COALESCE(excluded.license, models.license),
+        result = excluded.result,
+        schema_version = excluded.schema_version,
+        last_seen_at = CURRENT_TIMESTAMP
+    `);
+    const detailsStmt = db.prepare('UPDATE models SET tags = ?, license = COALESCE(?, license) WHERE id = ?');
+    const licenseStmt = db.prepare('SELECT license FROM models WHERE id = ?');
+    const matching = `
+      FROM models_fts JOIN models ON models.row_id = models_fts.rowid
+      WHERE models_fts MATCH @match
+        AND (@sources IS NULL OR models.source IN (SELECT value FROM json_each(@sources)))
+    `;
+    const countStmt = db.prepare(`SELECT COUNT(*) AS total ${matching}`);
+    // Best match first (bm25 is lower for better matches), then most recently seen
+    const searchStmt = db.prepare(`
+      SELECT models.* ${matching}
+      ORDER BY bm25(models_fts, ${TITLE_WEIGHT}, ${AUTHOR_WEIGHT}, ${TAGS_WEIGHT}), models.last_seen_at DESC, models.row_id DESC
+      LIMIT @limit OFFSET @offset
+    `);
+    const statsStmt = db.prepare(`
+      SELECT source, COUNT(*) AS count, MAX(last_seen_at) AS last_seen_at
+      FROM models GROUP BY source ORDER BY source
+    `);
+
+    return {
+        // Add or refresh the models a scrape returned. Results without a
+        // proper id (see validateResult) are skipped. Returns how many were kept.
+        addResults(results) {
+            const valid = results.filter(result => validateResult(result).length === 0);
+            db.transaction(() => {
+                valid.forEach(result => {
+                    upsertStmt.run({
+                        id: result.id,
+                        source: result.source,
+                        title: result.title,
+                        author: result.author || '',
+                        license: result.license,
+                        result: JSON.stringify(result)
+                    });
+                });
+            })();
+            return valid.length;
+        },
+
+        // Index the tags (and license) from a model's page. Models no search has
+        // returned yet aren't added, since details don't make a whole result.
+        addDetails(source, modelId, details) {
+            const tags = (Array.isArray(details.tags) ? details.tags : []).filter(tag => typeof tag === 'string' && tag.trim());
+            return detailsStmt.run(JSON.stringify(tags), details.license || null, `${source}:${modelId}`).changes > 0;
+        },
+
+        // The license known for a model (by result id), or null. The index keeps
+        // licenses after the model page's cached details expire.
+        license(id) {
+            return licenseStmt.get(id)?.license || null;
+        },
+
+        // Models matching every word of query in their title, author or tags,
+        // best match first. sources limits them to those providers; page and
+        // limit page through them.
+        search(query, { sources = [], page, limit } = {}) {
+            const match = matchQuery(query);
+            if (!match) throw new ModelIndexError(400, 'Query parameter required');
+
+            const pageSize = cleanLimit(limit);
+            const pageNumber = cleanPage(page);
+            const filter = { match, sources: sources.length > 0 ? JSON.stringify(sources) : null };
+            const { total } = countStmt.get(filter);
+            const rows = searchStmt.all({ ...filter, limit: pageSize, offset: (pageNumber - 1) * pageSize });
+            return {
+                page: pageNumber,
+                limit: pageSize,
+                total,
+                hasMore: pageNumber * pageSize < total,
+                models: rows.map(toModel)
+            };
+        },
+
+        // How many models are indexed, in all and per source, and when each
+        // source last had one seen
+        stats() {
+            const rows = statsStmt.all();
+            return {
+                models: rows.reduce((sum, row) => sum + row.count, 0),
+                sources: Object.fromEntries(rows.map(row => [row.source, { models: row.count, lastSeenAt: row.last_seen_at }]))
+            };
+        }
+    };
+}
+
+module.exports = { ModelIndexError, matchQuery, createModelIndex };
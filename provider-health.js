@@ -0,0 +1,191 @@
+// provider-health.js - Per-provider scrape metrics and drift detection
+//
+// Scrapers break quietly: a site renames a class, the card selector stops
+// matching and the platform's row is just empty. Every scrape is recorded
+// here with its latency, how many results it returned, how many of those
+// lacked a thumbnail, author or stats, and whether it hit a challenge page.
+// A provider is marked degraded when its recent runs look wrong compared to
+// its earlier ones: no results where there used to be some, fields that
+// mostly come back empty, or a page that matched no result cards.
+
+const RECENT_RUNS = 10; // Runs summarized as the provider's current state
+const BASELINE_RUNS = 50; // Earlier runs the recent ones are compared with
+const ZERO_YIELD_RUNS = 3; // Empty runs in a row that count as a drop to zero
+const MISSING_FIELD_SHARE = 0.8; // Share of results missing a field that counts as "mostly"
+const MIN_FIELD_RESULTS = 10; // Fewer recent results than this are too few to judge fields by
+const CHALLENGE_SHARE = 0.5; // Share of recent runs stopped by a challenge page
+const MAX_RUNS_KEPT = 500; // Runs kept per provider; older ones are deleted
+const DEFAULT_RUNS_LIMIT = 50;
+const MAX_RUNS_LIMIT = 500;
+
+const FIELDS = ['thumbnail', 'author', 'stats'];
+
+function cleanLimit(limit) {
+    const value = parseInt(limit, 10);
+    return value > 0 ? Math.min(value, MAX_RUNS_LIMIT) : DEFAULT_RUNS_LIMIT;
+}
+
+// How many results lack each field. Stats count as missing when every stat
+// the provider reports (see its capabilities) is null or 0.
+function countMissing(results, capabilities = {}) {
+    const stats = ['likes', 'downloads'].filter(stat => capabilities[stat] !== false);
+    return {
+        thumbnail: results.filter(result => !(result.thumbnails || []).length).length,
+        author: results.filter(result => !result.author).length,
+        stats: stats.length === 0 ? 0 : results.filter(result => stats.every(stat => !result[stat])).length
+    };
+}
+
+function toRun(row) {
+    return {
+        ranAt: row.ran_at,
+        durationMs: row.duration_ms,
+        status: row.status,
+        message: row.message,
+        resultCount: row.result_count,
+        missing: { thumbnail: row.missing_thumbnail, author: row.missing_author, stats: row.missing_stats },
+        challenge: Boolean(row.challenge)
+    };
+}
+
+// Averages over a list of runs, newest first
+function summarizeRuns(runs) {
+    if (runs.length === 0) return null;
+
+    const results = runs.reduce((sum, run) => sum + run.resultCount, 0);
+    const durations = runs.map(run => run.durationMs).sort((a, b) => a - b);
+    const missingShare = Object.fromEntries(FIELDS.map(field => [
+        field,
+        results === 0 ? 0 : runs.reduce((sum, run) => sum + run.missing[field], 0) / results
+    ]));
+
+    return {
+        runs: runs.length,
+        results,
+        okShare: runs.filter(run => run.status === 'ok').length / runs.length,
+        averageResults: results / runs.length,
+        averageMs: Math.round(durations.reduce((sum, ms) => sum + ms, 0) / runs.length),
+        p95Ms: durations[Math.min(durations.length - 1, Math.floor(durations.length * 0.95))],
+        missingShare,
+        challengeShare: runs.filter(run => run.challenge).length / runs.length
+    };
+}
+
+// Why recent runs look broken compared with the baseline, if they do.
+// runs holds the recent runs and the baseline, newest first.
+function degradedReasons(runs, recent, baseline) {
+    const reasons = [];
+    const latest = runs[0];
+
+    if (latest.status === 'parse_error') {
+        reasons.push(`Result cards could not be read: ${latest.message}`);
+    }
+
+    // A drop to zero is judged against every run before it, recent or not
+    const lastRuns = runs.slice(0, ZERO_YIELD_RUNS);
+    const before = summarizeRuns(runs.slice(ZERO_YIELD_RUNS));
+    if (lastRuns.length === ZERO_YIELD_RUNS && lastRuns.every(run => run.resultCount === 0) &&
+        before && before.averageResults > 0) {
+        reasons.push(`No results in the last ${ZERO_YIELD_RUNS} runs, down from ${before.averageResults.toFixed(1)} per run`);
+    }
+
+    if (recent.results >= MIN_FIELD_RESULTS) {
+        FIELDS.forEach(field => {
+            const share = recent.missingShare[field];
+            const usual = baseline ? baseline.missingShare[field] : 0;
+            if (share >= MISSING_FIELD_SHARE && usual < MISSING_FIELD_SHARE) {
+                const label = field === 'stats' ? 'stats of 0' : `no ${field}`;
+                reasons.push(`${Math.round(share * 100)}% of recent results have ${label}`);
+            }
+        });
+    }
+
+    if (recent.challengeShare >= CHALLENGE_SHARE) {
+        reasons.push(`${Math.round(recent.challengeShare * 100)}% of recent runs hit a challenge page`);
+    }
+
+    return reasons;
+}
+
+// Provider health store on a better-sqlite3 database
+function createProviderHealthStore(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS provider_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source TEXT NOT NULL,
+        ran_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        duration_ms INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        message TEXT,
+        result_count INTEGER NOT NULL,
+        missing_thumbnail INTEGER NOT NULL DEFAULT 0,
+        missing_author INTEGER NOT NULL DEFAULT 0,
+        missing_stats INTEGER NOT NULL DEFAULT 0,
+        challenge INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_provider_runs_source ON provider_runs(source, id);
+    `);
+
+    const insertStmt = db.prepare(`
+      INSERT INTO provider_runs
+        (source, duration_ms, status, message, result_count, missing_thumbnail, missing_author, missing_stats, challenge)
+      VALUES (@source, @durationMs, @status, @message, @resultCount, @thumbnail, @author, @stats, @challenge)
+    `);
+    const trimStmt = db.prepare(`
+      DELETE FROM provider_runs
+      WHERE source = ? AND id <= (SELECT id FROM provider_runs WHERE source = ? ORDER BY id DESC LIMIT 1 OFFSET ?)
+    `);
+    const runsStmt = db.prepare('SELECT * FROM provider_runs WHERE source = ? ORDER BY id DESC LIMIT ?');
+
+    function listRuns(source, limit) {
+        return runsStmt.all(source, limit).map(toRun);
+    }
+
+    return {
+        // Record one scrape: how long it took and the outcome runProvider
+        // produced ({ results, status, message })
+        recordRun(provider, durationMs, outcome) {
+            const missing = countMissing(outcome.results, provider.capabilities);
+            insertStmt.run({
+                source: provider.id,
+                durationMs: Math.round(durationMs),
+                status: outcome.status,
+                message: outcome.message,
+                resultCount: outcome.results.length,
+                ...missing,
+                challenge: outcome.status === 'blocked' ? 1 : 0
+            });
+            trimStmt.run(provider.id, provider.id, MAX_RUNS_KEPT);
+        },
+
+        // Recent runs of one provider, newest first
+        listRuns(source, { limit } = {}) {
+            return listRuns(source, cleanLimit(limit));
+        },
+
+        // Current state of a provider: status (ok, degraded, or unknown before
+        // its first run), the reasons it is degraded, its latest run and
+        // metrics for recent runs and the baseline before them
+        describe(source) {
+            const runs = listRuns(source, RECENT_RUNS + BASELINE_RUNS);
+            if (runs.length === 0) {
+                return { status: 'unknown', reasons: [], lastRun: null, recent: null, baseline: null };
+            }
+
+            const recent = summarizeRuns(runs.slice(0, RECENT_RUNS));
+            const baseline = summarizeRuns(runs.slice(RECENT_RUNS));
+            const reasons = degradedReasons(runs, recent, baseline);
+
+            return {
+                status: reasons.length > 0 ? 'degraded' : 'ok',
+                reasons,
+                lastRun: runs[0],
+                recent,
+                baseline
+            };
+        }
+    };
+}
+
+module.exports = { countMissing, createProviderHealthStore };
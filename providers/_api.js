@@ -0,0 +1,84 @@
+// providers/_api.js - JSON fast paths in front of the Puppeteer scrapers
+//
+// Some sites serve their search results from a JSON or GraphQL endpoint that
+// their own frontend calls, or from a public API. Asking it directly takes a
+// fraction of a second, where rendering the search page in Chromium takes
+// several. A provider with such an endpoint tries it first and falls back to
+// its scraper when the call fails, so a changed or rate-limited endpoint
+// costs speed, not results. Each result records which path produced it in
+// `via`: 'api' or 'scraper'.
+//
+// Set SITE_APIS=off (in .env or the environment) to always scrape.
+
+const axios = require('axios');
+const { ProviderError } = require('./_errors');
+
+const API_TIMEOUT_MS = 8000;
+const API_RETRY_MS = 10 * 60 * 1000; // After a failure, a provider skips its API for this long
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Provider id -> { time, message } of its last API failure
+const failures = new Map();
+
+function apisEnabled() {
+    return !/^(off|false|0|no)$/i.test(process.env.SITE_APIS || '');
+}
+
+// GET or POST a JSON endpoint the way the site's frontend does
+async function requestJson(url, { method = 'get', params, data, headers = {} } = {}) {
+    const response = await axios.request({
+        url,
+        method,
+        params,
+        data,
+        timeout: API_TIMEOUT_MS,
+        headers: {
+            Accept: 'application/json',
+            'Accept-Language': 'en-US,en;q=0.9',
+            'User-Agent': USER_AGENT,
+            ...headers
+        }
+    });
+    if (!response.data || typeof response.data !== 'object') {
+        throw new ProviderError('parse_error', `Expected JSON from ${new URL(url).hostname}`);
+    }
+    return response.data;
+}
+
+// Search through the provider's API, or its scraper when the API is off,
+// unavailable (api returns null, e.g. without a token) or fails
+async function searchWithFallback({ id, name }, api, scraper) {
+    const failure = failures.get(id);
+    const skipApi = !apisEnabled() || (failure && Date.now() - failure.time < API_RETRY_MS);
+
+    if (!skipApi) {
+        try {
+            const results = await api();
+            if (results) {
+                failures.delete(id);
+                console.log(`${name}: Found ${results.length} results through the API`);
+                return results.map(result => ({ ...result, via: 'api' }));
+            }
+        } catch (error) {
+            failures.set(id, { time: Date.now(), message: error.message });
+            console.log(`${name}: API search failed (${error.message}), falling back to the scraper`);
+        }
+    }
+
+    const results = await scraper();
+    return results.map(result => ({ ...result, via: 'scraper' }));
+}
+
+// The last API failure of a provider while it is being skipped, otherwise null
+function apiFailure(id) {
+    const failure = failures.get(id);
+    if (!failure || Date.now() - failure.time >= API_RETRY_MS) return null;
+    return { at: new Date(failure.time).toISOString(), message: failure.message };
+}
+
+function clearApiFailure(id) {
+    failures.delete(id);
+}
+
+module.exports = { requestJson, searchWithFallback, apiFailure, clearApiFailure };
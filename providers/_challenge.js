@@ -0,0 +1,149 @@
+// providers/_challenge.js - Anti-bot challenge pages, cookie banners and cooldowns
+//
+// Cloudflare and similar services answer a scraper with an interstitial
+// ("Just a moment...") that clears itself after a few seconds when the
+// browser passes its checks. Instead of sleeping a fixed time, passChallenge
+// waits until the page stops looking like a challenge and shows the content
+// the provider came for. A challenge that doesn't clear puts the provider on
+// a cooldown that doubles with every further failure, so we stop knocking on
+// a site that is currently turning us away; until it ends, checkCooldown
+// fails searches straight away with a blocked status.
+//
+// acceptConsent clicks a site's cookie banner by its button text. Once a
+// banner has been accepted the profile remembers it (see browser-profiles.js)
+// and later searches only glance for a banner instead of waiting for one.
+
+const browserProfiles = require('../browser-profiles');
+const { ProviderError } = require('./_errors');
+
+const CHALLENGE_TIMEOUT_MS = 20000; // Longest a challenge is given to clear
+const CONSENT_WAIT_MS = 5000; // Longest we wait for a cookie banner we haven't seen accepted
+const POLL_MS = 250;
+const COOLDOWN_MS = 2 * 60 * 1000; // Cooldown after the first challenge that didn't clear
+const MAX_COOLDOWN_MS = 30 * 60 * 1000; // Longest cooldown after repeated failures
+
+// How challenge pages give themselves away
+const CHALLENGE_MARKERS = {
+    title: 'just a moment|attention required|verify you are human|checking your browser|access denied',
+    selector: [
+        '#challenge-form',
+        '#challenge-stage',
+        '#cf-challenge-running',
+        '.cf-browser-verification',
+        'iframe[src*="challenges.cloudflare.com"]',
+        'iframe[src*="captcha-delivery.com"]'
+    ].join(', ')
+};
+
+// Provider id -> { until, strikes }
+const cooldowns = new Map();
+
+// Whether the page is past any challenge and, if ready is given, shows that element.
+// Runs inside the page via page.evaluate and page.waitForFunction, so it must
+// not reference anything outside itself.
+function challengeCleared(markers, ready) {
+    if (new RegExp(markers.title, 'i').test(document.title || '')) return false;
+    if (document.querySelector(markers.selector)) return false;
+    return !ready || Boolean(document.querySelector(ready));
+}
+
+// Find a cookie banner button by its text (or selector) and optionally click it.
+// Puppeteer's selectors have no :has-text(), so the text is matched here.
+// Runs inside the page, so it must not reference anything outside itself.
+function findConsentButton(texts, selector, click) {
+    const wanted = texts.map(text => text.toLowerCase());
+    const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
+    const button = buttons.find(elem => wanted.includes(elem.textContent.replace(/\s+/g, ' ').trim().toLowerCase())) ||
+        (selector ? document.querySelector(selector) : null);
+    if (button && click) button.click();
+    return Boolean(button);
+}
+
+// Throw a blocked ProviderError while the provider is cooling down
+function checkCooldown(id, name) {
+    const cooldown = cooldowns.get(id);
+    if (cooldown && cooldown.until > Date.now()) {
+        const seconds = Math.ceil((cooldown.until - Date.now()) / 1000);
+        throw new ProviderError('blocked', `${name} is cooling down after an anti-bot challenge; next try in ${seconds}s`);
+    }
+}
+
+function startCooldown(id) {
+    const strikes = (cooldowns.get(id)?.strikes || 0) + 1;
+    const ms = Math.min(COOLDOWN_MS * 2 ** (strikes - 1), MAX_COOLDOWN_MS);
+    cooldowns.set(id, { until: Date.now() + ms, strikes });
+    return ms;
+}
+
+function clearCooldown(id) {
+    cooldowns.delete(id);
+}
+
+// { until, strikes } while a provider is cooling down, otherwise null
+function cooldownStatus(id) {
+    const cooldown = cooldowns.get(id);
+    if (!cooldown || cooldown.until <= Date.now()) return null;
+    return { until: new Date(cooldown.until).toISOString(), strikes: cooldown.strikes };
+}
+
+// Wait out a challenge page, if the page is showing one. Resolves once the
+// page is past it and shows ready (a selector, optional); throws a blocked
+// ProviderError and starts the provider's cooldown if it doesn't clear in
+// timeoutMs. Returns whether there was a challenge.
+async function passChallenge(page, { id, name, ready = null, timeoutMs = CHALLENGE_TIMEOUT_MS }) {
+    if (await page.evaluate(challengeCleared, CHALLENGE_MARKERS, null)) {
+        clearCooldown(id);
+        return false;
+    }
+
+    console.log(`${name}: Anti-bot challenge, waiting for it to clear...`);
+    const started = Date.now();
+    try {
+        await page.waitForFunction(challengeCleared, { timeout: timeoutMs, polling: POLL_MS }, CHALLENGE_MARKERS, ready);
+    } catch (error) {
+        if (error.name !== 'TimeoutError') throw error;
+        // Past the challenge but the content never showed: leave that to the provider
+        if (await page.evaluate(challengeCleared, CHALLENGE_MARKERS, null)) {
+            clearCooldown(id);
+            return true;
+        }
+        const cooldownMs = startCooldown(id);
+        console.log(`${name}: Challenge did not clear, cooling down for ${Math.round(cooldownMs / 1000)}s`);
+        throw new ProviderError('blocked', `${name} anti-bot challenge did not clear within ${timeoutMs / 1000}s`);
+    }
+
+    console.log(`${name}: Challenge cleared after ${Date.now() - started}ms`);
+    clearCooldown(id);
+    return true;
+}
+
+// Accept the site's cookie banner, if it shows one. texts are the button
+// labels to look for (matched whole, ignoring case) and selector a fallback.
+// Returns whether a banner was accepted.
+async function acceptConsent(page, { id, name, texts, selector = null, timeoutMs = CONSENT_WAIT_MS, profiles = browserProfiles }) {
+    // A profile that has accepted before has the consent cookie, so a banner
+    // is unlikely: check once rather than waiting for one to appear
+    if (!profiles.getState(id).consentAcceptedAt) {
+        await page.waitForFunction(findConsentButton, { timeout: timeoutMs, polling: POLL_MS }, texts, selector, false)
+            .catch(() => {});
+    }
+
+    if (!(await page.evaluate(findConsentButton, texts, selector, true))) {
+        return false;
+    }
+
+    console.log(`${name}: Accepted cookies`);
+    profiles.updateState(id, { consentAcceptedAt: new Date().toISOString() });
+    return true;
+}
+
+module.exports = {
+    CHALLENGE_MARKERS,
+    challengeCleared,
+    findConsentButton,
+    passChallenge,
+    acceptConsent,
+    checkCooldown,
+    clearCooldown,
+    cooldownStatus
+};
@@ -0,0 +1,58 @@
+// providers/_counts.js - Turning the counts sites show into numbers
+//
+// Cards show counts the way their readers write them: "1.2k", "12.3K",
+// "1,204", "1.204" or "1 204" (thousands), "1,5k" (a decimal comma), "2M".
+// Extractors hand back each stat's text as found on the page, keyed by stat,
+// and parseStats turns them into numbers here, so every provider reads
+// counts the same way.
+//
+// Stats in results (see result-schema.js), each null where the site doesn't
+// show it: likes, downloads, makes, comments, views and collections. "makes"
+// covers prints and makes: copies people posted of the model.
+
+const STATS = ['likes', 'downloads', 'makes', 'comments', 'views', 'collections'];
+
+const MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9 };
+
+// The number in a count's text, or null if it has none. Numbers pass through.
+function parseCount(text) {
+    if (typeof text === 'number') return Number.isFinite(text) ? Math.round(text) : null;
+    if (typeof text !== 'string') return null;
+
+    // Digits grouped by spaces or apostrophes (only in threes, so "245 31"
+    // stays two numbers) or by dots and commas, then an optional k/M/B
+    // suffix that isn't the start of a word ("12 likes" has no suffix)
+    const match = text.match(/(\d{1,3}(?:[' \u00a0\u202f]\d{3})+(?!\d)|\d(?:[\d.,]*\d)?)\s*([kmb](?![a-z]))?/i);
+    if (!match) return null;
+
+    let digits = match[1].replace(/[' \u00a0\u202f]/g, '');
+    const suffix = match[2] ? match[2].toLowerCase() : '';
+    const dots = (digits.match(/\./g) || []).length;
+    const commas = (digits.match(/,/g) || []).length;
+
+    if (dots > 0 && commas > 0) {
+        // Both: whichever comes last is the decimal point
+        const decimal = digits.lastIndexOf('.') > digits.lastIndexOf(',') ? '.' : ',';
+        digits = digits.split(decimal === '.' ? ',' : '.').join('').replace(',', '.');
+    } else if (dots + commas > 1) {
+        // The same separator more than once groups thousands
+        digits = digits.replace(/[.,]/g, '');
+    } else if (dots + commas === 1) {
+        // One separator followed by three digits groups thousands, unless a
+        // suffix says the number was shortened ("1,204" but "1.250k")
+        const [, after] = digits.split(/[.,]/);
+        digits = after.length === 3 && !suffix ? digits.replace(/[.,]/, '') : digits.replace(',', '.');
+    }
+
+    const value = parseFloat(digits);
+    if (!Number.isFinite(value)) return null;
+    return Math.round(value * (MULTIPLIERS[suffix] || 1));
+}
+
+// Numbers for the stats an extractor or API found ({ likes: '1.2k', ... }):
+// every stat, null where it is missing or doesn't parse
+function parseStats(texts = {}) {
+    return Object.fromEntries(STATS.map(stat => [stat, parseCount(texts[stat])]));
+}
+
+module.exports = { STATS, parseCount, parseStats };
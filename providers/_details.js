@@ -0,0 +1,162 @@
+// providers/_details.js - Model page scraping shared by the providers
+//
+// A model page carries much more than a search card: description, license,
+// files, print settings, tags, remix parent, creation date and the gallery.
+// Each provider passes the selectors for its own page layout; anything they
+// miss is filled from the schema.org JSON-LD and meta tags most sites include.
+
+const { acquirePage, releasePage } = require('../browser');
+const { ProviderError } = require('./_errors');
+const { normalizeLicense } = require('./_licenses');
+const { checkCooldown, passChallenge } = require('./_challenge');
+
+// Extract a model page's details.
+// Runs inside the page via page.evaluate, so it must not reference anything outside itself.
+// Every selector is optional:
+//   title, author, description, license, createdAt, remixParent - single elements
+//   gallery - images; tags - tag links or chips
+//   files - one element per file, with fileName and fileSize inside it
+//   printSettings - one element per setting, with settingLabel and settingValue inside it
+function extractModelDetails(selectors = {}) {
+    const text = (elem) => elem?.textContent?.replace(/\s+/g, ' ').trim() || '';
+    const first = (selector, root = document) => (selector ? root.querySelector(selector) : null);
+    const all = (selector) => (selector ? Array.from(document.querySelectorAll(selector)) : []);
+    const meta = (name) => document.querySelector(`meta[property="${name}"], meta[name="${name}"]`)?.getAttribute('content') || '';
+    const absolute = (href) => {
+        try {
+            return new URL(href, document.baseURI).href;
+        } catch {
+            return '';
+        }
+    };
+    const nameOf = (value) => (typeof value === 'string' ? value : value?.name || '');
+
+    // "12.5 MB" -> bytes, so the UI can total and sort file sizes
+    const parseSize = (size) => {
+        const match = (size || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([kmgt]?i?b)\b/i);
+        if (!match) return null;
+        const unit = match[2].toLowerCase().replace('i', '');
+        const multiplier = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 }[unit] || 1;
+        return Math.round(parseFloat(match[1]) * multiplier);
+    };
+
+    // schema.org data describing the model, if the page has any
+    let linked = {};
+    document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        if (linked.name) return;
+        try {
+            const data = JSON.parse(script.textContent);
+            const nodes = [].concat(data['@graph'] || data);
+            const model = nodes.find(node => [].concat(node['@type']).some(type =>
+                ['3DModel', 'CreativeWork', 'Product', 'Thing'].includes(type)
+            ));
+            if (model) linked = model;
+        } catch {
+            // Malformed blocks are common; skip them
+        }
+    });
+
+    const images = [];
+    const addImage = (src) => {
+        if (!src || src.startsWith('data:')) return;
+        const url = absolute(src);
+        if (url && !images.includes(url)) images.push(url);
+    };
+    all(selectors.gallery).forEach(img => addImage(img.getAttribute('data-src') || img.getAttribute('src')));
+    [].concat(linked.image || []).forEach(image => addImage(typeof image === 'string' ? image : image?.url));
+    addImage(meta('og:image'));
+
+    const files = all(selectors.files)
+        .map(row => {
+            const size = text(first(selectors.fileSize, row));
+            return { name: text(first(selectors.fileName, row)) || text(row), size, bytes: parseSize(size) };
+        })
+        .filter(file => file.name);
+
+    const printSettings = {};
+    all(selectors.printSettings).forEach(row => {
+        const label = text(first(selectors.settingLabel, row)).replace(/:$/, '');
+        const value = text(first(selectors.settingValue, row));
+        if (label && value) printSettings[label] = value;
+    });
+
+    const tags = [];
+    const keywords = typeof linked.keywords === 'string' ? linked.keywords.split(',') : [].concat(linked.keywords || []);
+    [...all(selectors.tags).map(text), ...keywords].forEach(tag => {
+        const clean = String(tag).trim().replace(/^#/, '');
+        if (clean && !tags.some(existing => existing.toLowerCase() === clean.toLowerCase())) tags.push(clean);
+    });
+
+    const remixLink = first(selectors.remixParent);
+    const basedOn = [].concat(linked.isBasedOn || [])[0];
+    let remixOf = null;
+    if (remixLink) {
+        remixOf = { title: text(remixLink), url: absolute(remixLink.getAttribute('href')) };
+    } else if (basedOn) {
+        remixOf = typeof basedOn === 'string'
+            ? { title: '', url: absolute(basedOn) }
+            : { title: basedOn.name || '', url: absolute(basedOn.url || '') };
+    }
+
+    const createdElem = first(selectors.createdAt);
+    const created = createdElem?.getAttribute('datetime') || createdElem?.getAttribute('title') || text(createdElem) ||
+        linked.dateCreated || linked.datePublished || meta('article:published_time');
+    const createdDate = created ? new Date(created) : null;
+
+    return {
+        title: text(first(selectors.title)) || linked.name || meta('og:title') || document.title.trim(),
+        author: text(first(selectors.author)) || nameOf([].concat(linked.author || linked.creator || [])[0]),
+        description: text(first(selectors.description)) || linked.description || meta('og:description'),
+        license: text(first(selectors.license)) || nameOf(linked.license) || text(first('a[rel="license"]')),
+        createdAt: createdDate && !isNaN(createdDate) ? createdDate.toISOString() : null,
+        tags,
+        files,
+        printSettings,
+        remixOf,
+        images
+    };
+}
+
+// Open a model page in a pooled browser page and extract its details.
+// options: id (the provider, whose browser profile and cooldown are used),
+// name (for logs and errors), selectors (see extractModelDetails),
+// waitFor (selector that shows the page has rendered)
+async function scrapeModelDetails(url, { id, name, selectors, waitFor }) {
+    let page = null;
+    try {
+        checkCooldown(id, name);
+        page = await acquirePage(id);
+
+        console.log(`${name}: Fetching model page ${url}`);
+        const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+
+        if (response && response.status() === 404) {
+            throw new ProviderError('not_found', `${name} has no model at ${url}`);
+        }
+
+        await passChallenge(page, { id, name, ready: waitFor });
+
+        if (waitFor) {
+            await page.waitForSelector(waitFor, { timeout: 10000 }).catch(() => {
+                console.log(`${name}: Model page content did not appear`);
+            });
+        }
+
+        const details = await page.evaluate(extractModelDetails, selectors);
+        if (!details.title) {
+            throw new ProviderError('parse_error', `${name}: the model page loaded but could not be read`);
+        }
+
+        console.log(`${name}: Read model "${details.title}" (${details.files.length} files, ${details.images.length} images)`);
+        // license becomes an identifier; licenseText keeps the site's wording
+        return { ...details, license: normalizeLicense(details.license), licenseText: details.license, url };
+
+    } catch (error) {
+        console.error(`${name} details error:`, error.message);
+        throw error;
+    } finally {
+        if (page) await releasePage(page);
+    }
+}
+
+module.exports = { extractModelDetails, scrapeModelDetails };
@@ -0,0 +1,45 @@
+// providers/_errors.js - Typed failures a provider can report instead of an empty list
+//
+// Statuses reported per provider in search responses:
+//   ok          - results found
+//   empty       - the site answered, but nothing matched
+//   blocked     - anti-bot challenge or access denied
+//   timeout     - the site (or the scrape as a whole) took too long
+//   parse_error - the page loaded but the result cards couldn't be read
+//   error       - anything else
+//
+// Model detail lookups can also fail with:
+//   not_found   - the site has no model with that id
+
+const STATUSES = ['ok', 'empty', 'blocked', 'timeout', 'parse_error', 'error', 'not_found'];
+
+class ProviderError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+    }
+}
+
+// Map whatever a provider threw to a status and message
+function classifyError(error) {
+    if (error instanceof ProviderError) {
+        return { status: error.status, message: error.message };
+    }
+    // Our own provider timeout, or a Puppeteer navigation/selector timeout
+    if (error.code === 'TIMEOUT' || error.name === 'TimeoutError') {
+        return { status: 'timeout', message: error.message };
+    }
+    return { status: 'error', message: error.message };
+}
+
+// Called when a page produced no results: if it still links to model pages,
+// the results are there and our card selectors no longer match them
+async function checkForSelectorDrift(page, modelLinkSelector, providerName) {
+    const modelLinks = await page.$$eval(modelLinkSelector, links => links.length);
+    if (modelLinks > 0) {
+        throw new ProviderError('parse_error', `${providerName}: page has ${modelLinks} model links but no result cards could be read`);
+    }
+}
+
+module.exports = { STATUSES, ProviderError, classifyError, checkForSelectorDrift };
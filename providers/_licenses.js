@@ -0,0 +1,87 @@
+// providers/_licenses.js - License identifiers and what they allow
+//
+// Sites show licenses as free text ("Creative Commons - Attribution -
+// Non-Commercial"), as short codes ("CC BY-NC 4.0") or as a link to the
+// license deed. normalizeLicense turns any of those into an SPDX-style
+// identifier so licenses can be compared and filtered across sites.
+
+// What a filter can ask a license to allow
+const LICENSE_USES = ['commercial', 'remix'];
+
+// Site-specific licenses that allow neither commercial use nor derivatives
+const RESTRICTIVE_LICENSES = [
+    { pattern: /standard digital file license|\bsdfl\b/, id: 'LicenseRef-SDFL' },
+    { pattern: /all rights reserved/, id: 'LicenseRef-All-Rights-Reserved' },
+    { pattern: /(private|personal) use/, id: 'LicenseRef-Personal-Use' }
+];
+
+// Permissive licenses that allow both
+const PERMISSIVE_LICENSES = [
+    { pattern: /\blgpl\b|lesser general public/, id: 'LGPL', versioned: true },
+    { pattern: /\bgpl\b|gnu general public/, id: 'GPL', versioned: true },
+    { pattern: /\bmit\b/, id: 'MIT' },
+    { pattern: /\bbsd\b/, id: 'BSD' },
+    { pattern: /apache/, id: 'Apache-2.0' }
+];
+
+// "4.0" from "CC BY 4.0" or ".../by-nc/3.0/"; GPL versions may be bare ("GPLv3")
+function licenseVersion(text, allowBare) {
+    const match = text.match(/(\d)\.(\d)/) || (allowBare && text.match(/v?(\d)\b/));
+    if (!match) return '';
+    return `${match[1]}.${match[2] || '0'}`;
+}
+
+// SPDX-style identifier for a license as a site shows it, e.g.
+// "CC-BY-NC-SA-4.0", "CC0-1.0", "GPL-3.0". Returns null when unrecognized.
+function normalizeLicense(text) {
+    const license = String(text || '').toLowerCase().trim();
+    if (!license) return null;
+
+    if (/\bcc0\b|cc-zero|publicdomain\/zero|public domain dedication/.test(license)) return 'CC0-1.0';
+    if (/public domain/.test(license)) return 'CC-PDDC';
+
+    if (/creative\s*commons|creativecommons\.org\/licenses|\bcc[\s-]+by\b/.test(license)) {
+        const parts = ['CC', 'BY'];
+        if (/non[\s-]*commercial|\bnc\b/.test(license)) parts.push('NC');
+        if (/no[\s-]*deriv|\bnd\b/.test(license)) parts.push('ND');
+        else if (/share[\s-]*alike|\bsa\b/.test(license)) parts.push('SA');
+        const version = licenseVersion(license, false);
+        if (version) parts.push(version);
+        return parts.join('-');
+    }
+
+    const restrictive = RESTRICTIVE_LICENSES.find(({ pattern }) => pattern.test(license));
+    if (restrictive) return restrictive.id;
+
+    const permissive = PERMISSIVE_LICENSES.find(({ pattern }) => pattern.test(license));
+    if (permissive) {
+        const version = permissive.versioned ? licenseVersion(license, true) : '';
+        return version ? `${permissive.id}-${version}` : permissive.id;
+    }
+
+    return null;
+}
+
+// { commercial, remix } for an identifier from normalizeLicense, or null if
+// the license is unknown
+function licensePermissions(id) {
+    if (!id) return null;
+    if (id.startsWith('CC-BY')) {
+        return { commercial: !id.includes('-NC'), remix: !id.includes('-ND') };
+    }
+    if (RESTRICTIVE_LICENSES.some(license => license.id === id)) {
+        return { commercial: false, remix: false };
+    }
+    if (id === 'CC0-1.0' || id === 'CC-PDDC' || PERMISSIVE_LICENSES.some(license => id.startsWith(license.id))) {
+        return { commercial: true, remix: true };
+    }
+    return null;
+}
+
+// Whether a license is known to allow every one of the given uses
+function licenseAllows(id, uses) {
+    const permissions = licensePermissions(id);
+    return Boolean(permissions) && uses.every(use => permissions[use]);
+}
+
+module.exports = { LICENSE_USES, normalizeLicense, licensePermissions, licenseAllows };
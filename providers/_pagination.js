@@ -0,0 +1,48 @@
+// providers/_pagination.js - Paging helpers shared by the providers
+//
+// Our pages are fixed-size slices of a provider's results: page N with limit L
+// covers results (N - 1) * L up to N * L. Sites either paginate by URL with
+// their own page size, or append cards as the user scrolls.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Clamp page/limit from a request or options object to sane integers
+function normalizePaging({ page, limit } = {}) {
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    return {
+        page: pageNum > 0 ? pageNum : 1,
+        limit: limitNum > 0 ? Math.min(limitNum, MAX_LIMIT) : DEFAULT_LIMIT
+    };
+}
+
+// For sites paginated by URL: which of the site's pages cover our page, and
+// how many results to skip on the first of them
+function sitePageRange({ page, limit }, sitePageSize) {
+    const offset = (page - 1) * limit;
+    const first = Math.floor(offset / sitePageSize) + 1;
+    const last = Math.floor((offset + limit - 1) / sitePageSize) + 1;
+
+    return { first, last, skip: offset - (first - 1) * sitePageSize };
+}
+
+// For infinite-scroll sites: scroll until at least `count` elements match
+// `selector`, or until the page stops growing
+async function scrollUntil(page, selector, count, { maxRounds = 10, delay = 1500 } = {}) {
+    let previous = -1;
+
+    for (let round = 0; round < maxRounds; round++) {
+        const current = await page.$$eval(selector, elements => elements.length);
+        if (current >= count || current === previous) return current;
+        previous = current;
+
+        await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    return page.$$eval(selector, elements => elements.length);
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, normalizePaging, sitePageRange, scrollUntil };
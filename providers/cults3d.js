@@ -0,0 +1,177 @@
+// providers/cults3d.js - Cults3D search provider
+
+const { acquirePage, releasePage } = require('../browser');
+const { normalizePaging, sitePageRange } = require('./_pagination');
+const { checkForSelectorDrift } = require('./_errors');
+const { scrapeModelDetails } = require('./_details');
+const { checkCooldown, passChallenge } = require('./_challenge');
+const { createResult } = require('../result-schema');
+
+// Models shown per page of Cults3D search results
+const SITE_PAGE_SIZE = 48;
+
+// Extract model cards from a Cults3D search page.
+// Runs inside the page via page.evaluate, so it must not reference anything outside itself.
+// Pass maxItems to stop early; without it every card on the page is returned.
+function extractCults3dResults(maxItems) {
+    const items = [];
+    const seenUrls = new Set();
+
+    // Where each count sits in a card; its text is returned as shown (see _counts.js)
+    const statSelectors = {
+        likes: '.btn-like .counter, [class*="like"] [class*="count"]'
+    };
+
+    // Cults3D wraps each model in an article.crea card
+    const cards = Array.from(document.querySelectorAll('article.crea, article[class*="crea"]'));
+
+    console.log(`Cults3D: Found ${cards.length} model cards`);
+
+    cards.forEach((card, index) => {
+        if (maxItems && items.length >= maxItems) return;
+
+        const linkElem = card.querySelector('a[href*="/3d-model/"]');
+        if (!linkElem) return;
+
+        const link = linkElem.getAttribute('href');
+        if (seenUrls.has(link)) return;
+        seenUrls.add(link);
+
+        const title = card.querySelector('.tbox-title')?.textContent?.trim() ||
+            linkElem.getAttribute('title') ||
+            card.querySelector('img.painting-image')?.getAttribute('alt');
+
+        // Images are lazy-loaded: src holds a data: placeholder until scrolled into view
+        const imgElem = card.querySelector('img.painting-image') || card.querySelector('img:not(.avatar)');
+        let thumbnail = imgElem?.getAttribute('data-src') || imgElem?.getAttribute('src') || '';
+        if (thumbnail.startsWith('data:')) thumbnail = '';
+
+        const author = card.querySelector('a[href*="/users/"]')?.textContent?.trim() || 'Unknown';
+
+        const stats = {};
+        Object.entries(statSelectors).forEach(([stat, selector]) => {
+            const text = card.querySelector(selector)?.textContent?.trim();
+            if (text) stats[stat] = text;
+        });
+
+        console.log(`Cults3D Item ${index}: title="${title}", stats=${JSON.stringify(stats)}`);
+
+        if (title && link) {
+            items.push({
+                title,
+                link: link.startsWith('http') ? link : `https://cults3d.com${link}`,
+                thumbnail,
+                author,
+                stats
+            });
+        }
+    });
+
+    return items;
+}
+
+// Scraper for Cults3D using Puppeteer
+async function searchCults3d(query, options = {}) {
+    let page = null;
+    try {
+        const paging = normalizePaging(options);
+        const { first, last, skip } = sitePageRange(paging, SITE_PAGE_SIZE);
+
+        checkCooldown('cults3d', 'Cults3D');
+        page = await acquirePage('cults3d');
+
+        // Walk the site's result pages that overlap the requested page
+        let results = [];
+        for (let sitePage = first; sitePage <= last; sitePage++) {
+            const url = `https://cults3d.com/en/search?q=${encodeURIComponent(query)}&page=${sitePage}`;
+            console.log(`Cults3D: Fetching ${url}`);
+
+            await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+
+            try {
+                await passChallenge(page, { id: 'cults3d', name: 'Cults3D', ready: 'article.crea, article[class*="crea"]' });
+            } catch (error) {
+                // A challenge partway through the range: keep what we have
+                if (results.length > 0 && error.status === 'blocked') break;
+                throw error;
+            }
+
+            // Wait for the result grid rather than a fixed delay
+            await page.waitForSelector('article.crea, article[class*="crea"]', { timeout: 10000 }).catch(() => {
+                console.log('Cults3D: No model cards appeared');
+            });
+
+            const pageResults = await page.evaluate(extractCults3dResults);
+            results.push(...pageResults);
+
+            // Ran out of results before the end of the range
+            if (pageResults.length === 0) {
+                await checkForSelectorDrift(page, 'a[href*="/3d-model/"]', 'Cults3D');
+                break;
+            }
+        }
+        results = results.slice(skip, skip + paging.limit);
+
+        const formattedResults = results.map(item => createResult({
+            source: 'cults3d',
+            modelId: modelIdFromUrl(item.link),
+            title: item.title,
+            url: item.link,
+            author: item.author,
+            thumbnails: [item.thumbnail],
+            stats: item.stats
+        }));
+
+        console.log(`Cults3D: Found ${formattedResults.length} results`);
+        return formattedResults;
+
+    } catch (error) {
+        console.error('Cults3D search error:', error.message);
+        throw error;
+    } finally {
+        if (page) await releasePage(page);
+    }
+}
+
+// Model pages: https://cults3d.com/en/3d-model/<category>/<slug>
+function modelIdFromUrl(url) {
+    const match = String(url).match(/\/3d-model\/([\w-]+\/[\w-]+)/);
+    return match ? match[1] : null;
+}
+
+// Page URL for a model id, or null if the id isn't one of ours
+function modelUrl(id) {
+    return /^[\w-]+\/[\w-]+$/.test(String(id)) ? `https://cults3d.com/en/3d-model/${id}` : null;
+}
+
+// Where the model page keeps each detail (see extractModelDetails)
+const DETAIL_SELECTORS = {
+    title: 'h1',
+    author: '.painter a[href*="/users/"], a[href*="/users/"]',
+    description: '.product-description, [itemprop="description"]',
+    license: '.license a, [class*="license"]',
+    createdAt: 'time[datetime]',
+    gallery: '.product-gallery img, [class*="gallery"] img',
+    tags: 'a[href*="/tags/"]',
+    files: '.product-files li, [class*="file-list"] li',
+    fileName: '[class*="name"], span',
+    fileSize: '[class*="size"], small',
+    remixParent: '[class*="remix"] a[href*="/3d-model/"]'
+};
+
+function getCults3dDetails(id) {
+    return scrapeModelDetails(modelUrl(id), { id: 'cults3d', name: 'Cults3D', selectors: DETAIL_SELECTORS, waitFor: 'h1' });
+}
+
+module.exports = {
+    id: 'cults3d',
+    name: 'Cults3D',
+    color: 'pink',
+    capabilities: { likes: true, downloads: false, stats: ['likes'], pagination: true },
+    search: searchCults3d,
+    extractResults: extractCults3dResults,
+    modelIdFromUrl,
+    modelUrl,
+    detailSelectors: DETAIL_SELECTORS,
+    getDetails: getCults3dDetails
+};
@@ -0,0 +1,73 @@
+// providers/index.js - Registry of search providers
+//
+// Every other .js file in this directory is loaded as a provider. To add a
+// site, drop in a module that exports:
+//
+//   {
+//     id: 'example',              // Stable key used in results, cache and API
+//     name: 'Example',            // Display name for the UI
+//     color: 'purple',            // Tailwind palette name for badges
+//     capabilities: { ... },      // Which optional features the scraper supports,
+//                                 // and the stats it reports (see _counts.js)
+//     search: async (query, options) => [...]  // Normalized results
+//   }
+//
+// and optionally, for the model detail endpoint:
+//
+//     modelIdFromUrl: (url) => id,       // The site's model id from a result url
+//     modelUrl: (id) => url,             // Model page url, or null for an invalid id
+//     getDetails: async (id) => {...}    // Scraped model page (see _details.js)
+//
+// searchApi, the JSON fast path its search tries before scraping (see
+// _api.js), and cacheTtlMinutes, how long its search results stay fresh in
+// the cache (see search-cache.js).
+
+const fs = require('fs');
+const path = require('path');
+
+const providers = new Map();
+
+function registerProvider(provider) {
+    if (!provider || typeof provider.id !== 'string' || !provider.id) {
+        throw new Error('Provider must have a string id');
+    }
+    if (typeof provider.search !== 'function') {
+        throw new Error(`Provider "${provider.id}" must implement search(query, options)`);
+    }
+    if (providers.has(provider.id)) {
+        throw new Error(`Provider "${provider.id}" is already registered`);
+    }
+
+    providers.set(provider.id, {
+        name: provider.id,
+        color: 'gray',
+        ...provider,
+        capabilities: { ...provider.capabilities, details: typeof provider.getDetails === 'function' }
+    });
+}
+
+function getProvider(id) {
+    return providers.get(id) || null;
+}
+
+function getProviders() {
+    return Array.from(providers.values());
+}
+
+// Public description of a provider, without the search function
+function describeProvider(provider) {
+    return {
+        id: provider.id,
+        name: provider.name,
+        color: provider.color,
+        capabilities: provider.capabilities
+    };
+}
+
+// Load every provider module that sits next to this file
+fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js' && !file.startsWith('_'))
+    .sort()
+    .forEach(file => registerProvider(require(path.join(__dirname, file))));
+
+module.exports = { registerProvider, getProvider, getProviders, describeProvider };
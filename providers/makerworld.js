@@ -0,0 +1,255 @@
+// providers/makerworld.js - MakerWorld search provider
+
+const { acquirePage, releasePage } = require('../browser');
+const { normalizePaging, scrollUntil } = require('./_pagination');
+const { ProviderError, checkForSelectorDrift } = require('./_errors');
+const { scrapeModelDetails } = require('./_details');
+const { checkCooldown, passChallenge } = require('./_challenge');
+const { requestJson, searchWithFallback } = require('./_api');
+const { createResult } = require('../result-schema');
+
+// Extract model cards from a MakerWorld search page.
+// Runs inside the page via page.evaluate, so it must not reference anything outside itself.
+// Pass maxItems to stop early; without it every card on the page is returned.
+function extractMakerWorldResults(maxItems) {
+    const items = [];
+    const seenUrls = new Set(); // Track URLs to avoid duplicates
+
+    // Each count in a card's stats row is labeled by its title or an icon's
+    // aria-label; its text is returned as shown (see _counts.js)
+    const statSelectors = {
+        makes: '[title*="print" i], [aria-label*="print" i]',
+        likes: '[title*="like" i], [aria-label*="like" i]',
+        downloads: '[title*="download" i], [aria-label*="download" i]',
+        comments: '[title*="comment" i], [aria-label*="comment" i]',
+        collections: '[title*="collect" i], [aria-label*="collect" i]'
+    };
+    // A labeled element's count: its own text or label, or for an icon the text beside it
+    const statText = (elem) => {
+        if (!elem) return null;
+        const icon = ['svg', 'i', 'img', 'use'].includes(elem.tagName.toLowerCase());
+        return [elem.textContent, elem.getAttribute('aria-label'), elem.getAttribute('title'),
+            icon ? elem.closest('span, div, button, a, li')?.textContent : '']
+            .map(text => (text || '').trim())
+            .find(text => /\d/.test(text)) || null;
+    };
+    // Unlabeled stats rows list prints, likes and downloads in that order
+    const statOrder = ['makes', 'likes', 'downloads'];
+    // Counts read by position from the number-only spans in a stats row, for
+    // markup that carries no labels
+    const positionalStats = (row) => {
+        const stats = {};
+        Array.from(row.querySelectorAll('span'))
+            .map(span => span.textContent.trim())
+            .filter(text => /^\d[\d,.]*\s*[kKmM]?$/.test(text))
+            .slice(0, statOrder.length)
+            .forEach((text, i) => { stats[statOrder[i]] = text; });
+        return stats;
+    };
+
+    // MakerWorld uses links with /models/ or /en/models/
+    const selectors = [
+        'a[href*="/models/"]',
+        'a[href*="/en/models/"]'
+    ];
+
+    let elements = [];
+    let usedSelector = '';
+    for (const selector of selectors) {
+        elements = Array.from(document.querySelectorAll(selector));
+        if (elements.length > 0) {
+            usedSelector = selector;
+            break;
+        }
+    }
+
+    console.log(`MakerWorld: Found ${elements.length} elements using selector: ${usedSelector}`);
+
+    // Filter to only model links (not category or other links)
+    elements = elements.filter(elem => {
+        const href = elem.getAttribute('href');
+        return href && /\/models\/\d+/.test(href);
+    });
+
+    console.log(`MakerWorld: After filtering, ${elements.length} valid model links`);
+
+    elements.forEach((elem, index) => {
+        if (maxItems && items.length >= maxItems) return;
+
+        let link = elem.getAttribute('href');
+
+        // Skip if we've already processed this URL
+        if (seenUrls.has(link)) return;
+        seenUrls.add(link);
+
+        // The title is in the img alt attribute or h3
+        let title = elem.querySelector('img')?.getAttribute('alt') ||
+            elem.querySelector('h3')?.textContent?.trim() ||
+            elem.getAttribute('title') ||
+            elem.textContent?.trim();
+
+        // The image src
+        let thumbnail = elem.querySelector('img')?.getAttribute('src') ||
+            elem.querySelector('img')?.getAttribute('data-src');
+
+        // Author might be in a separate element
+        let author = elem.closest('[class*="card"]')?.querySelector('[class*="author"], [class*="creator"]')?.textContent?.trim();
+
+        // Stats - the labeled counts in the card's stats row, or by position when none are labeled
+        const cardParent = elem.closest('[class*="card"]') || elem.parentElement;
+        const statsRow = cardParent?.querySelector('[class*="stats"]') || cardParent;
+        let stats = {};
+        if (statsRow) {
+            Object.entries(statSelectors).forEach(([stat, selector]) => {
+                const text = statText(statsRow.querySelector(selector));
+                if (text) stats[stat] = text;
+            });
+            if (Object.keys(stats).length === 0) stats = positionalStats(statsRow);
+        }
+
+        console.log(`MakerWorld Item ${items.length}: title="${title}", stats=${JSON.stringify(stats)}`);
+
+        if (title && link) {
+            items.push({
+                title,
+                link: link.startsWith('http') ? link : `https://makerworld.com${link}`,
+                thumbnail: thumbnail || '',
+                author: author || 'Unknown',
+                stats
+            });
+        }
+    });
+
+    return items;
+}
+
+// Search through the JSON endpoint the MakerWorld search page loads its results from
+async function searchMakerWorldApi(query, options = {}) {
+    const paging = normalizePaging(options);
+    const data = await requestJson('https://makerworld.com/api/v1/search-service/select/design2', {
+        params: { keyword: query, limit: paging.limit, offset: (paging.page - 1) * paging.limit },
+        headers: { Referer: 'https://makerworld.com/en/search/models' }
+    });
+    if (!Array.isArray(data.hits)) {
+        throw new ProviderError('parse_error', 'MakerWorld API answered without a list of models');
+    }
+
+    return data.hits.filter(hit => hit.id && hit.title).map(hit => createResult({
+        source: 'makerworld',
+        modelId: hit.id,
+        title: hit.title,
+        url: `https://makerworld.com/en/models/${hit.id}${hit.slug ? `-${hit.slug}` : ''}`,
+        author: hit.designCreator?.name,
+        thumbnails: [hit.cover],
+        stats: {
+            likes: hit.likeCount,
+            downloads: hit.downloadCount,
+            makes: hit.printCount,
+            comments: hit.commentCount,
+            collections: hit.collectionCount
+        }
+    }));
+}
+
+// Scraper for MakerWorld using Puppeteer
+async function scrapeMakerWorld(query, options = {}) {
+    let page = null;
+    try {
+        const paging = normalizePaging(options);
+        const offset = (paging.page - 1) * paging.limit;
+        const url = `https://makerworld.com/en/search/models?keyword=${encodeURIComponent(query)}`;
+        console.log(`MakerWorld: Fetching ${url}`);
+
+        checkCooldown('makerworld', 'MakerWorld');
+        page = await acquirePage('makerworld');
+
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+
+        // Cloudflare often checks the browser first; wait until the result cards show
+        await passChallenge(page, { id: 'makerworld', name: 'MakerWorld', ready: 'a[href*="/models/"] img' });
+
+        // Search results load on scroll; each card has one image link
+        await scrollUntil(page, 'a[href*="/models/"] img', offset + paging.limit);
+
+        const results = await page.evaluate(extractMakerWorldResults, offset + paging.limit);
+
+        if (results.length === 0) {
+            await checkForSelectorDrift(page, 'a[href*="/models/"] img', 'MakerWorld');
+        }
+
+        const formattedResults = results.slice(offset).map(item => createResult({
+            source: 'makerworld',
+            modelId: modelIdFromUrl(item.link),
+            title: item.title,
+            url: item.link,
+            author: item.author,
+            thumbnails: [item.thumbnail],
+            stats: item.stats
+        }));
+
+        console.log(`MakerWorld: Found ${formattedResults.length} results`);
+        return formattedResults;
+
+    } catch (error) {
+        console.error('MakerWorld search error:', error.message);
+        throw error;
+    } finally {
+        if (page) await releasePage(page);
+    }
+}
+
+// Model pages: https://makerworld.com/en/models/<id>-<slug>
+function modelIdFromUrl(url) {
+    const match = String(url).match(/\/models\/(\d+)/);
+    return match ? match[1] : null;
+}
+
+// Page URL for a model id, or null if the id isn't one of ours
+function modelUrl(id) {
+    return /^\d+$/.test(String(id)) ? `https://makerworld.com/en/models/${id}` : null;
+}
+
+// Where the model page keeps each detail (see extractModelDetails)
+const DETAIL_SELECTORS = {
+    title: 'h1',
+    author: 'a[href*="/@"]',
+    description: '[class*="description"], [class*="Description"]',
+    license: '[class*="license"], [class*="License"]',
+    createdAt: 'time[datetime], [class*="publish"]',
+    gallery: '[class*="swiper"] img, [class*="gallery"] img',
+    tags: 'a[href*="/search/models?keyword"], [class*="tag"] a',
+    files: '[class*="file-item"], [class*="FileItem"]',
+    fileName: '[class*="name"]',
+    fileSize: '[class*="size"]',
+    printSettings: '[class*="print-profile"] [class*="item"], [class*="PrintProfile"] li',
+    settingLabel: '[class*="label"], [class*="key"]',
+    settingValue: '[class*="value"]',
+    remixParent: '[class*="remix"] a[href*="/models/"]'
+};
+
+// The JSON endpoint, falling back to the scraper when it fails
+function searchMakerWorld(query, options = {}) {
+    return searchWithFallback(
+        { id: 'makerworld', name: 'MakerWorld' },
+        () => searchMakerWorldApi(query, options),
+        () => scrapeMakerWorld(query, options)
+    );
+}
+
+function getMakerWorldDetails(id) {
+    return scrapeModelDetails(modelUrl(id), { id: 'makerworld', name: 'MakerWorld', selectors: DETAIL_SELECTORS, waitFor: 'h1' });
+}
+
+module.exports = {
+    id: 'makerworld',
+    name: 'MakerWorld',
+    color: 'green',
+    capabilities: { likes: true, downloads: true, stats: ['likes', 'downloads', 'makes', 'comments', 'collections'], pagination: true },
+    search: searchMakerWorld,
+    searchApi: searchMakerWorldApi,
+    extractResults: extractMakerWorldResults,
+    modelIdFromUrl,
+    modelUrl,
+    detailSelectors: DETAIL_SELECTORS,
+    getDetails: getMakerWorldDetails
+};
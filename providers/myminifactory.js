@@ -0,0 +1,181 @@
+// providers/myminifactory.js - MyMiniFactory search provider
+
+const { acquirePage, releasePage } = require('../browser');
+const { normalizePaging, sitePageRange } = require('./_pagination');
+const { checkForSelectorDrift } = require('./_errors');
+const { scrapeModelDetails } = require('./_details');
+const { checkCooldown, passChallenge } = require('./_challenge');
+const { createResult } = require('../result-schema');
+
+// Models shown per page of MyMiniFactory search results
+const SITE_PAGE_SIZE = 24;
+
+// Extract model cards from a MyMiniFactory search page.
+// Runs inside the page via page.evaluate, so it must not reference anything outside itself.
+// Pass maxItems to stop early; without it every card on the page is returned.
+function extractMyMiniFactoryResults(maxItems) {
+    const items = [];
+    const seenUrls = new Set();
+
+    // Where each count sits in a card; its text is returned as shown (see _counts.js)
+    const statSelectors = {
+        likes: '[class*="likes"], [title="Likes"]',
+        views: '[class*="views"], [title="Views"]'
+    };
+
+    // Each result is a card carrying the object id as a data attribute
+    const cards = Array.from(document.querySelectorAll('[data-object-id]'));
+
+    console.log(`MyMiniFactory: Found ${cards.length} object cards`);
+
+    cards.forEach((card, index) => {
+        if (maxItems && items.length >= maxItems) return;
+
+        const linkElem = card.querySelector('a[href*="/object/"]');
+        if (!linkElem) return;
+
+        const link = linkElem.getAttribute('href');
+        if (seenUrls.has(link)) return;
+        seenUrls.add(link);
+
+        const title = card.querySelector('[class*="title"]')?.textContent?.trim() ||
+            card.querySelector('img')?.getAttribute('alt') ||
+            linkElem.textContent?.trim();
+
+        // Skip the designer avatar, which sits inside the author link
+        const imgElem = Array.from(card.querySelectorAll('img')).find(img => !img.closest('a[href*="/users/"]'));
+        const thumbnail = imgElem?.getAttribute('src') || imgElem?.getAttribute('data-src') || '';
+
+        const author = card.querySelector('a[href*="/users/"]')?.textContent?.trim() || 'Unknown';
+
+        const stats = {};
+        Object.entries(statSelectors).forEach(([stat, selector]) => {
+            const text = card.querySelector(selector)?.textContent?.trim();
+            if (text) stats[stat] = text;
+        });
+
+        console.log(`MyMiniFactory Item ${index}: title="${title}", stats=${JSON.stringify(stats)}`);
+
+        if (title && link) {
+            items.push({
+                title,
+                link: link.startsWith('http') ? link : `https://www.myminifactory.com${link}`,
+                thumbnail,
+                author,
+                stats
+            });
+        }
+    });
+
+    return items;
+}
+
+// Scraper for MyMiniFactory using Puppeteer
+async function searchMyMiniFactory(query, options = {}) {
+    let page = null;
+    try {
+        const paging = normalizePaging(options);
+        const { first, last, skip } = sitePageRange(paging, SITE_PAGE_SIZE);
+
+        checkCooldown('myminifactory', 'MyMiniFactory');
+        page = await acquirePage('myminifactory');
+
+        // Walk the site's result pages that overlap the requested page
+        let results = [];
+        for (let sitePage = first; sitePage <= last; sitePage++) {
+            const url = `https://www.myminifactory.com/search?query=${encodeURIComponent(query)}&page=${sitePage}`;
+            console.log(`MyMiniFactory: Fetching ${url}`);
+
+            await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+
+            try {
+                await passChallenge(page, { id: 'myminifactory', name: 'MyMiniFactory', ready: '[data-object-id]' });
+            } catch (error) {
+                // A challenge partway through the range: keep what we have
+                if (results.length > 0 && error.status === 'blocked') break;
+                throw error;
+            }
+
+            // Wait for the result grid rather than a fixed delay
+            await page.waitForSelector('[data-object-id]', { timeout: 10000 }).catch(() => {
+                console.log('MyMiniFactory: No object cards appeared');
+            });
+
+
+            const pageResults = await page.evaluate(extractMyMiniFactoryResults);
+            results.push(...pageResults);
+
+            // Ran out of results before the end of the range
+            if (pageResults.length === 0) {
+                await checkForSelectorDrift(page, 'a[href*="/object/"]', 'MyMiniFactory');
+                break;
+            }
+        }
+        results = results.slice(skip, skip + paging.limit);
+
+        const formattedResults = results.map(item => createResult({
+            source: 'myminifactory',
+            modelId: modelIdFromUrl(item.link),
+            title: item.title,
+            url: item.link,
+            author: item.author,
+            thumbnails: [item.thumbnail],
+            stats: item.stats
+        }));
+
+        console.log(`MyMiniFactory: Found ${formattedResults.length} results`);
+        return formattedResults;
+
+    } catch (error) {
+        console.error('MyMiniFactory search error:', error.message);
+        throw error;
+    } finally {
+        if (page) await releasePage(page);
+    }
+}
+
+// Model pages: https://www.myminifactory.com/object/<slug>-<id>
+function modelIdFromUrl(url) {
+    const match = String(url).match(/\/object\/([a-z0-9-]+)/i);
+    return match ? match[1] : null;
+}
+
+// Page URL for a model id, or null if the id isn't one of ours
+function modelUrl(id) {
+    return /^[a-z0-9-]+$/i.test(String(id)) ? `https://www.myminifactory.com/object/${id}` : null;
+}
+
+// Where the model page keeps each detail (see extractModelDetails)
+const DETAIL_SELECTORS = {
+    title: 'h1',
+    author: 'a[href*="/users/"]',
+    description: '.object-description, [class*="description"]',
+    license: '[class*="license"] a, [class*="license"]',
+    createdAt: 'time[datetime], [class*="publish"]',
+    gallery: '.gallery img, [class*="gallery"] img, [class*="carousel"] img',
+    tags: 'a[href*="/search/?tag"], a[href*="/tag/"]',
+    files: '[class*="file-list"] li, [class*="object-file"]',
+    fileName: '[class*="name"]',
+    fileSize: '[class*="size"]',
+    printSettings: '[class*="print-details"] li, [class*="print-settings"] li',
+    settingLabel: 'strong, [class*="label"]',
+    settingValue: 'span, [class*="value"]',
+    remixParent: '[class*="remix"] a[href*="/object/"]'
+};
+
+function getMyMiniFactoryDetails(id) {
+    return scrapeModelDetails(modelUrl(id), { id: 'myminifactory', name: 'MyMiniFactory', selectors: DETAIL_SELECTORS, waitFor: 'h1' });
+}
+
+module.exports = {
+    id: 'myminifactory',
+    name: 'MyMiniFactory',
+    color: 'indigo',
+    capabilities: { likes: true, downloads: false, stats: ['likes', 'views'], pagination: true },
+    search: searchMyMiniFactory,
+    extractResults: extractMyMiniFactoryResults,
+    modelIdFromUrl,
+    modelUrl,
+    detailSelectors: DETAIL_SELECTORS,
+    getDetails: getMyMiniFactoryDetails
+};
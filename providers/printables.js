@@ -0,0 +1,289 @@
+// providers/printables.js - Printables search provider
+
+const { acquirePage, releasePage } = require('../browser');
+const { normalizePaging, scrollUntil } = require('./_pagination');
+const { ProviderError, checkForSelectorDrift } = require('./_errors');
+const { scrapeModelDetails } = require('./_details');
+const { acceptConsent, checkCooldown, passChallenge } = require('./_challenge');
+const { requestJson, searchWithFallback } = require('./_api');
+const { createResult } = require('../result-schema');
+
+// The search the Printables frontend sends to its GraphQL API
+const SEARCH_QUERY = `
+  query SearchModels($query: String!, $limit: Int!, $offset: Int!) {
+    result: searchPrints2(query: $query, limit: $limit, offset: $offset) {
+      items {
+        id
+        name
+        slug
+        likesCount
+        downloadCount
+        makesCount
+        image { filePath }
+        user { publicUsername }
+      }
+    }
+  }
+`;
+
+// Extract model cards from a Printables search page.
+// Runs inside the page via page.evaluate, so it must not reference anything outside itself.
+// Pass maxItems to stop early; without it every card on the page is returned.
+function extractPrintablesResults(maxItems) {
+    const items = [];
+
+    // The stats bar marks each count with an icon labeled by aria-label or
+    // title; the count's text is returned as shown (see _counts.js)
+    const statSelectors = {
+        likes: '[aria-label*="like" i], [title*="like" i]',
+        makes: '[aria-label*="make" i], [title*="make" i]',
+        downloads: '[aria-label*="download" i], [title*="download" i]'
+    };
+    // A labeled element's count: its own text or label, or for an icon the text beside it
+    const statText = (elem) => {
+        if (!elem) return null;
+        const icon = ['svg', 'i', 'img', 'use'].includes(elem.tagName.toLowerCase());
+        return [elem.textContent, elem.getAttribute('aria-label'), elem.getAttribute('title'),
+            icon ? elem.closest('span, div, button, a, li')?.textContent : '']
+            .map(text => (text || '').trim())
+            .find(text => /\d/.test(text)) || null;
+    };
+    // Unlabeled stats bars list likes, makes and downloads in that order
+    const statOrder = ['likes', 'makes', 'downloads'];
+    // Counts read by position from the number-only spans in a stats row, for
+    // markup that carries no labels
+    const positionalStats = (row) => {
+        const stats = {};
+        Array.from(row.querySelectorAll('span'))
+            .map(span => span.textContent.trim())
+            .filter(text => /^\d[\d,.]*\s*[kKmM]?$/.test(text))
+            .slice(0, statOrder.length)
+            .forEach((text, i) => { stats[statOrder[i]] = text; });
+        return stats;
+    };
+
+    // Printables uses article elements with data-testid="model"
+    const articles = Array.from(document.querySelectorAll('article[data-testid="model"]'));
+
+    console.log(`Printables: Found ${articles.length} model cards`);
+
+    articles.forEach((article, index) => {
+        if (maxItems && items.length >= maxItems) return;
+
+        // Find the main link to the model
+        const linkElem = article.querySelector('a[href*="/model/"]');
+        if (!linkElem) return;
+
+        const link = linkElem.getAttribute('href');
+
+        // Title is in the link text or in an h5
+        let title = article.querySelector('h5')?.textContent?.trim() ||
+            linkElem.textContent?.trim();
+
+        // Image - IMPORTANT: Skip profile pictures, find the model image
+        // Model images are inside <picture class="image-inside"> elements
+        let thumbnail = '';
+
+        // First, try to find the picture element with image-inside class
+        const pictureElem = article.querySelector('picture.image-inside, picture[class*="image-inside"]');
+        if (pictureElem) {
+            // Try to get from source elements first (for responsive images)
+            const sourceElem = pictureElem.querySelector('source');
+            if (sourceElem) {
+                thumbnail = sourceElem.getAttribute('srcset')?.split(',')[0]?.split(' ')[0] ||
+                    sourceElem.getAttribute('src');
+            }
+            // Fall back to img in the picture element
+            if (!thumbnail) {
+                const imgElem = pictureElem.querySelector('img');
+                if (imgElem) {
+                    thumbnail = imgElem.getAttribute('src') || imgElem.getAttribute('data-src');
+                }
+            }
+        }
+
+        // If still no thumbnail, try finding any img that's not in an avatar link
+        if (!thumbnail) {
+            const allImages = Array.from(article.querySelectorAll('img'));
+            for (const img of allImages) {
+                // Skip if parent is an avatar link
+                if (img.closest('a[class*="avatar"]')) continue;
+
+                thumbnail = img.getAttribute('src') || img.getAttribute('data-src');
+                if (thumbnail) break;
+            }
+        }
+
+        // Author - the user link with a name in it (the avatar links to the same profile)
+        let authorElem = Array.from(article.querySelectorAll('a[href*="/@"]')).find(a => a.textContent.trim());
+        let author = authorElem?.textContent?.trim() || 'Unknown';
+
+        // Stats - the labeled counts in the stats bar, or by position when none are labeled
+        const statsBar = article.querySelector('[class*="stats"]') || article;
+        let stats = {};
+        Object.entries(statSelectors).forEach(([stat, selector]) => {
+            const text = statText(statsBar.querySelector(selector));
+            if (text) stats[stat] = text;
+        });
+        if (Object.keys(stats).length === 0) stats = positionalStats(statsBar);
+
+        console.log(`Printables Item ${index}: title="${title}", stats=${JSON.stringify(stats)}, thumbnail=${thumbnail?.substring(0, 50)}`);
+
+        if (title && link) {
+            items.push({
+                title,
+                link: link.startsWith('http') ? link : `https://www.printables.com${link}`,
+                thumbnail: thumbnail || '',
+                author,
+                stats
+            });
+        }
+    });
+
+    return items;
+}
+
+// Search through the GraphQL API the Printables frontend uses
+async function searchPrintablesApi(query, options = {}) {
+    const paging = normalizePaging(options);
+    const data = await requestJson('https://api.printables.com/graphql/', {
+        method: 'post',
+        data: {
+            operationName: 'SearchModels',
+            query: SEARCH_QUERY,
+            variables: { query, limit: paging.limit, offset: (paging.page - 1) * paging.limit }
+        },
+        headers: { Origin: 'https://www.printables.com', Referer: 'https://www.printables.com/' }
+    });
+    if (data.errors?.length) {
+        throw new ProviderError('error', `Printables API: ${data.errors[0].message}`);
+    }
+    const items = data.data?.result?.items;
+    if (!Array.isArray(items)) {
+        throw new ProviderError('parse_error', 'Printables API answered without a list of models');
+    }
+
+    return items.filter(item => item.id && item.name).map(item => createResult({
+        source: 'printables',
+        modelId: item.id,
+        title: item.name,
+        url: `https://www.printables.com/model/${item.id}${item.slug ? `-${item.slug}` : ''}`,
+        author: item.user?.publicUsername,
+        thumbnails: item.image?.filePath ? [`https://media.printables.com/${item.image.filePath}`] : [],
+        stats: { likes: item.likesCount, downloads: item.downloadCount, makes: item.makesCount }
+    }));
+}
+
+// Scraper for Printables.com using Puppeteer
+async function scrapePrintables(query, options = {}) {
+    let page = null;
+    try {
+        const paging = normalizePaging(options);
+        const offset = (paging.page - 1) * paging.limit;
+        const url = `https://www.printables.com/search/models?q=${encodeURIComponent(query)}`;
+        console.log(`Printables: Fetching ${url}`);
+
+        checkCooldown('printables', 'Printables');
+        page = await acquirePage('printables');
+
+        // Navigate to the page
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+
+        await passChallenge(page, { id: 'printables', name: 'Printables', ready: 'article[data-testid="model"]' });
+
+        // The consent cookie is kept in the profile, so the banner only shows
+        // on a new profile or once the cookie expires
+        await acceptConsent(page, {
+            id: 'printables',
+            name: 'Printables',
+            texts: ['Accept all', 'Accept all cookies'],
+            selector: 'button[class*="accept"], #onetrust-accept-btn-handler'
+        });
+
+        // Search results load on scroll, so keep scrolling until the requested page is on screen
+        await scrollUntil(page, 'article[data-testid="model"]', offset + paging.limit);
+
+        // Extract data from the page
+        const results = await page.evaluate(extractPrintablesResults, offset + paging.limit);
+
+        if (results.length === 0) {
+            await checkForSelectorDrift(page, 'a[href*="/model/"]', 'Printables');
+        }
+
+        // Transform to our format
+        const formattedResults = results.slice(offset).map(item => createResult({
+            source: 'printables',
+            modelId: modelIdFromUrl(item.link),
+            title: item.title,
+            url: item.link,
+            author: item.author,
+            thumbnails: [item.thumbnail],
+            stats: item.stats
+        }));
+
+        console.log(`Printables: Found ${formattedResults.length} results`);
+        return formattedResults;
+
+    } catch (error) {
+        console.error('Printables search error:', error.message);
+        throw error;
+    } finally {
+        if (page) await releasePage(page);
+    }
+}
+
+// Model pages: https://www.printables.com/model/<id>-<slug>
+function modelIdFromUrl(url) {
+    const match = String(url).match(/\/model\/(\d+)/);
+    return match ? match[1] : null;
+}
+
+// Page URL for a model id, or null if the id isn't one of ours
+function modelUrl(id) {
+    return /^\d+$/.test(String(id)) ? `https://www.printables.com/model/${id}` : null;
+}
+
+// Where the model page keeps each detail (see extractModelDetails)
+const DETAIL_SELECTORS = {
+    title: 'h1',
+    author: 'a[href*="/@"] [class*="name"], a[href*="/@"]',
+    description: '[class*="user-inserted"], [class*="description"]',
+    license: 'a[href*="/license"], [class*="license"]',
+    createdAt: 'time[datetime]',
+    gallery: '[class*="gallery"] img, [class*="Gallery"] img',
+    tags: 'a[href*="/tag/"]',
+    files: '[class*="file-list"] [class*="file"], [data-testid="file"]',
+    fileName: '[class*="name"], h5',
+    fileSize: '[class*="size"]',
+    printSettings: '[class*="print-settings"] [class*="row"], [class*="parameters"] dl > div',
+    settingLabel: 'dt, [class*="label"]',
+    settingValue: 'dd, [class*="value"]',
+    remixParent: '[class*="remix"] a[href*="/model/"]'
+};
+
+// The GraphQL API, falling back to the scraper when it fails
+function searchPrintables(query, options = {}) {
+    return searchWithFallback(
+        { id: 'printables', name: 'Printables' },
+        () => searchPrintablesApi(query, options),
+        () => scrapePrintables(query, options)
+    );
+}
+
+function getPrintablesDetails(id) {
+    return scrapeModelDetails(modelUrl(id), { id: 'printables', name: 'Printables', selectors: DETAIL_SELECTORS, waitFor: 'h1' });
+}
+
+module.exports = {
+    id: 'printables',
+    name: 'Printables',
+    color: 'orange',
+    capabilities: { likes: true, downloads: true, stats: ['likes', 'makes', 'downloads'], pagination: true },
+    search: searchPrintables,
+    searchApi: searchPrintablesApi,
+    extractResults: extractPrintablesResults,
+    modelIdFromUrl,
+    modelUrl,
+    detailSelectors: DETAIL_SELECTORS,
+    getDetails: getPrintablesDetails
+};
@@ -0,0 +1,164 @@
+// providers/thangs.js - Thangs search provider
+
+const { acquirePage, releasePage } = require('../browser');
+const { normalizePaging, scrollUntil } = require('./_pagination');
+const { checkForSelectorDrift } = require('./_errors');
+const { scrapeModelDetails } = require('./_details');
+const { checkCooldown, passChallenge } = require('./_challenge');
+const { createResult } = require('../result-schema');
+
+// Extract model cards from a Thangs search page.
+// Runs inside the page via page.evaluate, so it must not reference anything outside itself.
+// Pass maxItems to stop early; without it every card on the page is returned.
+function extractThangsResults(maxItems) {
+    const items = [];
+    const seenUrls = new Set();
+
+    // Where each count sits in a card; its text is returned as shown (see _counts.js)
+    const statSelectors = {
+        likes: '[data-testid="like-count"]',
+        downloads: '[data-testid="download-count"]'
+    };
+
+    // Thangs marks result cards with a test id; the class names are hashed CSS modules
+    const cards = Array.from(document.querySelectorAll('[data-testid="search-result-card"]'));
+
+    console.log(`Thangs: Found ${cards.length} result cards`);
+
+    cards.forEach((card, index) => {
+        if (maxItems && items.length >= maxItems) return;
+
+        const linkElem = card.querySelector('a[href*="/3d-model/"]');
+        if (!linkElem) return;
+
+        const link = linkElem.getAttribute('href');
+        if (seenUrls.has(link)) return;
+        seenUrls.add(link);
+
+        const title = card.querySelector('[class*="title"]')?.textContent?.trim() ||
+            card.querySelector('img')?.getAttribute('alt') ||
+            linkElem.textContent?.trim();
+
+        const thumbnail = linkElem.querySelector('img')?.getAttribute('src') ||
+            card.querySelector('img')?.getAttribute('src') || '';
+
+        // The owner link points at the designer profile, without the /3d-model/ part
+        const authorElem = Array.from(card.querySelectorAll('a[href^="/designer/"]'))
+            .find(a => !a.getAttribute('href').includes('/3d-model/'));
+        const author = authorElem?.textContent?.trim() || 'Unknown';
+
+        const stats = {};
+        Object.entries(statSelectors).forEach(([stat, selector]) => {
+            const text = card.querySelector(selector)?.textContent?.trim();
+            if (text) stats[stat] = text;
+        });
+
+        console.log(`Thangs Item ${index}: title="${title}", stats=${JSON.stringify(stats)}`);
+
+        if (title && link) {
+            items.push({
+                title,
+                link: link.startsWith('http') ? link : `https://thangs.com${link}`,
+                thumbnail,
+                author,
+                stats
+            });
+        }
+    });
+
+    return items;
+}
+
+// Scraper for Thangs using Puppeteer
+async function searchThangs(query, options = {}) {
+    let page = null;
+    try {
+        const paging = normalizePaging(options);
+        const offset = (paging.page - 1) * paging.limit;
+        const url = `https://thangs.com/search/${encodeURIComponent(query)}?scope=all`;
+        console.log(`Thangs: Fetching ${url}`);
+
+        checkCooldown('thangs', 'Thangs');
+        page = await acquirePage('thangs');
+
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+
+        await passChallenge(page, { id: 'thangs', name: 'Thangs', ready: '[data-testid="search-result-card"]' });
+
+        // Wait for the result grid rather than a fixed delay
+        await page.waitForSelector('[data-testid="search-result-card"]', { timeout: 10000 }).catch(() => {
+            console.log('Thangs: No result cards appeared');
+        });
+
+
+        // More results load as the grid is scrolled
+        await scrollUntil(page, '[data-testid="search-result-card"]', offset + paging.limit);
+
+        const results = await page.evaluate(extractThangsResults, offset + paging.limit);
+        if (results.length === 0) {
+            await checkForSelectorDrift(page, 'a[href*="/3d-model/"]', 'Thangs');
+        }
+
+        const formattedResults = results.slice(offset).map(item => createResult({
+            source: 'thangs',
+            modelId: modelIdFromUrl(item.link),
+            title: item.title,
+            url: item.link,
+            author: item.author,
+            thumbnails: [item.thumbnail],
+            stats: item.stats
+        }));
+
+        console.log(`Thangs: Found ${formattedResults.length} results`);
+        return formattedResults;
+
+    } catch (error) {
+        console.error('Thangs search error:', error.message);
+        throw error;
+    } finally {
+        if (page) await releasePage(page);
+    }
+}
+
+// Model pages: https://thangs.com/designer/<user>/3d-model/<slug>-<id>, or the short https://thangs.com/m/<id>
+function modelIdFromUrl(url) {
+    const match = String(url).match(/\/3d-model\/[^/?#]*-(\d+)(?:[/?#]|$)|\/m\/(\d+)/);
+    return match ? match[1] || match[2] : null;
+}
+
+// Page URL for a model id, or null if the id isn't one of ours
+function modelUrl(id) {
+    return /^\d+$/.test(String(id)) ? `https://thangs.com/m/${id}` : null;
+}
+
+// Where the model page keeps each detail (see extractModelDetails)
+const DETAIL_SELECTORS = {
+    title: 'h1',
+    author: 'a[href*="/designer/"]',
+    description: '[data-testid="model-description"], [class*="Description"]',
+    license: '[data-testid="model-license"], [class*="License"]',
+    createdAt: 'time[datetime]',
+    gallery: '[data-testid="model-gallery"] img, [class*="Gallery"] img',
+    tags: '[data-testid="model-tag"], a[href*="/search/"][href*="scope=tag"]',
+    files: '[data-testid="model-file"], [class*="FileRow"]',
+    fileName: '[data-testid="file-name"], [class*="FileName"]',
+    fileSize: '[data-testid="file-size"], [class*="FileSize"]',
+    remixParent: '[data-testid="remix-parent"] a'
+};
+
+function getThangsDetails(id) {
+    return scrapeModelDetails(modelUrl(id), { id: 'thangs', name: 'Thangs', selectors: DETAIL_SELECTORS, waitFor: 'h1' });
+}
+
+module.exports = {
+    id: 'thangs',
+    name: 'Thangs',
+    color: 'purple',
+    capabilities: { likes: true, downloads: true, stats: ['likes', 'downloads'], pagination: true },
+    search: searchThangs,
+    extractResults: extractThangsResults,
+    modelIdFromUrl,
+    modelUrl,
+    detailSelectors: DETAIL_SELECTORS,
+    getDetails: getThangsDetails
+};
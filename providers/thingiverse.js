@@ -0,0 +1,278 @@
+// providers/thingiverse.js - Thingiverse search provider
+
+const { acquirePage, releasePage } = require('../browser');
+const { normalizePaging, sitePageRange } = require('./_pagination');
+const { ProviderError, checkForSelectorDrift } = require('./_errors');
+const { scrapeModelDetails } = require('./_details');
+const { checkCooldown, passChallenge } = require('./_challenge');
+const { requestJson, searchWithFallback } = require('./_api');
+const { createResult } = require('../result-schema');
+
+// Things shown per page of Thingiverse search results
+const SITE_PAGE_SIZE = 20;
+
+// Extract thing cards from a Thingiverse search page.
+// Runs inside the page via page.evaluate, so it must not reference anything outside itself.
+// Pass maxItems to stop early; without it every card on the page is returned.
+function extractThingiverseResults(maxItems) {
+    const items = [];
+
+    // Each stat is found by its label (class name, aria-label or title) in the
+    // card footer, and its text is returned as shown (see _counts.js)
+    const statSelectors = {
+        likes: '[class*="likes"], [aria-label*="like" i], [title*="like" i]',
+        comments: '[class*="comments"], [aria-label*="comment" i], [title*="comment" i]',
+        collections: '[class*="collect"], [aria-label*="collect" i], [title*="collect" i]',
+        makes: '[class*="makes"], [aria-label*="make" i], [title*="make" i]'
+    };
+    // A labeled element's count: its own text or label, or for an icon the text beside it
+    const statText = (elem) => {
+        if (!elem) return null;
+        const icon = ['svg', 'i', 'img', 'use'].includes(elem.tagName.toLowerCase());
+        return [elem.textContent, elem.getAttribute('aria-label'), elem.getAttribute('title'),
+            icon ? elem.closest('span, div, button, a, li')?.textContent : '']
+            .map(text => (text || '').trim())
+            .find(text => /\d/.test(text)) || null;
+    };
+    // An unlabeled footer shows only the like count
+    const statOrder = ['likes'];
+    // Counts read by position from the number-only spans in a stats row, for
+    // markup that carries no labels
+    const positionalStats = (row) => {
+        const stats = {};
+        Array.from(row.querySelectorAll('span'))
+            .map(span => span.textContent.trim())
+            .filter(text => /^\d[\d,.]*\s*[kKmM]?$/.test(text))
+            .slice(0, statOrder.length)
+            .forEach((text, i) => { stats[statOrder[i]] = text; });
+        return stats;
+    };
+
+    try {
+        // Thingiverse uses ItemCardContainer divs
+        const cards = Array.from(document.querySelectorAll('div[class*="ItemCardContainer"]'));
+
+        console.log(`Thingiverse: Found ${cards.length} card containers`);
+
+        cards.forEach((card, index) => {
+            if (maxItems && items.length >= maxItems) return;
+
+            try {
+                // Find the main content link (the one with the image)
+                const linkElem = card.querySelector('a[class*="ItemCardContent"][href*="/thing:"]');
+                if (!linkElem) return;
+
+                const link = linkElem.getAttribute('href');
+
+                // Title is in an 'a' tag in the header section
+                const titleElem = card.querySelector('a[class*="ItemCardTitle"]') ||
+                    card.querySelector('div[class*="ItemCardHeader"] a[title]');
+                let title = titleElem?.getAttribute('title') ||
+                    titleElem?.textContent?.trim() ||
+                    'Untitled';
+
+                // Image with ItemCardContent class
+                let thumbnail = card.querySelector('img[class*="ItemCardContent"]')?.getAttribute('src') ||
+                    card.querySelector('img')?.getAttribute('src') ||
+                    card.querySelector('img')?.getAttribute('data-src');
+
+                // Author - in ItemCardHeader, next to the title link (which has a title attribute)
+                const authorElem = card.querySelector('div[class*="ItemCardHeader"] a[href*="/"]:not([title])');
+                let author = authorElem?.textContent?.trim() || 'Unknown';
+
+                // Stats sit in the footer, away from titles that may contain numbers
+                const footer = card.querySelector('div[class*="ItemCardFooter"]') || card;
+                let stats = {};
+                Object.entries(statSelectors).forEach(([stat, selector]) => {
+                    const text = statText(footer.querySelector(selector));
+                    if (text) stats[stat] = text;
+                });
+                if (Object.keys(stats).length === 0) stats = positionalStats(footer);
+
+                console.log(`Thingiverse Item ${index}: title="${title}", link="${link}"`);
+
+                if (title && link) {
+                    items.push({
+                        title,
+                        link: link.startsWith('http') ? link : `https://www.thingiverse.com${link}`,
+                        thumbnail: thumbnail || '',
+                        author,
+                        stats
+                    });
+                }
+            } catch (err) {
+                console.log(`Thingiverse: Error processing card ${index}:`, err.message);
+            }
+        });
+    } catch (err) {
+        console.log('Thingiverse: Error in evaluate:', err.message);
+    }
+
+    return items;
+}
+
+// Search through Thingiverse's REST API. Needs an app token from
+// https://www.thingiverse.com/developers in THINGIVERSE_API_TOKEN; returns
+// null without one.
+async function searchThingiverseApi(query, options = {}) {
+    const token = process.env.THINGIVERSE_API_TOKEN;
+    if (!token) return null;
+
+    const paging = normalizePaging(options);
+    const data = await requestJson(`https://api.thingiverse.com/search/${encodeURIComponent(query)}`, {
+        params: { type: 'things', page: paging.page, per_page: paging.limit, sort: 'relevant' },
+        headers: { Authorization: `Bearer ${token}` }
+    });
+    if (!Array.isArray(data.hits)) {
+        throw new ProviderError('parse_error', 'Thingiverse API answered without a list of things');
+    }
+
+    return data.hits.filter(hit => hit.id && hit.name).map(hit => createResult({
+        source: 'thingiverse',
+        modelId: hit.id,
+        title: hit.name,
+        url: modelUrl(hit.id),
+        author: hit.creator?.name,
+        thumbnails: [hit.preview_image, hit.thumbnail],
+        stats: {
+            likes: hit.like_count,
+            comments: hit.comment_count,
+            collections: hit.collect_count,
+            makes: hit.make_count
+        }
+    }));
+}
+
+// Scraper for Thingiverse using Puppeteer
+async function scrapeThingiverse(query, options = {}) {
+    let page = null;
+    try {
+        const paging = normalizePaging(options);
+        const { first, last, skip } = sitePageRange(paging, SITE_PAGE_SIZE);
+
+        checkCooldown('thingiverse', 'Thingiverse');
+        page = await acquirePage('thingiverse');
+
+        // Walk the site's result pages that overlap the requested page
+        let results = [];
+        for (let sitePage = first; sitePage <= last; sitePage++) {
+            const url = `https://www.thingiverse.com/search?q=${encodeURIComponent(query)}&type=things&page=${sitePage}`;
+            console.log(`Thingiverse: Fetching ${url}`);
+
+            // Navigate with longer timeout and wait for DOM
+            await page.goto(url, {
+                waitUntil: 'domcontentloaded',
+                timeout: 30000
+            });
+
+            // Wait through any challenge page, then for the results to render
+            try {
+                await passChallenge(page, { id: 'thingiverse', name: 'Thingiverse', ready: 'a[href*="/thing:"]' });
+            } catch (error) {
+                // A challenge partway through the range: keep what we have
+                if (results.length > 0 && error.status === 'blocked') break;
+                throw error;
+            }
+            await page.waitForSelector('a[href*="/thing:"]', { timeout: 10000 }).catch(() => {
+                console.log('Thingiverse: No result cards appeared');
+            });
+
+            // Check page title to verify we're on the right page
+            const pageTitle = await page.title();
+            console.log('Thingiverse page title:', pageTitle);
+
+            // If we hit an error page, stop with what we have
+            if (pageTitle.includes('Error')) {
+                console.log('Thingiverse: Hit error page');
+                if (results.length > 0) break;
+                throw new ProviderError('error', `Thingiverse returned an error page: ${pageTitle}`);
+            }
+
+            const pageResults = await page.evaluate(extractThingiverseResults);
+
+            results.push(...pageResults);
+
+            // Ran out of results before the end of the range
+            if (pageResults.length === 0) {
+                await checkForSelectorDrift(page, 'a[href*="/thing:"]', 'Thingiverse');
+                break;
+            }
+        }
+        results = results.slice(skip, skip + paging.limit);
+
+        const formattedResults = results.map(item => createResult({
+            source: 'thingiverse',
+            modelId: modelIdFromUrl(item.link),
+            title: item.title,
+            url: item.link,
+            author: item.author,
+            thumbnails: [item.thumbnail],
+            stats: item.stats
+        }));
+
+        console.log(`Thingiverse: Found ${formattedResults.length} results`);
+        return formattedResults;
+
+    } catch (error) {
+        console.error('Thingiverse search error:', error.message);
+        throw error;
+    } finally {
+        if (page) await releasePage(page);
+    }
+}
+
+// Model pages: https://www.thingiverse.com/thing:<id>
+function modelIdFromUrl(url) {
+    const match = String(url).match(/\/thing:(\d+)/);
+    return match ? match[1] : null;
+}
+
+// Page URL for a model id, or null if the id isn't one of ours
+function modelUrl(id) {
+    return /^\d+$/.test(String(id)) ? `https://www.thingiverse.com/thing:${id}` : null;
+}
+
+// Where the model page keeps each detail (see extractModelDetails)
+const DETAIL_SELECTORS = {
+    title: 'h1',
+    author: 'a[class*="CreatorName"], a[href^="/"][class*="creator"]',
+    description: '[class*="ThingDetails"] [class*="Description"], [class*="description"]',
+    license: 'a[href*="creativecommons.org"], [class*="License"]',
+    createdAt: 'time, [class*="Date"]',
+    gallery: '[class*="Gallery"] img, [class*="Carousel"] img',
+    tags: 'a[href*="/tag:"]',
+    files: '[class*="ThingFile"]',
+    fileName: '[class*="FileName"]',
+    fileSize: '[class*="FileSize"]',
+    printSettings: '[class*="PrintSettings"] li, [class*="PrintSettings"] tr',
+    settingLabel: 'strong, th, [class*="Label"]',
+    settingValue: 'span, td, [class*="Value"]',
+    remixParent: '[class*="RemixedFrom"] a[href*="/thing:"]'
+};
+
+// The API when a token is set, otherwise (or when it fails) the scraper
+function searchThingiverse(query, options = {}) {
+    return searchWithFallback(
+        { id: 'thingiverse', name: 'Thingiverse' },
+        () => searchThingiverseApi(query, options),
+        () => scrapeThingiverse(query, options)
+    );
+}
+
+function getThingiverseDetails(id) {
+    return scrapeModelDetails(modelUrl(id), { id: 'thingiverse', name: 'Thingiverse', selectors: DETAIL_SELECTORS, waitFor: 'h1' });
+}
+
+module.exports = {
+    id: 'thingiverse',
+    name: 'Thingiverse',
+    color: 'blue',
+    capabilities: { likes: true, downloads: false, stats: ['likes', 'comments', 'collections', 'makes'], pagination: true },
+    search: searchThingiverse,
+    searchApi: searchThingiverseApi,
+    extractResults: extractThingiverseResults,
+    modelIdFromUrl,
+    modelUrl,
+    detailSelectors: DETAIL_SELECTORS,
+    getDetails: getThingiverseDetails
+};
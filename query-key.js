@@ -0,0 +1,49 @@
+// query-key.js - The normalized form of a search query
+//
+// Searches are cached and logged under a key rather than the text as typed,
+// so "Benchy", "benchy " and "BENCHY" share one cache entry and one scrape.
+// The key folds case, spacing and Unicode variants (full-width letters,
+// accents). The sites themselves still get the text the user typed.
+
+// Optional folding, off by default: sites may answer these differently, and a
+// shared key means whichever spelling was searched first fills the cache
+const FOLD_STOP_WORDS = false; // "holder for phone" -> "holder phone"
+const FOLD_PLURALS = false; // "gridfinity bins" -> "gridfinity bin"
+
+// Words dropped when FOLD_STOP_WORDS is on
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'of', 'to', 'in', 'on', 'with', 'by']);
+
+// English plural to singular by suffix. Short words ("abs", "gps"), words
+// with digits ("2x3s") and -ss, -us and -is endings ("glass", "status", "axis")
+// are left alone.
+function singular(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+    if (/[^aeiou]ies$/.test(word)) return word.slice(0, -3) + 'y';
+    if (/(ss|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    if (/[^sui]s$/.test(word)) return word.slice(0, -1);
+    return word;
+}
+
+// Cache and history key for a query. Returns '' for a blank query.
+function queryKey(query, { stopWords = FOLD_STOP_WORDS, plurals = FOLD_PLURALS } = {}) {
+    let words = String(query || '')
+        // Full-width and compatibility characters become their plain forms
+        .normalize('NFKC')
+        .toLowerCase()
+        // Split accented letters and drop the accents
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .split(/\s+/)
+        .filter(Boolean);
+
+    if (stopWords) {
+        const kept = words.filter(word => !STOP_WORDS.has(word));
+        // A query of nothing but stop words keeps them
+        if (kept.length > 0) words = kept;
+    }
+    if (plurals) words = words.map(singular);
+
+    return words.join(' ');
+}
+
+module.exports = { queryKey };
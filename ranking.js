@@ -0,0 +1,134 @@
+// ranking.js - Filtering, sorting and the merged view for search results
+//
+// Applied to every response after it comes out of the cache, so the cache
+// always holds each site's results in the order the site returned them.
+
+const { DEDUPE_MODES } = require('./dedupe');
+const { LICENSE_USES, licenseAllows } = require('./providers/_licenses');
+
+const SORTS = ['default', 'relevance', 'likes', 'downloads'];
+const VIEWS = ['grouped', 'merged'];
+
+// Weight of title match vs. popularity in the blended relevance score
+const TEXT_WEIGHT = 0.6;
+const POPULARITY_WEIGHT = 0.4;
+
+// Read sort/view/filter/dedupe options from request query parameters.
+// license is a comma-separated list of uses the license must allow.
+function parseResultOptions(params = {}) {
+    const licenseUses = String(params.license || '').split(',').map(use => use.trim());
+
+    return {
+        sort: SORTS.includes(params.sort) ? params.sort : 'default',
+        view: VIEWS.includes(params.view) ? params.view : 'grouped',
+        minLikes: Math.max(0, parseInt(params.minLikes, 10) || 0),
+        minDownloads: Math.max(0, parseInt(params.minDownloads, 10) || 0),
+        author: String(params.author || '').trim().toLowerCase(),
+        dedupe: DEDUPE_MODES.includes(params.dedupe) ? params.dedupe : 'title',
+        licenseUses: LICENSE_USES.filter(use => licenseUses.includes(use))
+    };
+}
+
+function tokenize(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Share of query words found in the title, with a bonus when the whole query
+// appears as a phrase. A prefix match ("bin" in "bins") counts for less than
+// the exact word.
+function textScore(title, query) {
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) return 0;
+
+    const titleTokens = tokenize(title);
+    const matched = queryTokens.reduce((sum, token) => {
+        if (titleTokens.includes(token)) return sum + 1;
+        if (titleTokens.some(word => word.startsWith(token))) return sum + 0.75;
+        return sum;
+    }, 0);
+    const phraseBonus = String(title || '').toLowerCase().includes(queryTokens.join(' ')) ? 0.5 : 0;
+
+    return (matched / queryTokens.length + phraseBonus) / 1.5;
+}
+
+// Log scale so one viral model doesn't flatten everything else; downloads
+// are far more common than likes, so they count for less each
+function popularity(result) {
+    return Math.log10(1 + (result.likes || 0) + (result.downloads || 0) / 10);
+}
+
+// Blended relevance for every result, keyed by result id
+function relevanceScores(results, query) {
+    const maxPopularity = Math.max(0, ...results.map(popularity));
+    const scores = new Map();
+
+    results.forEach(result => {
+        const pop = maxPopularity > 0 ? popularity(result) / maxPopularity : 0;
+        scores.set(result.id, TEXT_WEIGHT * textScore(result.title, query) + POPULARITY_WEIGHT * pop);
+    });
+
+    return scores;
+}
+
+// A license filter keeps only results whose license is known to allow the
+// uses; results with no license or an unrecognized one are dropped
+function filterResults(results, { minLikes, minDownloads, author, licenseUses = [] }) {
+    return results.filter(result =>
+        (result.likes || 0) >= minLikes &&
+        (result.downloads || 0) >= minDownloads &&
+        (!author || String(result.author || '').toLowerCase().includes(author)) &&
+        (licenseUses.length === 0 || licenseAllows(result.license, licenseUses))
+    );
+}
+
+// Highest first; Array.prototype.sort is stable, so ties keep site order
+function sortResults(results, sort, query) {
+    if (sort === 'likes' || sort === 'downloads') {
+        return [...results].sort((a, b) => (b[sort] || 0) - (a[sort] || 0));
+    }
+    if (sort === 'relevance') {
+        const scores = relevanceScores(results, query);
+        return [...results].sort((a, b) => scores.get(b.id) - scores.get(a.id));
+    }
+    return results;
+}
+
+// Round-robin across sources, keeping each source's own order
+function interleaveBySource(results) {
+    const queues = new Map();
+    results.forEach(result => {
+        if (!queues.has(result.source)) queues.set(result.source, []);
+        queues.get(result.source).push(result);
+    });
+
+    const interleaved = [];
+    while (interleaved.length < results.length) {
+        for (const queue of queues.values()) {
+            if (queue.length > 0) interleaved.push(queue.shift());
+        }
+    }
+    return interleaved;
+}
+
+// Filter, then sort. The merged view without an explicit sort alternates
+// between sites so no single site fills the top of the grid.
+function applyResultOptions(results, query, options) {
+    const filtered = filterResults(results, options);
+
+    if (options.sort === 'default' && options.view === 'merged') {
+        return interleaveBySource(filtered);
+    }
+    return sortResults(filtered, options.sort, query);
+}
+
+module.exports = {
+    SORTS,
+    VIEWS,
+    parseResultOptions,
+    textScore,
+    relevanceScores,
+    filterResults,
+    sortResults,
+    interleaveBySource,
+    applyResultOptions
+};
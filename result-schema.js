@@ -0,0 +1,193 @@
+// result-schema.js - The shape of search results, and migrations between versions
+//
+// Every provider builds its results with createResult, and the server checks
+// them with validateResult before they are cached or returned, so a scraper
+// that starts producing half-empty results is caught where it happens rather
+// than in the UI. A result (schema version 2):
+//
+//   id          - `${source}:${modelId}`, the same whichever page, URL or API found it
+//   source      - provider id
+//   modelId     - the site's own model id (what /api/model takes)
+//   title, url  - always set
+//   author      - null when the site doesn't show one
+//   thumbnails  - image URLs, best first; empty when there are none
+//   likes, downloads, makes, comments, views, collections
+//               - counts (see providers/_counts.js), null where the site doesn't show them
+//   license     - SPDX-style id (see providers/_licenses.js), null until known
+//   via         - 'api' or 'scraper' (see providers/_api.js), null when not known
+//   fetchedAt   - ISO time the result was scraped
+//
+// Search responses carry schemaVersion. Results kept in the database (the
+// search cache, collections and saved searches) record the version they were
+// written with and are migrated forward on startup when it changes.
+//
+// Version 1 was the shape before: ids of `${source}_${url}`, 'Unknown' for a
+// missing author, 0 for missing counts, one thumbnail string and no fetch time.
+
+const { STATS, parseStats } = require('./providers/_counts');
+
+const RESULT_SCHEMA_VERSION = 2;
+
+const VIA = ['api', 'scraper'];
+
+// Fields a listing of a merged result keeps (see dedupe.js)
+const LISTING_FIELDS = ['id', 'source', 'modelId', 'title', 'url', 'license', ...STATS, 'via'];
+
+const isHttpUrl = (value) => typeof value === 'string' && /^https?:\/\/\S+$/.test(value);
+
+// ISO time from ms, a Date, an ISO string or SQLite's DATETIME text (UTC);
+// null for anything else
+function isoTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const time = typeof value === 'string' && /^\d{4}-\d\d-\d\d \d\d:\d\d:\d\d$/.test(value)
+        ? Date.parse(`${value.replace(' ', 'T')}Z`)
+        : new Date(value).getTime();
+    return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+function cleanText(value) {
+    const text = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+    return text || null;
+}
+
+// Scrapers fall back to 'Unknown' when a card has no author
+function cleanAuthor(author) {
+    const text = cleanText(author);
+    return text && text.toLowerCase() !== 'unknown' ? text : null;
+}
+
+function cleanThumbnails(thumbnails) {
+    const urls = (Array.isArray(thumbnails) ? thumbnails : [thumbnails]).filter(isHttpUrl);
+    return [...new Set(urls)];
+}
+
+// A result in the current schema. stats are the counts as the site shows
+// them or as numbers ({ likes: '1.2k', makes: 31 }); a stat left out is null.
+function createResult({ source, modelId, title, url, author = null, thumbnails = [], stats = {}, license = null, via = null, fetchedAt = Date.now() }) {
+    const id = modelId === null || modelId === undefined ? '' : String(modelId).trim();
+    return {
+        id: id ? `${source}:${id}` : null,
+        source,
+        modelId: id || null,
+        title: cleanText(title),
+        url,
+        author: cleanAuthor(author),
+        thumbnails: cleanThumbnails(thumbnails),
+        ...parseStats(stats),
+        license: license || null,
+        via: VIA.includes(via) ? via : null,
+        fetchedAt: isoTime(fetchedAt)
+    };
+}
+
+// What is wrong with a result, as a list of messages; empty when it is valid
+function validateResult(result) {
+    if (!result || typeof result !== 'object' || Array.isArray(result)) return ['not an object'];
+
+    const problems = [];
+    const check = (ok, message) => {
+        if (!ok) problems.push(message);
+    };
+    check(typeof result.source === 'string' && /^[a-z0-9_-]+$/.test(result.source), 'source must be a provider id');
+    check(typeof result.modelId === 'string' && result.modelId !== '', 'modelId must be the site\'s model id');
+    check(result.id === `${result.source}:${result.modelId}`, 'id must be source:modelId');
+    check(typeof result.title === 'string' && result.title.trim() !== '', 'title must not be empty');
+    check(isHttpUrl(result.url), 'url must be an http(s) URL');
+    check(result.author === null || (typeof result.author === 'string' && result.author.trim() !== ''), 'author must be a name or null');
+    check(Array.isArray(result.thumbnails) && result.thumbnails.every(isHttpUrl), 'thumbnails must be a list of http(s) URLs');
+    STATS.forEach(stat => {
+        check(result[stat] === null || (Number.isInteger(result[stat]) && result[stat] >= 0), `${stat} must be a count or null`);
+    });
+    check(result.license === null || typeof result.license === 'string', 'license must be a string or null');
+    check(result.via === null || VIA.includes(result.via), `via must be ${VIA.join(' or ')} or null`);
+    check(typeof result.fetchedAt === 'string' && isoTime(result.fetchedAt) === result.fetchedAt, 'fetchedAt must be an ISO time');
+    return problems;
+}
+
+// Split results into the valid ones and the rest, with what is wrong with each
+function checkResults(results) {
+    const valid = [];
+    const invalid = [];
+    results.forEach(result => {
+        const problems = validateResult(result);
+        if (problems.length === 0) {
+            valid.push(result);
+        } else {
+            invalid.push({ result, problems });
+        }
+    });
+    return { valid, invalid };
+}
+
+// The fields a merged result lists for each of its platforms
+function toListing(result) {
+    return Object.fromEntries(LISTING_FIELDS.map(field => [field, result[field] === undefined ? null : result[field]]));
+}
+
+// Version 1 -> 2. The model id comes from the result, or from its URL through
+// the provider; a result whose model id can't be found keeps its old id.
+// Counts of 0 are kept, except for stats the provider said it never reports.
+function migrateFromV1(result, { getProvider, fetchedAt }) {
+    const provider = getProvider(result.source);
+    const modelId = result.modelId || (provider && provider.modelIdFromUrl ? provider.modelIdFromUrl(result.url) : null);
+    const capabilities = (provider && provider.capabilities) || {};
+    const stats = {};
+    STATS.forEach(stat => {
+        if (typeof result[stat] === 'number' && !(capabilities[stat] === false && result[stat] === 0)) {
+            stats[stat] = result[stat];
+        }
+    });
+
+    const migrated = createResult({
+        source: result.source,
+        modelId,
+        title: result.title,
+        url: result.url,
+        author: result.author,
+        thumbnails: result.thumbnails || [result.thumbnail],
+        stats,
+        license: result.license,
+        via: result.via,
+        fetchedAt: result.fetchedAt || fetchedAt
+    });
+    if (!migrated.id) migrated.id = result.id;
+    if (Array.isArray(result.listings)) {
+        migrated.listings = result.listings.map(listing => toListing(migrateFromV1(listing, { getProvider, fetchedAt })));
+    }
+    return migrated;
+}
+
+// Migrations from each version to the next
+const MIGRATIONS = { 1: migrateFromV1 };
+
+// A result written with schema version `version`, in the current schema.
+// getProvider(id) gives a registered provider (or null) for reading model ids
+// out of URLs; fetchedAt stands in for results that don't say when they were
+// scraped.
+function migrateResult(result, version, { getProvider = () => null, fetchedAt = Date.now() } = {}) {
+    let migrated = result;
+    for (let from = version; from < RESULT_SCHEMA_VERSION; from++) {
+        migrated = MIGRATIONS[from](migrated, { getProvider, fetchedAt });
+    }
+    return migrated;
+}
+
+// Add a schema_version column to a table of stored results if it has none.
+// Rows from before it was added hold version 1 results.
+function addSchemaVersionColumn(db, table) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+    if (!columns.includes('schema_version')) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN schema_version INTEGER NOT NULL DEFAULT 1`);
+    }
+}
+
+module.exports = {
+    RESULT_SCHEMA_VERSION,
+    isoTime,
+    createResult,
+    validateResult,
+    checkResults,
+    toListing,
+    migrateResult,
+    addSchemaVersionColumn
+};
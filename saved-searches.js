@@ -0,0 +1,344 @@
+// saved-searches.js - Searches re-run on a schedule, with alerts for new models
+//
+// Every result a saved search has ever returned is remembered by id. When a
+// re-run returns an id it hasn't seen, that result is flagged as new and stays
+// unread until the user marks it read. A platform's first successful run only
+// records a baseline, so nothing is flagged the first time a search runs.
+// Remembered results are migrated when the result schema changes (see
+// result-schema.js), so a new id scheme doesn't flag everything as new.
+
+const axios = require('axios');
+const { snapshotResult, migrateSnapshots } = require('./collections');
+const { RESULT_SCHEMA_VERSION } = require('./result-schema');
+const { isLocalUrl, localLookup } = require('./local-network');
+
+const DEFAULT_INTERVAL_MINUTES = 360;
+const MIN_INTERVAL_MINUTES = 15;
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60;
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const SCHEDULER_TICK_MS = 60000; // How often the scheduler looks for searches that are due
+
+class SavedSearchError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'SavedSearchError';
+        // HTTP status for the API to answer with
+        this.status = status;
+    }
+}
+
+function cleanInterval(minutes) {
+    const value = parseInt(minutes, 10);
+    if (!Number.isInteger(value)) return DEFAULT_INTERVAL_MINUTES;
+    return Math.min(Math.max(value, MIN_INTERVAL_MINUTES), MAX_INTERVAL_MINUTES);
+}
+
+// Webhooks may only point at this machine or the local network
+function cleanWebhook(url) {
+    const clean = String(url || '').trim();
+    if (clean && !isLocalUrl(clean)) {
+        throw new SavedSearchError(400, 'webhookUrl must be an http(s) URL on this machine or the local network');
+    }
+    return clean;
+}
+
+function cleanSources(sources, knownSources) {
+    const ids = Array.isArray(sources)
+        ? sources
+        : String(sources || '').split(',');
+    const clean = ids.map(id => String(id).trim()).filter(Boolean);
+    const unknown = clean.filter(id => !knownSources.includes(id));
+    if (unknown.length > 0) {
+        throw new SavedSearchError(400, `Unknown source: ${unknown.join(', ')}`);
+    }
+    return clean;
+}
+
+function toSavedSearch(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        query: row.query,
+        // Empty means every platform
+        sources: JSON.parse(row.sources),
+        intervalMinutes: row.interval_minutes,
+        webhookUrl: row.webhook_url,
+        lastRunAt: row.last_run_at,
+        lastStatuses: JSON.parse(row.last_statuses),
+        lastWebhookError: row.last_webhook_error,
+        nextRunAt: row.next_run_at,
+        unreadCount: row.unread_count,
+        created_at: row.created_at
+    };
+}
+
+function toNewItem(row) {
+    return {
+        resultId: row.result_id,
+        read: Boolean(row.read),
+        found_at: row.first_seen_at,
+        result: JSON.parse(row.snapshot)
+    };
+}
+
+// Saved search storage on a better-sqlite3 database. knownSources lists the
+// provider ids a search may be limited to, and getProvider(id) lets old
+// results be migrated. Failures the client can fix throw a SavedSearchError
+// carrying the HTTP status.
+function createSavedSearchStore(db, { knownSources = [], getProvider = () => null } = {}) {
+    db.pragma('foreign_keys = ON');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS saved_searches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        query TEXT NOT NULL,
+        sources TEXT NOT NULL DEFAULT '[]',
+        interval_minutes INTEGER NOT NULL DEFAULT ${DEFAULT_INTERVAL_MINUTES},
+        webhook_url TEXT NOT NULL DEFAULT '',
+        settled_sources TEXT NOT NULL DEFAULT '[]',
+        last_run_at DATETIME,
+        last_statuses TEXT NOT NULL DEFAULT '{}',
+        last_webhook_error TEXT NOT NULL DEFAULT '',
+        next_run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS saved_search_results (
+        saved_search_id INTEGER NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+        result_id TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        is_new INTEGER NOT NULL DEFAULT 0,
+        read INTEGER NOT NULL DEFAULT 0,
+        first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (saved_search_id, result_id)
+      );
+    `);
+    migrateSnapshots(db, 'saved_search_results', 'first_seen_at', getProvider);
+
+    const searchColumns = `
+      saved_searches.*,
+      (SELECT COUNT(*) FROM saved_search_results
+        WHERE saved_search_id = saved_searches.id AND is_new = 1 AND read = 0) AS unread_count
+    `;
+    const listStmt = db.prepare(`SELECT ${searchColumns} FROM saved_searches ORDER BY name`);
+    const getStmt = db.prepare(`SELECT ${searchColumns} FROM saved_searches WHERE id = ?`);
+    const dueStmt = db.prepare(`SELECT ${searchColumns} FROM saved_searches WHERE next_run_at <= CURRENT_TIMESTAMP ORDER BY next_run_at`);
+    const insertStmt = db.prepare(`
+      INSERT INTO saved_searches (name, query, sources, interval_minutes, webhook_url)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const updateStmt = db.prepare(`
+      UPDATE saved_searches
+      SET name = ?, query = ?, sources = ?, interval_minutes = ?, webhook_url = ?, updated_at = CURRENT_TIMESTAMP,
+          next_run_at = CASE WHEN last_run_at IS NULL THEN next_run_at
+                             ELSE datetime(last_run_at, '+' || ? || ' minutes') END
+      WHERE id = ?
+    `);
+    const deleteStmt = db.prepare('DELETE FROM saved_searches WHERE id = ?');
+    const finishRunStmt = db.prepare(`
+      UPDATE saved_searches
+      SET last_run_at = CURRENT_TIMESTAMP,
+          last_statuses = ?,
+          settled_sources = ?,
+          next_run_at = datetime('now', '+' || interval_minutes || ' minutes')
+      WHERE id = ?
+    `);
+    const webhookErrorStmt = db.prepare('UPDATE saved_searches SET last_webhook_error = ? WHERE id = ?');
+    const insertResultStmt = db.prepare(`
+      INSERT OR IGNORE INTO saved_search_results (saved_search_id, result_id, snapshot, is_new, schema_version)
+      VALUES (?, ?, ?, ?, ${RESULT_SCHEMA_VERSION})
+    `);
+    const clearResultsStmt = db.prepare('DELETE FROM saved_search_results WHERE saved_search_id = ?');
+    const resetBaselineStmt = db.prepare(`UPDATE saved_searches SET settled_sources = '[]', next_run_at = CURRENT_TIMESTAMP WHERE id = ?`);
+    const newItemsStmt = db.prepare(`
+      SELECT * FROM saved_search_results
+      WHERE saved_search_id = ? AND is_new = 1 AND (read = 0 OR ?)
+      ORDER BY first_seen_at DESC, rowid DESC
+    `);
+    const markReadStmt = db.prepare('UPDATE saved_search_results SET read = 1 WHERE saved_search_id = ? AND is_new = 1');
+
+    const requireSearch = (id) => {
+        const row = getStmt.get(id);
+        if (!row) throw new SavedSearchError(404, `Saved search ${id} not found`);
+        return row;
+    };
+
+    const cleanQuery = (query) => {
+        const clean = String(query || '').trim();
+        if (!clean) throw new SavedSearchError(400, 'query is required');
+        return clean;
+    };
+
+    // Record what a run found and return the results not seen before.
+    // outcomes are per-provider { results, status, message }, as the search endpoints build them.
+    const recordRun = db.transaction((id, outcomes) => {
+        const row = requireSearch(id);
+        const settled = new Set(JSON.parse(row.settled_sources));
+        const newResults = [];
+        const statuses = {};
+
+        Object.entries(outcomes).forEach(([source, outcome]) => {
+            statuses[source] = { status: outcome.status, message: outcome.message };
+            // A platform's first answer is the baseline, not news
+            const isBaseline = !settled.has(source);
+
+            outcome.results.forEach(result => {
+                const snapshot = snapshotResult(result);
+                const { changes } = insertResultStmt.run(id, snapshot.id, JSON.stringify(snapshot), isBaseline ? 0 : 1);
+                if (changes > 0 && !isBaseline) newResults.push(snapshot);
+            });
+
+            if (outcome.status === 'ok' || outcome.status === 'empty') settled.add(source);
+        });
+
+        finishRunStmt.run(JSON.stringify(statuses), JSON.stringify([...settled]), id);
+        return newResults;
+    });
+
+    return {
+        listSearches() {
+            return listStmt.all().map(toSavedSearch);
+        },
+
+        getSearch(id) {
+            return toSavedSearch(requireSearch(id));
+        },
+
+        // Saved searches whose next run is due, oldest first
+        dueSearches() {
+            return dueStmt.all().map(toSavedSearch);
+        },
+
+        createSearch({ name, query, sources, intervalMinutes, webhookUrl } = {}) {
+            const cleanedQuery = cleanQuery(query);
+            const { lastInsertRowid } = insertStmt.run(
+                String(name || '').trim() || cleanedQuery,
+                cleanedQuery,
+                JSON.stringify(cleanSources(sources, knownSources)),
+                cleanInterval(intervalMinutes),
+                cleanWebhook(webhookUrl)
+            );
+            return toSavedSearch(getStmt.get(lastInsertRowid));
+        },
+
+        // Changing the query or platforms starts over with a new baseline
+        updateSearch(id, { name, query, sources, intervalMinutes, webhookUrl } = {}) {
+            const row = requireSearch(id);
+            const cleanedQuery = query === undefined ? row.query : cleanQuery(query);
+            const cleanedSources = sources === undefined ? JSON.parse(row.sources) : cleanSources(sources, knownSources);
+
+            const interval = intervalMinutes === undefined ? row.interval_minutes : cleanInterval(intervalMinutes);
+
+            db.transaction(() => {
+                updateStmt.run(
+                    name === undefined ? row.name : String(name).trim() || cleanedQuery,
+                    cleanedQuery,
+                    JSON.stringify(cleanedSources),
+                    interval,
+                    webhookUrl === undefined ? row.webhook_url : cleanWebhook(webhookUrl),
+                    // A new interval counts from the last run
+                    interval,
+                    id
+                );
+                if (cleanedQuery !== row.query || JSON.stringify(cleanedSources) !== row.sources) {
+                    clearResultsStmt.run(id);
+                    resetBaselineStmt.run(id);
+                }
+            })();
+            return toSavedSearch(getStmt.get(id));
+        },
+
+        deleteSearch(id) {
+            requireSearch(id);
+            deleteStmt.run(id);
+        },
+
+        recordRun,
+
+        recordWebhookError(id, message) {
+            webhookErrorStmt.run(message || '', id);
+        },
+
+        // New results, unread only unless includeRead is set
+        newItems(id, { includeRead = false } = {}) {
+            requireSearch(id);
+            return newItemsStmt.all(id, includeRead ? 1 : 0).map(toNewItem);
+        },
+
+        markRead(id) {
+            requireSearch(id);
+            markReadStmt.run(id);
+        }
+    };
+}
+
+async function deliverWebhook(url, payload) {
+    // Redirects aren't followed, as one could lead off the local network, and
+    // a hostname must resolve to a local address
+    await axios.post(url, payload, { timeout: WEBHOOK_TIMEOUT_MS, maxRedirects: 0, lookup: localLookup });
+}
+
+// Run one saved search and record the outcome. search(savedSearch) returns
+// per-provider outcomes. New results go to the webhook if one is set; a
+// failed delivery is logged and stored, not retried.
+async function checkSavedSearch(store, savedSearch, search) {
+    console.log(`Saved search "${savedSearch.name}": running "${savedSearch.query}"`);
+    const outcomes = await search(savedSearch);
+    const newResults = store.recordRun(savedSearch.id, outcomes);
+    console.log(`Saved search "${savedSearch.name}": ${newResults.length} new results`);
+
+    if (savedSearch.webhookUrl && newResults.length > 0) {
+        try {
+            await deliverWebhook(savedSearch.webhookUrl, {
+                event: 'new_results',
+                savedSearch: { id: savedSearch.id, name: savedSearch.name, query: savedSearch.query },
+                count: newResults.length,
+                results: newResults
+            });
+            store.recordWebhookError(savedSearch.id, '');
+        } catch (error) {
+            console.error(`Saved search "${savedSearch.name}": webhook failed:`, error.message);
+            store.recordWebhookError(savedSearch.id, error.message);
+        }
+    }
+
+    return { newResults, statuses: store.getSearch(savedSearch.id).lastStatuses };
+}
+
+// Check for due saved searches every tick, one search at a time so scheduled
+// runs don't crowd out interactive searches. Returns { stop }.
+function startScheduler(store, search, { tickMs = SCHEDULER_TICK_MS } = {}) {
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            for (const savedSearch of store.dueSearches()) {
+                try {
+                    await checkSavedSearch(store, savedSearch, search);
+                } catch (error) {
+                    console.error(`Saved search "${savedSearch.name}" failed:`, error);
+                }
+            }
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, tickMs);
+    // Don't keep the process alive just for the scheduler
+    timer.unref();
+    tick();
+
+    return { stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+    SavedSearchError,
+    createSavedSearchStore,
+    checkSavedSearch,
+    startScheduler
+};
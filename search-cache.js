@@ -0,0 +1,352 @@
+// search-cache.js - Cached search results, one row per platform per page
+//
+// Each platform's answer to a page of a query is stored with its own time and
+// expiry, so one slow or failing site doesn't decide when the others are
+// scraped again. Results past their expiry are still served while a refresh
+// runs in the background (stale-while-revalidate). Empty answers and failures
+// are retried with exponential backoff instead of on every request, and a
+// failed refresh keeps the results it was meant to replace.
+//
+// Each row records the result schema version its results were written with
+// (see result-schema.js). Older rows are migrated on startup; results that
+// still don't fit the schema afterwards are dropped, and the next search for
+// them scrapes again.
+
+const { queryKey } = require('./query-key');
+const { RESULT_SCHEMA_VERSION, isoTime, checkResults, migrateResult, addSchemaVersionColumn } = require('./result-schema');
+
+const RESULTS_TTL_MINUTES = 24 * 60; // How long results stay fresh, unless the provider sets cacheTtlMinutes
+const RETRY_BASE_MINUTES = 5; // First retry after an empty answer or failure, doubling each time up to the TTL
+const MAX_AGE_DAYS = 7; // Rows older than this are deleted instead of served stale
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 500;
+
+// Orders for listQueries
+const LIST_ORDERS = {
+    recent: 'fetched_at DESC',
+    oldest: 'oldest_fetched_at ASC',
+    size: 'bytes DESC'
+};
+
+class SearchCacheError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'SearchCacheError';
+        // HTTP status for the API to answer with
+        this.status = status;
+    }
+}
+
+// SQLite's DATETIME text format, in UTC like CURRENT_TIMESTAMP
+function sqliteTime(ms) {
+    return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Minutes to wait before retrying after this many empty answers or failures in a row
+function retryDelayMinutes(failures, ttlMinutes = RESULTS_TTL_MINUTES) {
+    return Math.min(RETRY_BASE_MINUTES * 2 ** (failures - 1), ttlMinutes);
+}
+
+function cleanLimit(limit) {
+    const value = parseInt(limit, 10);
+    return value > 0 ? Math.min(value, MAX_LIST_LIMIT) : DEFAULT_LIST_LIMIT;
+}
+
+function cleanOffset(offset) {
+    const value = parseInt(offset, 10);
+    return value > 0 ? value : 0;
+}
+
+// Escape LIKE wildcards so a search matches them literally
+function likeContains(text) {
+    return `%${text.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+}
+
+function toEntry(row, time) {
+    const due = row.expires_at <= time;
+    return {
+        outcome: { results: JSON.parse(row.results), status: row.status, message: row.message },
+        fetchedAt: row.fetched_at,
+        expiresAt: row.expires_at,
+        failures: row.failures,
+        refreshError: row.refresh_error,
+        // Past its expiry, so the next request should refresh it
+        due,
+        // What a client is told: stale while a refresh is due or the last one failed
+        state: due || row.refresh_error ? 'stale' : 'fresh'
+    };
+}
+
+// Databases from before per-platform rows cached one row per query page in
+// `searches`, with results from every platform and a statuses map. Split
+// those rows up; their expiry follows the same rules as new answers.
+function migrateSearchesTable(db, time) {
+    const columns = db.prepare('PRAGMA table_info(searches)').all().map(column => column.name);
+    if (columns.length === 0) return;
+
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO provider_results
+        (query, page, page_size, source, results, status, message, fetched_at, expires_at, failures)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    let migrated = 0;
+
+    db.prepare('SELECT * FROM searches').all().forEach(row => {
+        const fetchedAt = row.updated_at || time;
+        const fetchedMs = Date.parse(`${fetchedAt.replace(' ', 'T')}Z`);
+        const bySource = {};
+        JSON.parse(row.results).forEach(result => {
+            (bySource[result.source] = bySource[result.source] || []).push(result);
+        });
+        // Rows from before statuses were recorded only know which sources had results
+        const statuses = columns.includes('statuses') ? JSON.parse(row.statuses) : {};
+        const sources = new Set([...Object.keys(bySource), ...Object.keys(statuses)]);
+
+        sources.forEach(source => {
+            const results = bySource[source] || [];
+            const { status, message } = statuses[source] || { status: results.length > 0 ? 'ok' : 'empty', message: null };
+            const ok = status === 'ok';
+            const expiresMs = fetchedMs + (ok ? RESULTS_TTL_MINUTES : retryDelayMinutes(1)) * 60000;
+            insert.run(
+                queryKey(row.query), row.page || 1, row.page_size || 10, source,
+                JSON.stringify(results), status, message, fetchedAt, sqliteTime(expiresMs), ok ? 0 : 1
+            );
+            migrated += 1;
+        });
+    });
+
+    db.exec('DROP TABLE searches');
+    console.log(`Migrated cached searches to ${migrated} per-platform rows`);
+}
+
+// Bring rows written with an older result schema up to date. Rows from a
+// newer version than this code knows are deleted rather than misread.
+function migrateResultRows(db, getProvider) {
+    const update = db.prepare('UPDATE provider_results SET results = ?, schema_version = ? WHERE rowid = ?');
+    const remove = db.prepare('DELETE FROM provider_results WHERE rowid = ?');
+    const rows = db.prepare('SELECT rowid, * FROM provider_results WHERE schema_version < ?').all(RESULT_SCHEMA_VERSION);
+    let dropped = 0;
+
+    rows.forEach(row => {
+        const fetchedAt = isoTime(row.fetched_at);
+        const migrated = JSON.parse(row.results).map(result => migrateResult(result, row.schema_version, { getProvider, fetchedAt }));
+        const { valid, invalid } = checkResults(migrated);
+        dropped += invalid.length;
+        // A page left with no results is deleted, so it is scraped again rather than served empty
+        if (valid.length === 0 && invalid.length > 0) {
+            remove.run(row.rowid);
+        } else {
+            update.run(JSON.stringify(valid), RESULT_SCHEMA_VERSION, row.rowid);
+        }
+    });
+
+    const newer = db.prepare('DELETE FROM provider_results WHERE schema_version > ?').run(RESULT_SCHEMA_VERSION).changes;
+    if (rows.length > 0 || newer > 0) {
+        console.log(`Migrated ${rows.length} cached platform pages to result schema ${RESULT_SCHEMA_VERSION}` +
+            `${dropped > 0 ? ` (dropped ${dropped} unreadable results)` : ''}` +
+            `${newer > 0 ? `, deleted ${newer} from a newer version` : ''}`);
+    }
+}
+
+// Search cache on a better-sqlite3 database. now() gives the time in ms and
+// can be replaced in tests; getProvider(id) lets old results be migrated (see
+// result-schema.js).
+function createSearchCache(db, { now = Date.now, getProvider = () => null } = {}) {
+    db.function('query_key', { deterministic: true }, query => queryKey(query));
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS provider_results (
+        query TEXT NOT NULL,
+        page INTEGER NOT NULL,
+        page_size INTEGER NOT NULL,
+        source TEXT NOT NULL,
+        results TEXT NOT NULL DEFAULT '[]',
+        status TEXT NOT NULL,
+        message TEXT,
+        fetched_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL,
+        failures INTEGER NOT NULL DEFAULT 0,
+        refresh_error TEXT,
+        PRIMARY KEY (query, page, page_size, source)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_provider_results_fetched_at ON provider_results(fetched_at);
+    `);
+
+    addSchemaVersionColumn(db, 'provider_results');
+
+    db.transaction(() => {
+        migrateSearchesTable(db, sqliteTime(now()));
+        migrateResultRows(db, getProvider);
+        // Rows are keyed by queryKey; re-key them if the key's rules changed.
+        // Where two rows now share a key, the one already under it is kept.
+        db.exec(`
+          UPDATE OR IGNORE provider_results SET query = query_key(query) WHERE query != query_key(query);
+          DELETE FROM provider_results WHERE query != query_key(query);
+        `);
+    })();
+
+    const getStmt = db.prepare('SELECT * FROM provider_results WHERE query = ? AND page = ? AND page_size = ? AND source = ?');
+    const upsertStmt = db.prepare(`
+      INSERT INTO provider_results
+        (query, page, page_size, source, results, status, message, fetched_at, expires_at, failures, refresh_error, schema_version)
+      VALUES (@query, @page, @pageSize, @source, @results, @status, @message, @fetchedAt, @expiresAt, @failures, NULL, ${RESULT_SCHEMA_VERSION})
+      ON CONFLICT(query, page, page_size, source) DO UPDATE SET
+        results = excluded.results,
+        schema_version = excluded.schema_version,
+        status = excluded.status,
+        message = excluded.message,
+        fetched_at = excluded.fetched_at,
+        expires_at = excluded.expires_at,
+        failures = excluded.failures,
+        refresh_error = NULL
+    `);
+    const refreshFailedStmt = db.prepare(`
+      UPDATE provider_results SET expires_at = ?, failures = ?, refresh_error = ?
+      WHERE query = ? AND page = ? AND page_size = ? AND source = ?
+    `);
+    const cleanStmt = db.prepare('DELETE FROM provider_results WHERE fetched_at < ?');
+    const resultsStmt = db.prepare(`SELECT results FROM provider_results WHERE status = 'ok' ORDER BY fetched_at`);
+    const statsStmt = db.prepare(`
+      SELECT COUNT(DISTINCT query) AS count, COUNT(*) AS entries, SUM(LENGTH(CAST(results AS BLOB))) AS bytes,
+        MIN(fetched_at) AS oldest_update, MAX(fetched_at) AS last_update
+      FROM provider_results
+    `);
+    const listFilter = `
+      WHERE (@source IS NULL OR source = @source)
+        AND (@search IS NULL OR query LIKE @search ESCAPE '\\')
+    `;
+    const listStmts = Object.fromEntries(Object.entries(LIST_ORDERS).map(([sort, order]) => [sort, db.prepare(`
+      SELECT query, COUNT(*) AS entries, group_concat(DISTINCT source) AS sources,
+        SUM(json_array_length(results)) AS results, SUM(LENGTH(CAST(results AS BLOB))) AS bytes,
+        SUM(status NOT IN ('ok', 'empty') OR refresh_error IS NOT NULL) AS failing,
+        MIN(fetched_at) AS oldest_fetched_at, MAX(fetched_at) AS fetched_at
+      FROM provider_results
+      ${listFilter}
+      GROUP BY query
+      ORDER BY ${order}, query
+      LIMIT @limit OFFSET @offset
+    `)]));
+    const countStmt = db.prepare(`SELECT COUNT(DISTINCT query) AS count FROM provider_results ${listFilter}`);
+    const purgeStmt = db.prepare(`
+      DELETE FROM provider_results
+      WHERE (@query IS NULL OR query = @query)
+        AND (@source IS NULL OR source = @source)
+        AND (@before IS NULL OR fetched_at < @before)
+    `);
+
+    return {
+        // What a platform last answered for a query page, or null if it never has
+        get(query, { page, limit }, source) {
+            const row = getStmt.get(queryKey(query), page, limit, source);
+            return row ? toEntry(row, sqliteTime(now())) : null;
+        },
+
+        // Store a platform's answer. ok results stay fresh for ttlMinutes; empty
+        // answers and failures back off. A failure doesn't replace results
+        // already cached, so they keep being served until a refresh works.
+        record(query, { page, limit }, source, outcome, { ttlMinutes = RESULTS_TTL_MINUTES } = {}) {
+            const key = queryKey(query);
+            const time = now();
+            const previous = getStmt.get(key, page, limit, source);
+
+            if (outcome.status === 'ok') {
+                upsertStmt.run({
+                    query: key, page, pageSize: limit, source,
+                    results: JSON.stringify(outcome.results),
+                    status: 'ok',
+                    message: outcome.message,
+                    fetchedAt: sqliteTime(time),
+                    expiresAt: sqliteTime(time + ttlMinutes * 60000),
+                    failures: 0
+                });
+                return;
+            }
+
+            const failures = (previous ? previous.failures : 0) + 1;
+            const expiresAt = sqliteTime(time + retryDelayMinutes(failures, ttlMinutes) * 60000);
+
+            if (outcome.status !== 'empty' && previous && previous.status === 'ok') {
+                refreshFailedStmt.run(expiresAt, failures, outcome.message, key, page, limit, source);
+                return;
+            }
+
+            upsertStmt.run({
+                query: key, page, pageSize: limit, source,
+                results: '[]',
+                status: outcome.status,
+                message: outcome.message,
+                fetchedAt: sqliteTime(time),
+                expiresAt,
+                failures
+            });
+        },
+
+        // Delete rows too old to serve even while refreshing
+        clean() {
+            return cleanStmt.run(sqliteTime(now() - MAX_AGE_DAYS * 24 * 60 * 60000)).changes;
+        },
+
+        // Every cached result, oldest page first, for filling the model index
+        // (see model-index.js) from what was scraped before it existed
+        allResults() {
+            return resultsStmt.all().flatMap(row => JSON.parse(row.results));
+        },
+
+        stats() {
+            const { count, entries, bytes, oldest_update: oldestUpdate, last_update: lastUpdate } = statsStmt.get();
+            return { totalSearches: count, entries, bytes: bytes || 0, oldestUpdate, lastUpdate };
+        },
+
+        // Cached queries with how many platform pages, results and bytes each
+        // holds and when they were scraped. search matches part of the query
+        // key, source counts only that platform's answers, and sort is
+        // recent (default), oldest or size.
+        listQueries({ search, source, sort = 'recent', limit, offset } = {}) {
+            if (!LIST_ORDERS[sort]) {
+                throw new SearchCacheError(400, `sort must be one of: ${Object.keys(LIST_ORDERS).join(', ')}`);
+            }
+            const key = search ? queryKey(search) : '';
+            const filter = { search: key ? likeContains(key) : null, source: source || null };
+            const queries = listStmts[sort].all({ ...filter, limit: cleanLimit(limit), offset: cleanOffset(offset) });
+
+            return {
+                total: countStmt.get(filter).count,
+                queries: queries.map(row => ({
+                    query: row.query,
+                    entries: row.entries,
+                    sources: row.sources.split(','),
+                    results: row.results,
+                    bytes: row.bytes,
+                    failing: row.failing,
+                    oldestFetchedAt: row.oldest_fetched_at,
+                    fetchedAt: row.fetched_at
+                }))
+            };
+        },
+
+        // Delete cached answers for a query, a platform, those scraped more than
+        // olderThanMinutes ago, or any combination; all deletes everything.
+        // Returns how many platform pages were deleted.
+        purge({ query, source, olderThanMinutes, all = false } = {}) {
+            const hasAge = olderThanMinutes !== undefined && olderThanMinutes !== null && olderThanMinutes !== '';
+            const minutes = Number(olderThanMinutes);
+            if (hasAge && !(minutes >= 0)) {
+                throw new SearchCacheError(400, 'olderThanMinutes must be a number of minutes');
+            }
+            if (query !== undefined && query !== null && !queryKey(query)) {
+                throw new SearchCacheError(400, 'query must not be blank');
+            }
+            if (!all && !query && !source && !hasAge) {
+                throw new SearchCacheError(400, 'Give a query, source or olderThanMinutes to purge (or all)');
+            }
+
+            return purgeStmt.run({
+                query: query ? queryKey(query) : null,
+                source: source || null,
+                before: hasAge ? sqliteTime(now() - minutes * 60000) : null
+            }).changes;
+        }
+    };
+}
+
+module.exports = { RESULTS_TTL_MINUTES, SearchCacheError, retryDelayMinutes, createSearchCache };
@@ -1,740 +1,1047 @@
-// Scraper for Thingiverse using Puppeteer
-async function searchThingiverse(query) {
-    let page = null;
-    try {
-        const url = `https://www.thingiverse.com/search?q=${encodeURIComponent(query)}&type=things`;
-        console.log(`Thingiverse: Fetching ${url}`);
-
-        const browser = await initBrowser();
-        page = await browser.newPage();
-
-        // Set extra headers to avoid detection
-        await page.setViewport({ width: 1920, height: 1080 });
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        await page.setExtraHTTPHeaders({
-            'Accept-Language': 'en-US,en;q=0.9',
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
-        });
-
-        // Navigate with longer timeout and wait for DOM
-        await page.goto(url, {
-            waitUntil: 'domcontentloaded',
-            timeout: 30000
-        });
-
-        // Wait for content to load
-        await new Promise(resolve => setTimeout(resolve, 3000));
-
-        // Check page title to verify we're on the right page
-        const pageTitle = await page.title();
-        console.log('Thingiverse page title:', pageTitle);
-
-        // If we hit a challenge or error page, return empty
-        if (pageTitle.includes('Just a moment') || pageTitle.includes('Error')) {
-            console.log('Thingiverse: Hit challenge or error page');
-            return [];
-        }
-
-        const results = await page.evaluate(() => {
-            const items = [];
-
-            try {
-                // Thingiverse uses ItemCardContainer divs
-                const cards = Array.from(document.querySelectorAll('div[class*="ItemCardContainer"]'));
-
-                console.log(`Thingiverse: Found ${cards.length} card containers`);
-
-                cards.forEach((card, index) => {
-                    if (items.length >= 10) return;
-
-                    try {
-                        // Find the main content link (the one with the image)
-                        const linkElem = card.querySelector('a[class*="ItemCardContent"][href*="/thing:"]');
-                        if (!linkElem) return;
-
-                        const link = linkElem.getAttribute('href');
-
-                        // Title is in an 'a' tag in the header section
-                        const titleElem = card.querySelector('a[class*="ItemCardTitle"]') ||
-                            card.querySelector('div[class*="ItemCardHeader"] a[title]');
-                        let title = titleElem?.getAttribute('title') ||
-                            titleElem?.textContent?.trim() ||
-                            'Untitled';
-
-                        // Image with ItemCardContent class
-                        let thumbnail = card.querySelector('img[class*="ItemCardContent"]')?.getAttribute('src') ||
-                            card.querySelector('img')?.getAttribute('src') ||
-                            card.querySelector('img')?.getAttribute('data-src');
-
-                        // Author - in ItemCardHeader
-                        const authorElem = card.querySelector('div[class*="ItemCardHeader"] a[href*="/"]');
-                        let author = authorElem?.textContent?.trim() || 'Unknown';
-
-                        // Stats - find all text nodes with numbers
-                        const textContent = card.textContent || '';
-                        const numberMatches = textContent.match(/\d+[kKmM]?/g) || [];
-
-                        let likes = 0;
-                        if (numberMatches.length > 0) {
-                            const likeText = numberMatches[0];
-                            const likeNum = parseFloat(likeText.replace(/[^0-9.]/g, '')) || 0;
-                            likes = likeText.toLowerCase().includes('k') ? Math.round(likeNum * 1000) : Math.round(likeNum);
-                        }
-
-                        console.log(`Thingiverse Item ${index}: title="${title}", link="${link}"`);
-
-                        if (title && link) {
-                            items.push({
-                                title,
-                                link: link.startsWith('http') ? link : `https://www.thingiverse.com${link}`,
-                                thumbnail: thumbnail || '',
-                                author,
-                                likes,
-                                downloads: 0
-                            });
-                        }
-                    } catch (err) {
-                        console.log(`Thingiverse: Error processing card ${index}:`, err.message);
-                    }
-                });
-            } catch (err) {
-                console.log('Thingiverse: Error in evaluate:', err.message);
-            }
-
-            return items;
-        });
-
-        const formattedResults = results.map(item => ({
-            id: `thingiverse_${item.link}`,
-            title: item.title,
-            thumbnail: item.thumbnail,
-            author: item.author,
-            source: 'thingiverse',
-            url: item.link,
-            likes: item.likes || 0,
-            downloads: item.downloads || 0
-        }));
-
-        console.log(`Thingiverse: Found ${formattedResults.length} results`);
-        return formattedResults;
-
-    } catch (error) {
-        console.error('Thingiverse search error:', error.message);
-        return [];
-    } finally {
-        if (page) await page.close();
-    }
-}
-
 // server.js - Node.js backend for 3D model search aggregator with Puppeteer
-// Install: npm install express cors node-cache puppeteer better-sqlite3
+// Install: npm install express cors puppeteer better-sqlite3
+
+// Settings such as THINGIVERSE_API_TOKEN can live in .env (see .env.example)
+require('dotenv').config({ quiet: true });
 
 const express = require('express');
 const cors = require('cors');
-const NodeCache = require('node-cache');
-const puppeteer = require('puppeteer');
 const Database = require('better-sqlite3');
 const path = require('path');
+const { isBrowserRunning, closeBrowser, getPoolStats } = require('./browser');
+const { getProviders, getProvider, describeProvider } = require('./providers');
+const { normalizePaging } = require('./providers/_pagination');
+const { ProviderError, classifyError } = require('./providers/_errors');
+const { cooldownStatus } = require('./providers/_challenge');
+const { apiFailure } = require('./providers/_api');
+const { normalizeLicense } = require('./providers/_licenses');
+const { parseResultOptions, applyResultOptions } = require('./ranking');
+const { dedupeResults } = require('./dedupe');
+const { CollectionError, createCollectionStore } = require('./collections');
+const { SavedSearchError, createSavedSearchStore, checkSavedSearch, startScheduler } = require('./saved-searches');
+const { createHistoryStore } = require('./history');
+const { queryKey } = require('./query-key');
+const { SearchCacheError, createSearchCache } = require('./search-cache');
+const { ModelIndexError, createModelIndex } = require('./model-index');
+const { ThumbnailError, createThumbnailCache } = require('./thumbnails');
+const { createProviderHealthStore } = require('./provider-health');
+const { RESULT_SCHEMA_VERSION, checkResults } = require('./result-schema');
 
 const app = express();
-const cache = new NodeCache({ stdTTL: 3600 }); // 1 hour memory cache
 const PORT = 3001;
+const PROVIDER_TIMEOUT_MS = 60000; // Give up on a provider that takes longer than this
+const DETAIL_CACHE_DAYS = 30; // Model pages change rarely, so keep them longer than searches
+const LICENSE_LOOKUP_CONCURRENCY = 3; // Model pages scraped at once to find missing licenses
+const MAX_LICENSE_LOOKUPS = 12; // Model pages one search may scrape to find missing licenses
+const LICENSE_RETRY_MS = 10 * 60 * 1000; // A model page that couldn't be read isn't tried again for this long
+const MAX_WARM_QUERIES = 50; // Queries one cache warming request may add
 
 app.use(cors());
 app.use(express.json());
 
-// Global browser instance
-let browser = null;
+// Initialize SQLite database. SEARCH_CACHE_DB and THUMB_CACHE_DIR move the
+// data elsewhere; the endpoint tests use ':memory:' and a temporary folder.
+const db = new Database(process.env.SEARCH_CACHE_DB || path.join(__dirname, 'search_cache.db'));
 
-// Initialize SQLite database
-const db = new Database(path.join(__dirname, 'search_cache.db'));
-
-// Create tables if they don't exist
 db.exec(`
-  CREATE TABLE IF NOT EXISTS searches (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    query TEXT NOT NULL UNIQUE,
-    results TEXT NOT NULL,
-    sources TEXT NOT NULL,
+  CREATE TABLE IF NOT EXISTS model_details (
+    source TEXT NOT NULL,
+    model_id TEXT NOT NULL,
+    details TEXT NOT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (source, model_id)
   );
-  
-  CREATE INDEX IF NOT EXISTS idx_query ON searches(query);
-  CREATE INDEX IF NOT EXISTS idx_updated_at ON searches(updated_at);
 `);
 
 // Prepare SQL statements
-const getSearchStmt = db.prepare('SELECT * FROM searches WHERE query = ?');
-const insertSearchStmt = db.prepare(`
-  INSERT INTO searches (query, results, sources) 
+const getDetailsStmt = db.prepare('SELECT * FROM model_details WHERE source = ? AND model_id = ?');
+const insertDetailsStmt = db.prepare(`
+  INSERT INTO model_details (source, model_id, details)
   VALUES (?, ?, ?)
-  ON CONFLICT(query) DO UPDATE SET 
-    results = excluded.results,
-    sources = excluded.sources,
+  ON CONFLICT(source, model_id) DO UPDATE SET
+    details = excluded.details,
     updated_at = CURRENT_TIMESTAMP
 `);
-const cleanOldSearchesStmt = db.prepare(`DELETE FROM searches WHERE updated_at < datetime('now', '-7 days')`);
+const cleanOldDetailsStmt = db.prepare(`DELETE FROM model_details WHERE updated_at < datetime('now', '-${DETAIL_CACHE_DAYS} days')`);
+
+// Stored results are migrated to the current result schema on startup, using
+// the providers to read model ids out of old results' URLs
+const searchCache = createSearchCache(db, { getProvider });
+const collections = createCollectionStore(db, { getProvider });
+const savedSearches = createSavedSearchStore(db, { knownSources: getProviders().map(provider => provider.id), getProvider });
+const history = createHistoryStore(db);
+const modelIndex = createModelIndex(db, { getProvider });
+const providerHealth = createProviderHealthStore(db);
+const thumbnails = createThumbnailCache(process.env.THUMB_CACHE_DIR ? { dir: process.env.THUMB_CACHE_DIR } : {});
+
+// A new model index starts with whatever the cache already holds, and the
+// tags of every model page looked at so far
+if (modelIndex.stats().models === 0) {
+    const indexed = modelIndex.addResults(searchCache.allResults());
+    db.prepare('SELECT source, model_id, details FROM model_details').all().forEach(row => {
+        modelIndex.addDetails(row.source, row.model_id, JSON.parse(row.details));
+    });
+    if (indexed > 0) console.log(`Indexed ${indexed} cached results for local search`);
+}
 
 // Clean old cache entries on startup
-cleanOldSearchesStmt.run();
+searchCache.clean();
+cleanOldDetailsStmt.run();
 console.log('Cleaned old database entries');
 
 // Helper functions for database caching
-function getCachedSearch(query) {
+function getCachedDetails(source, modelId) {
     try {
-        const row = getSearchStmt.get(query);
+        const row = getDetailsStmt.get(source, modelId);
         if (row) {
-            return {
-                query: row.query,
-                results: JSON.parse(row.results),
-                sources: JSON.parse(row.sources),
-                total: JSON.parse(row.results).length,
-                cached: true,
-                cached_at: row.updated_at
-            };
+            const details = JSON.parse(row.details);
+            // Details cached before licenses were normalized hold the site's wording in license
+            if (details.licenseText === undefined) {
+                details.licenseText = details.license;
+                details.license = normalizeLicense(details.license);
+            }
+            return { details, cached_at: row.updated_at };
         }
     } catch (err) {
-        console.error('Error reading from cache:', err);
+        console.error('Error reading details from cache:', err);
     }
     return null;
 }
 
-function cacheSearch(query, results, sources) {
+function cacheDetails(source, modelId, details) {
+    try {
+        insertDetailsStmt.run(source, modelId, JSON.stringify(details));
+    } catch (err) {
+        console.error('Error writing details to cache:', err);
+    }
     try {
-        insertSearchStmt.run(
+        modelIndex.addDetails(source, modelId, details);
+    } catch (err) {
+        console.error('Error indexing model details:', err);
+    }
+}
+
+// Resolve the optional comma-separated `sources` parameter to providers
+function selectProviders(sourcesParam) {
+    if (!sourcesParam) return getProviders();
+
+    const ids = String(sourcesParam).split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = ids.filter(id => !getProvider(id));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown source: ${unknown.join(', ')}`);
+    }
+    return getProviders().filter(provider => ids.includes(provider.id));
+}
+
+// Validate the query parameters shared by /api/search and /api/search/stream.
+// Sends a 400 and returns null if they are invalid.
+function parseSearchParams(req, res) {
+    const { q: query } = req.query;
+
+    if (!query || !queryKey(query)) {
+        res.status(400).json({ error: 'Query parameter required' });
+        return null;
+    }
+
+    try {
+        return {
             query,
-            JSON.stringify(results),
-            JSON.stringify(sources)
-        );
+            paging: normalizePaging(req.query),
+            requested: selectProviders(req.query.sources),
+            resultOptions: parseResultOptions(req.query)
+        };
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+        return null;
+    }
+}
+
+// Log a search in the history. Only first pages count, and history=0 skips
+// logging for repeat requests such as the UI re-running a search with new filters.
+function logSearch(req, query, paging) {
+    if (paging.page !== 1 || req.query.history === '0') return;
+    try {
+        history.recordSearch(query);
     } catch (err) {
-        console.error('Error writing to cache:', err);
+        console.error('Error writing to history:', err);
     }
 }
 
-// Initialize browser on startup
-async function initBrowser() {
-    if (!browser) {
-        console.log('Launching Puppeteer browser...');
-        browser = await puppeteer.launch({
-            headless: 'new',
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-blink-features=AutomationControlled',
-                '--disable-features=IsolateOrigins,site-per-process'
-            ]
-        });
-        console.log('Browser launched successfully');
+// Wait for a provider's scrape, rejecting with a TIMEOUT error if it takes too long.
+// The scrape itself keeps running; only the caller stops waiting for it.
+function withProviderTimeout(provider, promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`${provider.name} timed out after ${PROVIDER_TIMEOUT_MS / 1000}s`);
+            error.code = 'TIMEOUT';
+            reject(error);
+        }, PROVIDER_TIMEOUT_MS);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function searchWithTimeout(provider, query, paging) {
+    return withProviderTimeout(provider, provider.search(query, paging));
+}
+
+// Key for a page of a search on one platform
+function searchKey(provider, query, paging) {
+    return `${provider.id}_${queryKey(query)}_${paging.page}_${paging.limit}`;
+}
+
+// Scrapes in progress, keyed by searchKey
+const inFlightSearches = new Map();
+
+// Run a provider's search, cache the answer and describe how it went. Never
+// rejects: failures come back as an empty result list with a status and
+// message. A search that is already running for the same provider, query and
+// page is joined rather than started again, so simultaneous or repeated
+// requests share one scrape.
+function runProvider(provider, query, paging) {
+    const key = searchKey(provider, query, paging);
+    const running = inFlightSearches.get(key);
+    if (running) {
+        console.log(`${provider.name}: joining the search already running for "${query}"`);
+        return running;
     }
-    return browser;
+
+    const startedAt = Date.now();
+    const outcome = scrapeProvider(provider, query, paging)
+        .then(result => {
+            cacheOutcome(provider, query, paging, result);
+            indexOutcome(result);
+            recordProviderRun(provider, Date.now() - startedAt, result);
+            return result;
+        })
+        .finally(() => {
+            inFlightSearches.delete(key);
+        });
+    inFlightSearches.set(key, outcome);
+    return outcome;
 }
 
-// Scraper for Printables.com using Puppeteer
-async function searchPrintables(query) {
-    let page = null;
+// Results that don't fit the result schema (see result-schema.js) are dropped
+// before they are cached; if none fit, the scrape failed with parse_error.
+async function scrapeProvider(provider, query, paging) {
     try {
-        const url = `https://www.printables.com/search/models?q=${encodeURIComponent(query)}`;
-        console.log(`Printables: Fetching ${url}`);
-
-        const browser = await initBrowser();
-        page = await browser.newPage();
-
-        // Set viewport and user agent
-        await page.setViewport({ width: 1920, height: 1080 });
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-
-        // Navigate to the page
-        await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-
-        // Wait a bit for page to fully load
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-        // Handle cookie consent popup - try multiple times
-        let cookieHandled = false;
-        for (let i = 0; i < 3; i++) {
-            try {
-                const acceptButton = await page.$('button:has-text("Accept All"), button:has-text("Accept all"), button[class*="accept"]');
-                if (acceptButton) {
-                    await acceptButton.click();
-                    console.log('Printables: Accepted cookies');
-                    cookieHandled = true;
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    break;
-                }
-            } catch (e) {
-                // Button not found, wait and try again
+        const { valid: results, invalid } = checkResults(await searchWithTimeout(provider, query, paging));
+        if (invalid.length > 0) {
+            const problems = invalid[0].problems.join('; ');
+            console.log(`${provider.name}: dropped ${invalid.length} results that don't fit the result schema (${problems})`);
+            if (results.length === 0) {
+                throw new ProviderError('parse_error', `${provider.name} returned no valid results: ${problems}`);
             }
-            await new Promise(resolve => setTimeout(resolve, 500));
         }
+        return results.length > 0
+            ? { results, status: 'ok', message: null }
+            : { results, status: 'empty', message: `No models on ${provider.name} matched this search` };
+    } catch (error) {
+        console.error(`${provider.name} failed:`, error.message);
+        return { results: [], ...classifyError(error) };
+    }
+}
 
-        if (!cookieHandled) {
-            console.log('Printables: No cookie popup found or already accepted');
+// Last health status seen per provider, to log when one becomes degraded
+const providerHealthStatus = new Map();
+
+// Add a scrape to the provider's health metrics (see provider-health.js)
+function recordProviderRun(provider, durationMs, outcome) {
+    try {
+        providerHealth.recordRun(provider, durationMs, outcome);
+        const { status, reasons } = providerHealth.describe(provider.id);
+        if (status === 'degraded' && providerHealthStatus.get(provider.id) !== 'degraded') {
+            console.log(`${provider.name} looks degraded: ${reasons.join('; ')}`);
         }
+        providerHealthStatus.set(provider.id, status);
+    } catch (err) {
+        console.error('Error recording provider health:', err);
+    }
+}
 
-        // Wait for content to load
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-        // Debug: Take a screenshot and check page title
-        const pageTitle = await page.title();
-        console.log('Printables page title:', pageTitle);
-
-        // Extract data from the page
-        const results = await page.evaluate(() => {
-            const items = [];
-
-            // Printables uses article elements with data-testid="model"
-            const articles = Array.from(document.querySelectorAll('article[data-testid="model"]'));
-
-            console.log(`Printables: Found ${articles.length} model cards`);
-
-            articles.forEach((article, index) => {
-                if (items.length >= 10) return;
-
-                // Find the main link to the model
-                const linkElem = article.querySelector('a[href*="/model/"]');
-                if (!linkElem) return;
-
-                const link = linkElem.getAttribute('href');
-
-                // Title is in the link text or in an h5
-                let title = article.querySelector('h5')?.textContent?.trim() ||
-                    linkElem.textContent?.trim();
-
-                // Image - IMPORTANT: Skip profile pictures, find the model image
-                // Model images are inside <picture class="image-inside"> elements
-                let thumbnail = '';
-
-                // First, try to find the picture element with image-inside class
-                const pictureElem = article.querySelector('picture.image-inside, picture[class*="image-inside"]');
-                if (pictureElem) {
-                    // Try to get from source elements first (for responsive images)
-                    const sourceElem = pictureElem.querySelector('source');
-                    if (sourceElem) {
-                        thumbnail = sourceElem.getAttribute('srcset')?.split(',')[0]?.split(' ')[0] ||
-                            sourceElem.getAttribute('src');
-                    }
-                    // Fall back to img in the picture element
-                    if (!thumbnail) {
-                        const imgElem = pictureElem.querySelector('img');
-                        if (imgElem) {
-                            thumbnail = imgElem.getAttribute('src') || imgElem.getAttribute('data-src');
-                        }
-                    }
-                }
+function cacheOutcome(provider, query, paging, outcome) {
+    try {
+        searchCache.record(query, paging, provider.id, outcome, { ttlMinutes: provider.cacheTtlMinutes });
+    } catch (err) {
+        console.error('Error writing to cache:', err);
+    }
+}
 
-                // If still no thumbnail, try finding any img that's not in an avatar link
-                if (!thumbnail) {
-                    const allImages = Array.from(article.querySelectorAll('img'));
-                    for (const img of allImages) {
-                        // Skip if parent is an avatar link
-                        if (img.closest('a[class*="avatar"]')) continue;
+// Keep every result scraped in the model index for /api/local-search
+function indexOutcome(outcome) {
+    try {
+        modelIndex.addResults(outcome.results);
+    } catch (err) {
+        console.error('Error writing to the model index:', err);
+    }
+}
 
-                        thumbnail = img.getAttribute('src') || img.getAttribute('data-src');
-                        if (thumbnail) break;
-                    }
-                }
+// A provider's cached answer for a search page (see search-cache.js), or null
+function getCachedOutcome(provider, query, paging) {
+    try {
+        return searchCache.get(query, paging, provider.id);
+    } catch (err) {
+        console.error('Error reading from cache:', err);
+        return null;
+    }
+}
 
-                // Author - look for user link or username
-                let authorElem = article.querySelector('a[href*="/@"]');
-                let author = authorElem?.textContent?.trim() || 'Unknown';
-
-                // Stats - look in stats-bar div
-                let likes = 0;
-                let downloads = 0;
-
-                // Find all spans with numbers - they're usually stats
-                const allSpans = Array.from(article.querySelectorAll('span'));
-                const numberSpans = allSpans.filter(span => /^\d+(\.\d+)?[kKmM]?$/.test(span.textContent.trim()));
-
-                if (numberSpans.length >= 2) {
-                    // Usually first number is likes, third is downloads
-                    const likeText = numberSpans[0]?.textContent.trim();
-                    if (likeText) {
-                        likes = parseInt(likeText.replace(/[^0-9]/g, '')) || 0;
-                    }
-
-                    if (numberSpans.length >= 3) {
-                        const downloadText = numberSpans[2]?.textContent.trim();
-                        if (downloadText) {
-                            downloads = parseInt(downloadText.replace(/[^0-9]/g, '')) || 0;
-                        }
-                    }
-                }
+// How current a provider's results in a response are:
+//   state      - live (scraped for this request), fresh, or stale (past its
+//                expiry, or the last refresh failed)
+//   fetchedAt  - when the results were scraped
+//   refreshAt  - when they are next scraped again, on the first request after it
+//   refreshing - a scrape for them is running now
+//   failures   - empty answers or failures in a row, which push refreshAt back
+function describeFreshness(provider, query, paging, entry, live) {
+    return {
+        state: live ? 'live' : entry.state,
+        fetchedAt: entry ? entry.fetchedAt : null,
+        refreshAt: entry ? entry.expiresAt : null,
+        refreshing: inFlightSearches.has(searchKey(provider, query, paging)),
+        failures: entry ? entry.failures : 0,
+        refreshError: entry ? entry.refreshError : null
+    };
+}
 
-                console.log(`Printables Item ${index}: title="${title}", likes=${likes}, downloads=${downloads}, thumbnail=${thumbnail?.substring(0, 50)}`);
-
-                if (title && link) {
-                    items.push({
-                        title,
-                        link: link.startsWith('http') ? link : `https://www.printables.com${link}`,
-                        thumbnail: thumbnail || '',
-                        author,
-                        likes,
-                        downloads
-                    });
-                }
-            });
+// Get each provider's outcome for a search page. Cached answers are served
+// until they expire; expired results are still served while a background
+// scrape refreshes them. Providers with no cached results, or an expired
+// empty answer or failure, are scraped now. The optional hooks
+// onCached(provider, outcome, freshness), onScrape(provider) and
+// onScraped(provider, outcome, freshness) report each provider as it resolves.
+async function resolveOutcomes(query, paging, providers, hooks = {}) {
+    const outcomes = {};
+    const freshness = {};
+
+    await Promise.all(providers.map(async provider => {
+        const entry = getCachedOutcome(provider, query, paging);
+
+        if (entry && (!entry.due || entry.outcome.results.length > 0)) {
+            if (entry.due) {
+                console.log(`${provider.name}: serving results from ${entry.fetchedAt} and refreshing them`);
+                runProvider(provider, query, paging);
+            }
+            outcomes[provider.id] = entry.outcome;
+            freshness[provider.id] = describeFreshness(provider, query, paging, entry, false);
+            if (hooks.onCached) await hooks.onCached(provider, entry.outcome, freshness[provider.id]);
+            return;
+        }
 
-            return items;
-        });
+        if (hooks.onScrape) hooks.onScrape(provider);
+        const outcome = await runProvider(provider, query, paging);
+        outcomes[provider.id] = outcome;
+        freshness[provider.id] = describeFreshness(provider, query, paging, getCachedOutcome(provider, query, paging), true);
+        if (hooks.onScraped) await hooks.onScraped(provider, outcome, freshness[provider.id]);
+    }));
 
-        // Transform to our format
-        const formattedResults = results.map(item => ({
-            id: `printables_${item.link}`,
-            title: item.title,
-            thumbnail: item.thumbnail,
-            author: item.author,
-            source: 'printables',
-            url: item.link,
-            likes: item.likes || 0,
-            downloads: item.downloads || 0
-        }));
-
-        console.log(`Printables: Found ${formattedResults.length} results`);
-        return formattedResults;
+    return { outcomes, freshness };
+}
 
-    } catch (error) {
-        console.error('Printables search error:', error.message);
-        return [];
-    } finally {
-        if (page) await page.close();
-    }
+// Scrape a model page and cache what it says
+async function fetchDetails(provider, modelId) {
+    const details = {
+        source: provider.id,
+        modelId,
+        ...await withProviderTimeout(provider, provider.getDetails(modelId))
+    };
+    cacheDetails(provider.id, modelId, details);
+    return details;
 }
 
-// Scraper for MakerWorld using Puppeteer
-async function searchMakerWorld(query) {
-    let page = null;
-    try {
-        const url = `https://makerworld.com/en/search/models?keyword=${encodeURIComponent(query)}`;
-        console.log(`MakerWorld: Fetching ${url}`);
-
-        const browser = await initBrowser();
-        page = await browser.newPage();
-
-        // Set extra headers and properties to avoid detection
-        await page.setViewport({ width: 1920, height: 1080 });
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        await page.setExtraHTTPHeaders({
-            'Accept-Language': 'en-US,en;q=0.9',
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
-        });
+// License lookups under way, by result id, so searches running at once share
+// them; and when lookups failed, oldest first
+const licenseLookups = new Map();
+const failedLicenseLookups = new Map();
 
-        // Hide webdriver property
-        await page.evaluateOnNewDocument(() => {
-            Object.defineProperty(navigator, 'webdriver', {
-                get: () => false,
-            });
-        });
+// How many model pages a search may scrape for licenses, shared by every
+// attachLicenses call for that search; null (none) without a license filter
+function licenseBudget(options) {
+    return options.licenseUses.length > 0 ? { lookups: MAX_LICENSE_LOOKUPS } : null;
+}
 
-        await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-        await new Promise(resolve => setTimeout(resolve, 3000)); // Wait longer for Cloudflare
+// Scrape a model's page for its license, joining a lookup already running.
+// Resolves to null when the page can't be read.
+function lookupLicense(result) {
+    if (!licenseLookups.has(result.id)) {
+        const lookup = fetchDetails(getProvider(result.source), result.modelId)
+            .then(details => details.license)
+            .catch(error => {
+                console.error(`License lookup failed for ${result.source}/${result.modelId}:`, error.message);
+                failedLicenseLookups.delete(result.id);
+                failedLicenseLookups.set(result.id, Date.now());
+                return null;
+            })
+            .finally(() => licenseLookups.delete(result.id));
+        licenseLookups.set(result.id, lookup);
+    }
+    return licenseLookups.get(result.id);
+}
 
-        // Check if we hit Cloudflare challenge
-        const pageTitle = await page.title();
-        const pageContent = await page.content();
+function recentlyFailed(id) {
+    // Forget failures old enough to try again
+    for (const [failedId, time] of failedLicenseLookups) {
+        if (Date.now() - time < LICENSE_RETRY_MS) break;
+        failedLicenseLookups.delete(failedId);
+    }
+    return failedLicenseLookups.has(id);
+}
 
-        if (pageTitle.includes('Just a moment') || pageContent.includes('Cloudflare')) {
-            console.log('MakerWorld: Detected Cloudflare challenge, waiting...');
-            // Wait up to 10 seconds for Cloudflare to resolve
-            await new Promise(resolve => setTimeout(resolve, 10000));
+// Fill in each result's license from cached model details or the model index.
+// Search cards rarely show a license, so with a budget (see licenseBudget),
+// models whose license isn't known yet are scraped a few at a time until the
+// budget runs out; a model whose page can't be read stays unknown.
+async function attachLicenses(results, budget = null) {
+    const missing = [];
+    const licensed = results.map((result, index) => {
+        if (result.license || !result.modelId) return result;
+
+        const cached = getCachedDetails(result.source, result.modelId);
+        if (cached) return { ...result, license: cached.details.license };
+
+        const indexed = modelIndex.license(result.id);
+        if (indexed) return { ...result, license: indexed };
+
+        const provider = getProvider(result.source);
+        if (budget && budget.lookups > 0 && provider && provider.getDetails && !recentlyFailed(result.id)) {
+            budget.lookups -= 1;
+            missing.push(index);
         }
+        return result;
+    });
 
-        const results = await page.evaluate(() => {
-            const items = [];
-            const seenUrls = new Set(); // Track URLs to avoid duplicates
-
-            // MakerWorld uses links with /models/ or /en/models/
-            const selectors = [
-                'a[href*="/models/"]',
-                'a[href*="/en/models/"]'
-            ];
-
-            let elements = [];
-            let usedSelector = '';
-            for (const selector of selectors) {
-                elements = Array.from(document.querySelectorAll(selector));
-                if (elements.length > 0) {
-                    usedSelector = selector;
-                    break;
-                }
+    if (missing.length > 0) {
+        console.log(`Looking up licenses for ${missing.length} models...`);
+        const worker = async () => {
+            while (missing.length > 0) {
+                const index = missing.shift();
+                const result = licensed[index];
+                licensed[index] = { ...result, license: await lookupLicense(result) };
             }
+        };
+        await Promise.all(Array.from({ length: LICENSE_LOOKUP_CONCURRENCY }, worker));
+    }
 
-            console.log(`MakerWorld: Found ${elements.length} elements using selector: ${usedSelector}`);
-
-            // Filter to only model links (not category or other links)
-            elements = elements.filter(elem => {
-                const href = elem.getAttribute('href');
-                return href && /\/models\/\d+/.test(href);
-            });
-
-            console.log(`MakerWorld: After filtering, ${elements.length} valid model links`);
-
-            elements.forEach((elem, index) => {
-                if (items.length >= 10) return;
-
-                let link = elem.getAttribute('href');
-
-                // Skip if we've already processed this URL
-                if (seenUrls.has(link)) return;
-                seenUrls.add(link);
-
-                // The title is in the img alt attribute or h3
-                let title = elem.querySelector('img')?.getAttribute('alt') ||
-                    elem.querySelector('h3')?.textContent?.trim() ||
-                    elem.getAttribute('title') ||
-                    elem.textContent?.trim();
-
-                // The image src
-                let thumbnail = elem.querySelector('img')?.getAttribute('src') ||
-                    elem.querySelector('img')?.getAttribute('data-src');
-
-                // Author might be in a separate element
-                let author = elem.closest('[class*="card"]')?.querySelector('[class*="author"], [class*="creator"]')?.textContent?.trim();
-
-                // Stats - look for the icon containers
-                let likes = 0;
-                let downloads = 0;
-                const cardParent = elem.closest('[class*="card"]') || elem.parentElement;
-
-                if (cardParent) {
-                    // Find all spans with numbers that look like stats
-                    const allSpans = Array.from(cardParent.querySelectorAll('span'));
-                    const statSpans = allSpans.filter(span => {
-                        const text = span.textContent?.trim();
-                        return text && /^\d+(\.\d+)?\s*[kKmM]?$/.test(text);
-                    });
-
-                    console.log(`MakerWorld Item ${items.length}: Found ${statSpans.length} stat spans`);
-
-                    // MakerWorld typically has: prints, likes, downloads in that order
-                    // We want likes (index 1) and downloads (index 2)
-                    if (statSpans.length >= 2) {
-                        const likeText = statSpans[1]?.textContent?.trim();
-                        if (likeText) {
-                            const likeNum = parseFloat(likeText.replace(/[^0-9.]/g, '')) || 0;
-                            likes = likeText.toLowerCase().includes('k') ? Math.round(likeNum * 1000) : Math.round(likeNum);
-                        }
-                    }
-
-                    if (statSpans.length >= 3) {
-                        const downloadText = statSpans[2]?.textContent?.trim();
-                        if (downloadText) {
-                            const downloadNum = parseFloat(downloadText.replace(/[^0-9.]/g, '')) || 0;
-                            downloads = downloadText.toLowerCase().includes('k') ? Math.round(downloadNum * 1000) : Math.round(downloadNum);
-                        }
-                    }
-                }
+    return licensed;
+}
 
-                console.log(`MakerWorld Item ${items.length}: title="${title}", likes=${likes}, downloads=${downloads}`);
-
-                if (title && link) {
-                    items.push({
-                        title,
-                        link: link.startsWith('http') ? link : `https://makerworld.com${link}`,
-                        thumbnail: thumbnail || '',
-                        author: author || 'Unknown',
-                        likes,
-                        downloads
-                    });
-                }
-            });
+// Build the response body from per-provider outcomes (keyed by provider id)
+function buildResponse(query, paging, outcomes, providers) {
+    const allResults = providers.flatMap(provider => outcomes[provider.id]?.results || []);
+    const sources = {};
+    const hasMore = {};
+    const providerStatus = {};
+    providers.forEach(provider => {
+        const outcome = outcomes[provider.id];
+        const count = outcome ? outcome.results.length : 0;
+        sources[provider.id] = count;
+        // A full page suggests the site has more beyond it
+        hasMore[provider.id] = count >= paging.limit;
+        providerStatus[provider.id] = outcome
+            ? { status: outcome.status, message: outcome.message }
+            : { status: 'error', message: 'Not searched' };
+    });
 
-            return items;
-        });
+    return {
+        schemaVersion: RESULT_SCHEMA_VERSION,
+        query,
+        page: paging.page,
+        limit: paging.limit,
+        total: allResults.length,
+        results: allResults,
+        sources,
+        hasMore,
+        providerStatus
+    };
+}
+
+// Attach licenses, merge cross-platform duplicates, then apply the request's
+// filters and sort. Merging comes first so filters and sorts see the combined
+// stats. Counts describe what is returned (a merged result counts for its
+// first platform); hasMore still describes the unfiltered page so paging carries on.
+// offline keeps to what is stored: licenses only from cached model details and
+// the model index, and hash merging falls back to titles rather than
+// downloading thumbnails. budget replaces a fresh license budget (see
+// licenseBudget) for a search that has already spent part of its own.
+async function applyResultView(response, options, { offline = false, budget = offline ? null : licenseBudget(options) } = {}) {
+    const licensed = await attachLicenses(response.results, budget);
+    const deduped = await dedupeResults(licensed, offline && options.dedupe === 'hash' ? 'title' : options.dedupe);
+    const results = applyResultOptions(deduped, response.query, options);
+    const sources = {};
+    Object.keys(response.sources).forEach(source => {
+        sources[source] = 0;
+    });
+    results.forEach(result => {
+        sources[result.source] += 1;
+    });
 
-        const formattedResults = results.map(item => ({
-            id: `makerworld_${item.link}`,
-            title: item.title,
-            thumbnail: item.thumbnail,
-            author: item.author,
-            source: 'makerworld',
-            url: item.link,
-            likes: item.likes || 0,
-            downloads: item.downloads || 0
-        }));
+    return {
+        ...response,
+        results,
+        total: results.length,
+        sources,
+        duplicatesMerged: response.results.length - deduped.length,
+        sort: options.sort,
+        view: options.view,
+        dedupe: options.dedupe,
+        license: options.licenseUses
+    };
+}
 
-        console.log(`MakerWorld: Found ${formattedResults.length} results`);
-        return formattedResults;
+// Queries waiting to be searched ahead of time (see /api/cache/warm), worked
+// through one at a time so warming doesn't crowd out real searches
+const warmQueue = [];
+const warmStatus = { current: null, warmed: 0 };
+
+// Scrape page 1 of a query on each provider whose cached answer is missing or
+// due, the same way a search would, without waiting on fresh ones
+async function warmQuery(query, providers) {
+    const paging = normalizePaging({});
+    await Promise.all(providers.map(async provider => {
+        const entry = getCachedOutcome(provider, query, paging);
+        if (!entry || entry.due) await runProvider(provider, query, paging);
+    }));
+}
 
-    } catch (error) {
-        console.error('MakerWorld search error:', error.message);
-        return [];
-    } finally {
-        if (page) await page.close();
+async function drainWarmQueue() {
+    if (warmStatus.current) return;
+    while (warmQueue.length > 0) {
+        const { query, providers } = warmQueue.shift();
+        warmStatus.current = query;
+        console.log(`Warming the cache for "${query}"`);
+        await warmQuery(query, providers);
+        warmStatus.warmed += 1;
     }
+    warmStatus.current = null;
+}
+
+function describeWarming() {
+    return { current: warmStatus.current, queued: warmQueue.map(item => item.query), warmed: warmStatus.warmed };
+}
+
+// Queue queries for warming, skipping blank ones and any already queued.
+// Returns the queries that were added.
+function queueWarming(queries, providers) {
+    if (!Array.isArray(queries) || queries.length === 0) {
+        throw new SearchCacheError(400, 'queries must be a list of search queries');
+    }
+    if (queries.length > MAX_WARM_QUERIES) {
+        throw new SearchCacheError(400, `At most ${MAX_WARM_QUERIES} queries can be warmed at once`);
+    }
+
+    const pending = new Set([warmStatus.current, ...warmQueue.map(item => item.query)].filter(Boolean).map(queryKey));
+    const added = [];
+    queries.forEach(query => {
+        if (typeof query !== 'string' || !queryKey(query) || pending.has(queryKey(query))) return;
+        pending.add(queryKey(query));
+        warmQueue.push({ query: query.trim(), providers });
+        added.push(query.trim());
+    });
+
+    drainWarmQueue().catch(err => console.error('Cache warming failed:', err));
+    return added;
+}
+
+// Size of search_cache.db, which VACUUM shrinks after purges
+function databaseBytes() {
+    return db.pragma('page_count', { simple: true }) * db.pragma('page_size', { simple: true });
+}
+
+// Re-run a saved search's platforms for the scheduler. Always scrapes page 1,
+// whatever the cache holds, and the answers refresh the cache.
+async function searchForSavedSearch(savedSearch) {
+    const { query } = savedSearch;
+    const paging = normalizePaging({});
+    const outcomes = {};
+    await Promise.all(selectProviders(savedSearch.sources.join(',')).map(async provider => {
+        outcomes[provider.id] = await runProvider(provider, query, paging);
+    }));
+    return outcomes;
 }
 
+// List of registered providers for the client
+app.get('/api/providers', (req, res) => {
+    res.json({ providers: getProviders().map(describeProvider) });
+});
+
 // Main search endpoint
+// Query parameters: q (required), page, limit, sources (comma-separated provider ids),
+// sort, view, minLikes, minDownloads, author (see ranking.js),
+// dedupe: title (default), hash (also compare thumbnails) or off (see dedupe.js),
+// license: comma-separated uses the license must allow (commercial, remix),
+// history: 0 to leave the search out of the history.
+// freshness in the response says how current each platform's results are
+// (see describeFreshness); cached is true when none were scraped for this request.
 app.get('/api/search', async (req, res) => {
-    const { q: query } = req.query;
+    const params = parseSearchParams(req, res);
+    if (!params) return;
+    const { query, paging, requested, resultOptions } = params;
+    logSearch(req, query, paging);
 
-    if (!query) {
-        return res.status(400).json({ error: 'Query parameter required' });
-    }
+    console.log(`\n=== Search request for: "${query}" (page ${paging.page}, limit ${paging.limit}) ===`);
+
+    try {
+        const { outcomes, freshness } = await resolveOutcomes(query, paging, requested);
+        const response = await applyResultView(buildResponse(query, paging, outcomes, requested), resultOptions);
+        const fetchTimes = Object.values(freshness).filter(entry => entry.state !== 'live').map(entry => entry.fetchedAt);
+        const cached = fetchTimes.length === requested.length;
 
-    console.log(`\n=== Search request for: "${query}" ===`);
+        console.log(`Total results: ${response.total}${cached ? ' (all from cache)' : ''}`);
+        console.log('=== Search complete ===\n');
 
-    // Check database cache first
-    const dbCached = getCachedSearch(query);
-    if (dbCached) {
-        // Check if any platform has 0 results - if so, re-search that platform
-        const needsRefresh = dbCached.sources.thingiverse === 0 ||
-            dbCached.sources.printables === 0 ||
-            dbCached.sources.makerworld === 0;
+        res.json({
+            ...response,
+            freshness,
+            cached,
+            // When the oldest of the results was scraped
+            ...(cached ? { cached_at: fetchTimes.sort()[0] } : {})
+        });
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
 
-        if (needsRefresh) {
-            console.log('Cache has missing platforms, performing partial refresh...');
+// Streaming search endpoint (Server-Sent Events)
+// Takes the same parameters as /api/search. Each platform's results are sent
+// as soon as it answers, filtered and sorted within the platform and not
+// merged; done then carries the whole list as /api/search would answer it.
+// Emits:
+//   start   - { schemaVersion, query, page, limit, sources: [ids] }
+//   status  - { source, status: started | cached | done | failed | timeout, count?, error? }
+//   results - { source, results, hasMore, status, message, freshness } where status
+//             is the provider status (ok, empty, blocked, timeout, parse_error, error)
+//             and freshness is as in /api/search
+//   done    - { total, sources, results, duplicatesMerged } with results in the
+//             requested view and duplicates merged, as in /api/search
+//   error   - { error } when the search fails; the stream ends after it
+app.get('/api/search/stream', async (req, res) => {
+    const params = parseSearchParams(req, res);
+    if (!params) return;
+    const { query, paging, requested, resultOptions } = params;
+    logSearch(req, query, paging);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
 
-            const searchPromises = [];
+    // Keep scraping if the client goes away, so the results still get cached
+    let clientClosed = false;
+    req.on('close', () => {
+        clientClosed = true;
+    });
 
-            // Only search platforms that had 0 results
-            if (dbCached.sources.thingiverse === 0) {
-                console.log('Re-searching Thingiverse...');
-                searchPromises.push(searchThingiverse(query));
-            } else {
-                searchPromises.push(Promise.resolve(dbCached.results.filter(r => r.source === 'thingiverse')));
-            }
+    // Dropped once the client is gone, or once an error has ended the stream
+    const send = (event, data) => {
+        if (clientClosed || res.writableEnded) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const budget = licenseBudget(resultOptions);
+    const sendResults = async (source, outcome, freshness) => {
+        const licensed = await attachLicenses(outcome.results, budget);
+        send('results', {
+            source,
+            results: applyResultOptions(licensed, query, { ...resultOptions, view: 'grouped' }),
+            hasMore: outcome.results.length >= paging.limit,
+            status: outcome.status,
+            message: outcome.message,
+            freshness
+        });
+    };
 
-            if (dbCached.sources.printables === 0) {
-                console.log('Re-searching Printables...');
-                searchPromises.push(searchPrintables(query));
-            } else {
-                searchPromises.push(Promise.resolve(dbCached.results.filter(r => r.source === 'printables')));
+    try {
+        console.log(`\n=== Streaming search for: "${query}" (page ${paging.page}, limit ${paging.limit}) ===`);
+        send('start', { schemaVersion: RESULT_SCHEMA_VERSION, query, page: paging.page, limit: paging.limit, sources: requested.map(provider => provider.id) });
+
+        // Same cache rules as /api/search
+        const { outcomes } = await resolveOutcomes(query, paging, requested, {
+            onCached: async (provider, outcome, freshness) => {
+                send('status', { source: provider.id, status: 'cached', count: outcome.results.length });
+                await sendResults(provider.id, outcome, freshness);
+            },
+            onScrape: provider => {
+                send('status', { source: provider.id, status: 'started' });
+            },
+            onScraped: async (provider, outcome, freshness) => {
+                const source = provider.id;
+                if (outcome.status === 'ok' || outcome.status === 'empty') {
+                    send('status', { source, status: 'done', count: outcome.results.length });
+                } else {
+                    send('status', { source, status: outcome.status === 'timeout' ? 'timeout' : 'failed', error: outcome.message });
+                }
+                await sendResults(source, outcome, freshness);
             }
+        });
 
-            if (dbCached.sources.makerworld === 0) {
-                console.log('Re-searching MakerWorld...');
-                searchPromises.push(searchMakerWorld(query));
-            } else {
-                searchPromises.push(Promise.resolve(dbCached.results.filter(r => r.source === 'makerworld')));
-            }
+        const response = await applyResultView(buildResponse(query, paging, outcomes, requested), resultOptions, { budget });
+        console.log(`Total results: ${response.total}`);
+        console.log('=== Stream complete ===\n');
 
-            const settledPromises = await Promise.allSettled(searchPromises);
-
-            const thingiverseResults = settledPromises[0].status === 'fulfilled' ? settledPromises[0].value : [];
-            const printablesResults = settledPromises[1].status === 'fulfilled' ? settledPromises[1].value : [];
-            const makerworldResults = settledPromises[2].status === 'fulfilled' ? settledPromises[2].value : [];
-
-            const allResults = [
-                ...thingiverseResults,
-                ...printablesResults,
-                ...makerworldResults
-            ];
-
-            const response = {
-                query,
-                total: allResults.length,
-                results: allResults,
-                sources: {
-                    thingiverse: thingiverseResults.length,
-                    printables: printablesResults.length,
-                    makerworld: makerworldResults.length
-                }
-            };
+        send('done', {
+            total: response.total,
+            sources: response.sources,
+            results: response.results,
+            duplicatesMerged: response.duplicatesMerged
+        });
+    } catch (error) {
+        console.error('Stream error:', error);
+        send('error', { error: 'Search failed' });
+    }
+    res.end();
+});
 
-            // Update cache with new results
-            cache.set(`search_${query}`, response);
-            cacheSearch(query, allResults, response.sources);
-            console.log('Cache updated with refreshed results');
+// Search the model index (see model-index.js) instead of the sites: every
+// model scraped so far, matched by title, author and tags, without waiting on
+// a site or being blocked by one. Takes the same parameters as /api/search,
+// with page and limit per platform and results in best-match order. Each
+// platform's status is ok or empty; there is no freshness. offline is true
+// and indexed counts the models searched.
+app.get('/api/local-search', async (req, res) => {
+    const params = parseSearchParams(req, res);
+    if (!params) return;
+    const { query, paging, requested, resultOptions } = params;
+    logSearch(req, query, paging);
 
-            return res.json(response);
+    try {
+        const outcomes = {};
+        const hasMore = {};
+        requested.forEach(provider => {
+            const found = modelIndex.search(query, { sources: [provider.id], page: paging.page, limit: paging.limit });
+            outcomes[provider.id] = found.models.length > 0
+                ? { results: found.models, status: 'ok', message: null }
+                : { results: [], status: 'empty', message: `No models from ${provider.name} seen so far match this search` };
+            // The index knows how many match, so this needn't be guessed from a full page
+            hasMore[provider.id] = found.hasMore;
+        });
+        const response = await applyResultView(buildResponse(query, paging, outcomes, requested), resultOptions, { offline: true });
+        res.json({ ...response, hasMore, offline: true, indexed: modelIndex.stats().models });
+    } catch (error) {
+        if (error instanceof ModelIndexError) {
+            return res.status(error.status).json({ error: error.message });
         }
+        console.error('Local search error:', error);
+        res.status(500).json({ error: 'Local search failed' });
+    }
+});
 
-        console.log(`Returning cached results from database (cached at: ${dbCached.cached_at})`);
-        return res.json(dbCached);
+// HTTP status for a failed detail lookup
+const DETAIL_ERROR_CODES = { not_found: 404, timeout: 504 };
+
+// Model detail endpoint
+// :id is the site's own model id (modelId on search results). refresh=1
+// scrapes the page again even if it is cached.
+app.get('/api/model/:source/:id', async (req, res) => {
+    const { source, id } = req.params;
+    const provider = getProvider(source);
+
+    if (!provider) {
+        return res.status(404).json({ error: `Unknown source: ${source}` });
+    }
+    if (!provider.getDetails) {
+        return res.status(404).json({ error: `${provider.name} model pages are not supported` });
+    }
+    if (!provider.modelUrl(id)) {
+        return res.status(400).json({ error: `Invalid ${provider.name} model id: ${id}` });
     }
 
-    // Check memory cache
-    const cacheKey = `search_${query}`;
-    const cached = cache.get(cacheKey);
-    if (cached) {
-        console.log('Returning cached results from memory');
-        return res.json(cached);
+    if (req.query.refresh !== '1') {
+        const cached = getCachedDetails(source, id);
+        if (cached) {
+            console.log(`Returning cached details for ${source}/${id}`);
+            return res.json({ ...cached.details, cached: true, cached_at: cached.cached_at });
+        }
     }
 
+    console.log(`\n=== Detail request for ${source}/${id} ===`);
     try {
-        // Search all platforms in parallel
-        const searchPromises = await Promise.allSettled([
-            searchThingiverse(query),
-            searchPrintables(query),
-            searchMakerWorld(query)
-        ]);
-
-        const thingiverseResults = searchPromises[0].status === 'fulfilled' ? searchPromises[0].value : [];
-        const printablesResults = searchPromises[1].status === 'fulfilled' ? searchPromises[1].value : [];
-        const makerworldResults = searchPromises[2].status === 'fulfilled' ? searchPromises[2].value : [];
-
-        if (searchPromises[0].status === 'rejected') console.error('Thingiverse failed:', searchPromises[0].reason?.message);
-        if (searchPromises[1].status === 'rejected') console.error('Printables failed:', searchPromises[1].reason?.message);
-        if (searchPromises[2].status === 'rejected') console.error('MakerWorld failed:', searchPromises[2].reason?.message);
-
-        const allResults = [
-            ...thingiverseResults,
-            ...printablesResults,
-            ...makerworldResults
-        ];
-
-        const response = {
-            query,
-            total: allResults.length,
-            results: allResults,
-            sources: {
-                thingiverse: thingiverseResults.length,
-                printables: printablesResults.length,
-                makerworld: makerworldResults.length
-            }
-        };
+        res.json(await fetchDetails(provider, id));
+    } catch (error) {
+        const { status, message } = classifyError(error);
+        res.status(DETAIL_ERROR_CODES[status] || 502).json({ error: message, status });
+    }
+});
 
-        console.log(`Total results: ${allResults.length}`);
-        console.log('=== Search complete ===\n');
+// Answer with what a store operation returns (204 when it returns nothing),
+// or with the status of the CollectionError, SavedSearchError or
+// SearchCacheError it threw
+async function respondWithStore(res, operation, successStatus = 200) {
+    try {
+        const body = await operation();
+        if (body === undefined) return res.status(204).end();
+        res.status(successStatus).json(body);
+    } catch (error) {
+        if (error instanceof CollectionError || error instanceof SavedSearchError || error instanceof SearchCacheError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Store error:', error);
+        res.status(500).json({ error: 'Update failed' });
+    }
+}
 
-        // Cache results in both memory and database
-        cache.set(cacheKey, response);
-        cacheSearch(query, allResults, response.sources);
-        console.log('Results cached to database');
+// Thumbnail proxy (see thumbnails.js): url is the image, w the width wanted
+// (rounded up to 200, 400 or 800). Answers with WebP that browsers may keep for
+// a year, since a URL's thumbnail is only ever made once.
+app.get('/api/thumb', async (req, res) => {
+    if (!req.query.url) {
+        return res.status(400).json({ error: 'Query parameter url required' });
+    }
+    try {
+        const { image } = await thumbnails.getThumbnail(req.query.url, { width: req.query.w });
+        res.set({ 'Content-Type': 'image/webp', 'Cache-Control': 'public, max-age=31536000, immutable' });
+        res.send(image);
+    } catch (error) {
+        if (error instanceof ThumbnailError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Thumbnail error:', error);
+        res.status(500).json({ error: 'Thumbnail failed' });
+    }
+});
+
+// Favorites and collections (see collections.js)
+// Collections: { name, description }; items: { result, note } where result is
+// a search result, saved as a snapshot
+app.get('/api/collections', (req, res) => {
+    respondWithStore(res, () => ({ collections: collections.listCollections() }));
+});
+
+app.post('/api/collections', (req, res) => {
+    respondWithStore(res, () => collections.createCollection(req.body || {}), 201);
+});
 
-        res.json(response);
+app.get('/api/collections/:id', (req, res) => {
+    respondWithStore(res, () => collections.getCollection(req.params.id));
+});
+
+app.patch('/api/collections/:id', (req, res) => {
+    respondWithStore(res, () => collections.updateCollection(req.params.id, req.body || {}));
+});
+
+app.delete('/api/collections/:id', (req, res) => {
+    respondWithStore(res, () => collections.deleteCollection(req.params.id));
+});
+
+app.get('/api/collections/:id/items', (req, res) => {
+    respondWithStore(res, () => ({ items: collections.listItems(req.params.id) }));
+});
+
+app.post('/api/collections/:id/items', (req, res) => {
+    respondWithStore(res, () => collections.saveItem(req.params.id, req.body || {}), 201);
+});
+
+app.patch('/api/collections/:id/items/:itemId', (req, res) => {
+    respondWithStore(res, () => collections.updateItem(req.params.id, req.params.itemId, req.body || {}));
+});
+
+app.delete('/api/collections/:id/items/:itemId', (req, res) => {
+    respondWithStore(res, () => collections.deleteItem(req.params.id, req.params.itemId));
+});
+
+// Saved searches (see saved-searches.js), re-run on a schedule
+// Body: { name, query, sources: [ids] (empty for all), intervalMinutes,
+// webhookUrl } where webhookUrl must be on this machine or the local network
+app.get('/api/saved-searches', (req, res) => {
+    respondWithStore(res, () => ({ savedSearches: savedSearches.listSearches() }));
+});
+
+app.post('/api/saved-searches', (req, res) => {
+    respondWithStore(res, () => savedSearches.createSearch(req.body || {}), 201);
+});
+
+app.get('/api/saved-searches/:id', (req, res) => {
+    respondWithStore(res, () => savedSearches.getSearch(req.params.id));
+});
+
+app.patch('/api/saved-searches/:id', (req, res) => {
+    respondWithStore(res, () => savedSearches.updateSearch(req.params.id, req.body || {}));
+});
+
+app.delete('/api/saved-searches/:id', (req, res) => {
+    respondWithStore(res, () => savedSearches.deleteSearch(req.params.id));
+});
+
+// Results found since the first run, newest first. Unread only unless all=1.
+app.get('/api/saved-searches/:id/new', (req, res) => {
+    respondWithStore(res, () => ({
+        items: savedSearches.newItems(req.params.id, { includeRead: req.query.all === '1' })
+    }));
+});
+
+app.post('/api/saved-searches/:id/new/read', (req, res) => {
+    respondWithStore(res, () => savedSearches.markRead(req.params.id));
+});
+
+// Run a saved search now instead of waiting for the schedule
+app.post('/api/saved-searches/:id/run', (req, res) => {
+    respondWithStore(res, async () => {
+        const savedSearch = savedSearches.getSearch(req.params.id);
+        const { newResults } = await checkSavedSearch(savedSearches, savedSearch, searchForSavedSearch);
+        return { savedSearch: savedSearches.getSearch(savedSearch.id), newResults };
+    });
+});
+
+// Search history (see history.js): the most recent and most frequent queries
+app.get('/api/history', (req, res) => {
+    respondWithStore(res, () => history.listHistory({ limit: req.query.limit }));
+});
+
+// Forget one query (q) or, with all=1, the whole history
+app.delete('/api/history', (req, res) => {
+    if (req.query.all === '1') {
+        return respondWithStore(res, () => history.clearHistory());
+    }
+    if (!req.query.q) {
+        return res.status(400).json({ error: 'Query parameter q (or all=1) required' });
+    }
+    if (history.deleteQuery(req.query.q) === 0) {
+        return res.status(404).json({ error: `"${req.query.q}" is not in the history` });
+    }
+    res.status(204).end();
+});
+
+// Completions for a partly typed query, from the history
+app.get('/api/suggest', (req, res) => {
+    respondWithStore(res, () => ({
+        query: req.query.q || '',
+        suggestions: history.suggest(req.query.q, { limit: req.query.limit })
+    }));
+});
+
+// Search cache administration (see search-cache.js)
+// Cached queries, newest first: search (part of the query), source, sort
+// (recent, oldest or size), limit and offset
+app.get('/api/cache', (req, res) => {
+    respondWithStore(res, () => ({
+        stats: searchCache.stats(),
+        databaseBytes: databaseBytes(),
+        warming: describeWarming(),
+        ...searchCache.listQueries({
+            search: req.query.search,
+            source: req.query.source,
+            sort: req.query.sort,
+            limit: req.query.limit,
+            offset: req.query.offset
+        })
+    }));
+});
+
+// Purge cached answers by query (q), source, age (olderThanMinutes) or any
+// combination, or everything with all=1. The next search scrapes them again.
+app.delete('/api/cache', (req, res) => {
+    respondWithStore(res, () => ({
+        removed: searchCache.purge({
+            query: req.query.q,
+            source: req.query.source,
+            olderThanMinutes: req.query.olderThanMinutes,
+            all: req.query.all === '1'
+        })
+    }));
+});
+
+// Search page 1 of each query ahead of time. Body: { queries: [text],
+// sources: [ids] (empty for all) }. Answers at once; GET /api/cache shows progress.
+app.post('/api/cache/warm', (req, res) => {
+    const { queries, sources = [] } = req.body || {};
+    let providers;
+    try {
+        providers = selectProviders(Array.isArray(sources) ? sources.join(',') : sources);
     } catch (error) {
-        console.error('Search error:', error);
-        res.status(500).json({ error: 'Search failed' });
+        return res.status(400).json({ error: error.message });
     }
+    respondWithStore(res, () => ({ queued: queueWarming(queries, providers), warming: describeWarming() }), 202);
+});
+
+// Delete expired rows and compact the database file
+app.post('/api/cache/vacuum', (req, res) => {
+    respondWithStore(res, () => {
+        const bytesBefore = databaseBytes();
+        const removed = searchCache.clean() + cleanOldDetailsStmt.run().changes;
+        db.exec('VACUUM');
+        return { removed, bytesBefore, bytesAfter: databaseBytes() };
+    });
 });
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-    const cacheStats = db.prepare('SELECT COUNT(*) as count, MAX(updated_at) as last_update FROM searches').get();
 
     res.json({
         status: 'ok',
-        scrapers: ['thingiverse', 'printables', 'makerworld'],
-        browserRunning: browser !== null,
-        cacheStats: {
-            totalSearches: cacheStats.count,
-            lastUpdate: cacheStats.last_update
-        }
+        scrapers: getProviders().map(provider => provider.id),
+        browserRunning: isBrowserRunning(),
+        // Pages in use and waiting scrapes (see browser.js)
+        browserPool: getPoolStats(),
+        inFlightSearches: inFlightSearches.size,
+        // Providers whose recent scrapes look broken (see /api/health/providers)
+        degradedProviders: getProviders()
+            .filter(provider => providerHealth.describe(provider.id).status === 'degraded')
+            .map(provider => provider.id),
+        cacheStats: searchCache.stats(),
+        // Models kept for /api/local-search, in all and per provider
+        modelIndex: modelIndex.stats(),
+        // Files and bytes in the thumbnail cache, and how often it was hit
+        thumbnails: thumbnails.stats()
     });
 });
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('\nShutting down gracefully...');
-    if (browser) {
-        await browser.close();
-        console.log('Browser closed');
-    }
-    db.close();
-    console.log('Database closed');
-    process.exit(0);
-});
-
-app.listen(PORT, async () => {
-    console.log(`\n3D Model Search API running on http://localhost:${PORT}`);
-    console.log('\nConfiguration:');
-    console.log(`- Thingiverse: ✓ Puppeteer scraping`);
-    console.log(`- Printables: ✓ Puppeteer scraping`);
-    console.log(`- MakerWorld: ✓ Puppeteer scraping`);
-    console.log('\nInitializing browser...');
-    await initBrowser();
-    console.log('Ready to accept requests!\n');
-});
\ No newline at end of file
+// Scraper health per provider (see provider-health.js): status ok, degraded
+// or unknown, the reasons for degraded, the latest run, recent and baseline
+// metrics, the anti-bot cooldown if one is running (see providers/_challenge.js)
+// and the last failure of its API fast path while it is skipped (see providers/_api.js)
+app.get('/api/health/providers', (req, res) => {
+    respondWithStore(res, () => ({
+        providers: getProviders().map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            ...providerHealth.describe(provider.id),
+            cooldown: cooldownStatus(provider.id),
+            apiFailure: apiFailure(provider.id)
+        }))
+    }));
+});
+
+// One provider's health with its recorded runs, newest first (limit, default 50)
+app.get('/api/health/providers/:id', (req, res) => {
+    const provider = getProvider(req.params.id);
+    if (!provider) {
+        return res.status(404).json({ error: `Unknown source: ${req.params.id}` });
+    }
+    respondWithStore(res, () => ({
+        id: provider.id,
+        name: provider.name,
+        ...providerHealth.describe(provider.id),
+        cooldown: cooldownStatus(provider.id),
+        apiFailure: apiFailure(provider.id),
+        runs: providerHealth.listRuns(provider.id, { limit: req.query.limit })
+    }));
+});
+
+// Start the server when run directly; tests require the module and use app
+if (require.main === module) {
+    // Graceful shutdown
+    process.on('SIGINT', async () => {
+        console.log('\nShutting down gracefully...');
+        await closeBrowser();
+        db.close();
+        console.log('Database closed');
+        process.exit(0);
+    });
+
+    app.listen(PORT, async () => {
+        console.log(`\n3D Model Search API running on http://localhost:${PORT}`);
+        console.log('\nConfiguration:');
+        getProviders().forEach(provider => {
+            console.log(`- ${provider.name}: ✓ Puppeteer scraping`);
+        });
+        // Each platform's browser starts with its first scrape (see browser.js)
+        startScheduler(savedSearches, searchForSavedSearch);
+        console.log('Ready to accept requests!\n');
+    });
+}
+
+module.exports = { app, db };
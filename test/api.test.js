@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { searchWithFallback, apiFailure, clearApiFailure } = require('../providers/_api');
+const thingiverse = require('../providers/thingiverse');
+const printables = require('../providers/printables');
+const makerworld = require('../providers/makerworld');
+const { validateResult } = require('../result-schema');
+
+// A result without its fetch time, which changes with every run
+const withoutTime = ({ fetchedAt, ...result }) => result;
+
+// Answer axios requests from the test instead of the network, and keep them
+let requests = [];
+let answer = null;
+const adapter = axios.defaults.adapter;
+
+test.before(() => {
+    axios.defaults.adapter = async config => {
+        requests.push(config);
+        const data = typeof answer === 'function' ? answer(config) : answer;
+        return { data, status: 200, statusText: 'OK', headers: {}, config };
+    };
+});
+
+test.after(() => {
+    axios.defaults.adapter = adapter;
+});
+
+test.beforeEach(() => {
+    requests = [];
+    answer = null;
+    ['mock', 'thingiverse'].forEach(clearApiFailure);
+    delete process.env.SITE_APIS;
+    delete process.env.THINGIVERSE_API_TOKEN;
+});
+
+const site = { id: 'mock', name: 'Mock' };
+const result = { id: 'mock_1', title: 'Benchy' };
+
+test('searchWithFallback: marks results from the API', async () => {
+    const results = await searchWithFallback(site, async () => [result], async () => assert.fail('scraped'));
+    assert.deepEqual(results, [{ ...result, via: 'api' }]);
+});
+
+test('searchWithFallback: scrapes when the API fails, and skips the API for a while', async () => {
+    let apiCalls = 0;
+    const failingApi = async () => {
+        apiCalls += 1;
+        throw new Error('Request failed with status code 403');
+    };
+
+    const results = await searchWithFallback(site, failingApi, async () => [result]);
+    assert.deepEqual(results, [{ ...result, via: 'scraper' }]);
+    assert.match(apiFailure('mock').message, /403/);
+
+    await searchWithFallback(site, failingApi, async () => [result]);
+    assert.equal(apiCalls, 1);
+});
+
+test('searchWithFallback: scrapes when the API is unavailable or turned off', async () => {
+    const unavailable = await searchWithFallback(site, async () => null, async () => [result]);
+    assert.equal(unavailable[0].via, 'scraper');
+    assert.equal(apiFailure('mock'), null);
+
+    process.env.SITE_APIS = 'off';
+    const off = await searchWithFallback(site, async () => assert.fail('called the API'), async () => [result]);
+    assert.equal(off[0].via, 'scraper');
+});
+
+test('thingiverse API: needs a token, and sends it', async () => {
+    assert.equal(await thingiverse.searchApi('benchy'), null);
+    assert.equal(requests.length, 0);
+
+    process.env.THINGIVERSE_API_TOKEN = 'secret';
+    answer = {
+        total: 1,
+        hits: [{
+            id: 763622,
+            name: '#3DBenchy',
+            preview_image: 'https://cdn.thingiverse.com/renders/benchy.jpg',
+            creator: { name: 'CreativeTools' },
+            like_count: 1204,
+            comment_count: 88
+        }]
+    };
+    const results = await thingiverse.searchApi('benchy boat', { page: 2, limit: 5 });
+
+    assert.equal(requests[0].url, 'https://api.thingiverse.com/search/benchy%20boat');
+    assert.equal(requests[0].headers.Authorization, 'Bearer secret');
+    assert.deepEqual(requests[0].params, { type: 'things', page: 2, per_page: 5, sort: 'relevant' });
+    // Same id and url as the scraper gives the thing
+    assert.deepEqual(results.map(withoutTime), [{
+        id: 'thingiverse:763622',
+        source: 'thingiverse',
+        modelId: '763622',
+        title: '#3DBenchy',
+        url: 'https://www.thingiverse.com/thing:763622',
+        author: 'CreativeTools',
+        thumbnails: ['https://cdn.thingiverse.com/renders/benchy.jpg'],
+        likes: 1204,
+        downloads: null,
+        makes: null,
+        comments: 88,
+        views: null,
+        collections: null,
+        license: null,
+        via: null
+    }]);
+    assert.deepEqual(validateResult(results[0]), []);
+});
+
+test('printables API: reads models from the GraphQL answer', async () => {
+    answer = {
+        data: {
+            result: {
+                items: [{
+                    id: '3161',
+                    name: '#3DBenchy - The jolly 3D printing torture-test',
+                    slug: '3dbenchy',
+                    likesCount: 245,
+                    downloadCount: 1520,
+                    makesCount: 31,
+                    image: { filePath: 'media/prints/3161/images/benchy.webp' },
+                    user: { publicUsername: 'Prusa Research' }
+                }]
+            }
+        }
+    };
+    const results = await printables.searchApi('benchy', { page: 3, limit: 10 });
+
+    assert.deepEqual(JSON.parse(requests[0].data).variables, { query: 'benchy', limit: 10, offset: 20 });
+    assert.deepEqual(withoutTime(results[0]), {
+        id: 'printables:3161',
+        source: 'printables',
+        modelId: '3161',
+        title: '#3DBenchy - The jolly 3D printing torture-test',
+        url: 'https://www.printables.com/model/3161-3dbenchy',
+        author: 'Prusa Research',
+        thumbnails: ['https://media.printables.com/media/prints/3161/images/benchy.webp'],
+        likes: 245,
+        downloads: 1520,
+        makes: 31,
+        comments: null,
+        views: null,
+        collections: null,
+        license: null,
+        via: null
+    });
+    assert.deepEqual(validateResult(results[0]), []);
+});
+
+test('printables API: GraphQL errors and unexpected answers fail', async () => {
+    answer = { errors: [{ message: 'Cannot query field "searchPrints2"' }] };
+    await assert.rejects(printables.searchApi('benchy'), { status: 'error', message: /searchPrints2/ });
+
+    answer = { data: { result: null } };
+    await assert.rejects(printables.searchApi('benchy'), { status: 'parse_error' });
+});
+
+test('makerworld API: reads models from the search answer', async () => {
+    answer = {
+        total: 1,
+        hits: [{
+            id: 32112,
+            title: '3DBenchy',
+            slug: '3dbenchy',
+            cover: 'https://makerworld.bblmw.com/makerworld/model/benchy.jpg',
+            designCreator: { name: 'Bambu Lab' },
+            likeCount: 1300,
+            downloadCount: 25000,
+            printCount: 4100
+        }]
+    };
+    const results = await makerworld.searchApi('benchy', { limit: 20 });
+
+    assert.deepEqual(requests[0].params, { keyword: 'benchy', limit: 20, offset: 0 });
+    assert.equal(results[0].url, 'https://makerworld.com/en/models/32112-3dbenchy');
+    assert.equal(results[0].author, 'Bambu Lab');
+    assert.equal(results[0].downloads, 25000);
+    assert.equal(results[0].makes, 4100);
+
+    answer = '<html>Just a moment...</html>';
+    await assert.rejects(makerworld.searchApi('benchy'), { status: 'parse_error' });
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { createPagePool } = require('../browser');
+
+// Just enough of a Puppeteer browser and page for the pool
+function fakeLauncher() {
+    const launched = [];
+    const launch = async (profile) => {
+        const browser = new EventEmitter();
+        browser.profile = profile;
+        browser.pagesOpened = 0;
+        browser.jar = [];
+        browser.cookies = async () => browser.jar;
+        browser.setCookie = async (...cookies) => browser.jar.push(...cookies);
+        browser.newPage = async () => {
+            browser.pagesOpened += 1;
+            let closed = false;
+            return {
+                browser: () => browser,
+                isClosed: () => closed,
+                close: async () => {
+                    closed = true;
+                },
+                goto: async () => {}
+            };
+        };
+        browser.close = async () => browser.emit('disconnected');
+        launched.push(browser);
+        return browser;
+    };
+    return { launch, launched };
+}
+
+test('page pool: caps open pages and queues the rest in order', async () => {
+    const { launch } = fakeLauncher();
+    const pool = createPagePool({ launch, maxPages: 2 });
+    const first = await pool.acquirePage();
+    const second = await pool.acquirePage();
+
+    const order = [];
+    const third = pool.acquirePage().then(page => order.push('third') && page);
+    const fourth = pool.acquirePage().then(page => order.push('fourth') && page);
+    assert.equal(pool.stats().queued, 2);
+
+    await pool.releasePage(first);
+    await pool.releasePage(second);
+    assert.equal(await third, first);
+    assert.equal(await fourth, second);
+    assert.deepEqual(order, ['third', 'fourth']);
+    assert.equal(pool.stats().activePages, 2);
+});
+
+test('page pool: a queued request gives up with a TIMEOUT error', async () => {
+    const { launch } = fakeLauncher();
+    const pool = createPagePool({ launch, maxPages: 1, queueTimeoutMs: 20 });
+    const page = await pool.acquirePage();
+
+    await assert.rejects(pool.acquirePage(), { code: 'TIMEOUT' });
+    assert.equal(pool.stats().queued, 0);
+    assert.equal(pool.stats().queueTimeouts, 1);
+
+    await pool.releasePage(page);
+    assert.equal(pool.stats().activePages, 0);
+});
+
+test('page pool: reuses pages until they have served maxPageUses scrapes', async () => {
+    const { launch, launched } = fakeLauncher();
+    const pool = createPagePool({ launch, maxPageUses: 2 });
+
+    const page = await pool.acquirePage();
+    await pool.releasePage(page);
+    assert.equal(await pool.acquirePage(), page);
+    await pool.releasePage(page);
+
+    assert.equal(page.isClosed(), true);
+    assert.notEqual(await pool.acquirePage(), page);
+    assert.equal(launched[0].pagesOpened, 2);
+});
+
+test('page pool: sets up each new page once, not on reuse', async () => {
+    const { launch } = fakeLauncher();
+    const setUp = [];
+    const pool = createPagePool({ launch, maxPageUses: 2, setup: async page => setUp.push(page) });
+
+    const page = await pool.acquirePage();
+    await pool.releasePage(page);
+    await pool.acquirePage();
+    await pool.releasePage(page);
+    const replacement = await pool.acquirePage();
+    assert.deepEqual(setUp, [page, replacement]);
+});
+
+test('page pool: closes a page whose setup fails', async () => {
+    const { launch } = fakeLauncher();
+    let opened;
+    const pool = createPagePool({
+        launch,
+        setup: async page => {
+            opened = page;
+            throw new Error('setup failed');
+        }
+    });
+
+    await assert.rejects(pool.acquirePage(), /setup failed/);
+    assert.equal(opened.isClosed(), true);
+    assert.equal(pool.stats().activePages, 0);
+});
+
+test('page pool: relaunches the browser after it disconnects', async () => {
+    const { launch, launched } = fakeLauncher();
+    const pool = createPagePool({ launch, relaunchDelayMs: 0 });
+    const page = await pool.acquirePage();
+
+    launched[0].emit('disconnected');
+    assert.equal(pool.isBrowserRunning(), false);
+    // Pages from the dead browser are dropped, not reused
+    await pool.releasePage(page);
+    assert.equal(page.isClosed(), true);
+
+    const next = await pool.acquirePage();
+    assert.equal(next.browser(), launched[1]);
+    assert.equal(pool.stats().launches, 2);
+});
+
+test('page pool: one browser per profile, each with its saved cookies', async () => {
+    const { launch, launched } = fakeLauncher();
+    const saved = { printables: [{ name: 'consent', value: 'yes' }] };
+    const profiles = {
+        loadCookies: profile => saved[profile] || [],
+        saveCookies: (profile, cookies) => {
+            saved[profile] = [...cookies];
+        }
+    };
+    const pool = createPagePool({ launch, profiles });
+
+    const printables = await pool.acquirePage('printables');
+    const makerworld = await pool.acquirePage('makerworld');
+    assert.deepEqual(launched.map(browser => browser.profile), ['printables', 'makerworld']);
+    assert.deepEqual(launched[0].jar, [{ name: 'consent', value: 'yes' }]);
+    assert.deepEqual(launched[1].jar, []);
+    assert.deepEqual(pool.stats().browsers, ['printables', 'makerworld']);
+
+    // Cookies picked up while scraping are saved when the page comes back
+    launched[1].jar.push({ name: 'cf_clearance', value: 'ok' });
+    await pool.releasePage(makerworld);
+    assert.deepEqual(saved.makerworld, [{ name: 'cf_clearance', value: 'ok' }]);
+
+    // Pages go back to their own profile's browser
+    await pool.releasePage(printables);
+    assert.equal(await pool.acquirePage('printables'), printables);
+    assert.equal((await pool.acquirePage('makerworld')).browser(), launched[1]);
+});
+
+test('page pool: closes the browser of a profile that sits idle', async () => {
+    const { launch } = fakeLauncher();
+    const pool = createPagePool({ launch, browserIdleMs: 10 });
+
+    await pool.releasePage(await pool.acquirePage('thangs'));
+    assert.equal(pool.isBrowserRunning(), true);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(pool.isBrowserRunning(), false);
+
+    await pool.acquirePage('thangs');
+    assert.equal(pool.stats().launches, 2);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProfileStore } = require('../browser-profiles');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('browser profiles: each profile has its own user-data directory', () => {
+    const profiles = createProfileStore({ dir: root });
+
+    assert.equal(profiles.userDataDir('printables'), path.join(root, 'printables', 'chrome'));
+    assert.notEqual(profiles.userDataDir('printables'), profiles.userDataDir('makerworld'));
+    assert.throws(() => profiles.userDataDir('../etc'), /Invalid browser profile/);
+});
+
+test('browser profiles: saves cookies and drops expired ones on load', () => {
+    const profiles = createProfileStore({ dir: root });
+    const now = Date.now() / 1000;
+    assert.deepEqual(profiles.loadCookies('makerworld'), []);
+
+    profiles.saveCookies('makerworld', [
+        { name: 'cf_clearance', value: 'ok', domain: '.makerworld.com', path: '/', expires: now + 3600, size: 15, session: false },
+        { name: 'old', value: 'x', domain: '.makerworld.com', path: '/', expires: now - 60 },
+        { name: 'visit', value: '1', domain: 'makerworld.com', path: '/', expires: -1 }
+    ]);
+
+    const cookies = createProfileStore({ dir: root }).loadCookies('makerworld');
+    assert.deepEqual(cookies.map(cookie => cookie.name), ['cf_clearance', 'visit']);
+    // Only the fields setCookie takes back are kept
+    assert.equal(cookies[0].size, undefined);
+    assert.deepEqual(profiles.loadCookies('printables'), []);
+});
+
+test('browser profiles: merges state changes', () => {
+    const profiles = createProfileStore({ dir: root });
+    assert.deepEqual(profiles.getState('thangs'), {});
+
+    profiles.updateState('thangs', { consentAcceptedAt: '2026-01-01T00:00:00.000Z' });
+    profiles.updateState('thangs', { note: 'x' });
+    assert.deepEqual(profiles.getState('thangs'), { consentAcceptedAt: '2026-01-01T00:00:00.000Z', note: 'x' });
+});
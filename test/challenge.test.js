@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createProfileStore } = require('../browser-profiles');
+const { passChallenge, acceptConsent, checkCooldown, clearCooldown, cooldownStatus } = require('../providers/_challenge');
+const { createJsdomPage } = require('./jsdom-page');
+
+const RESULTS = '<article data-testid="model"><a href="/model/1-benchy">Benchy</a></article>';
+
+// A Cloudflare-style interstitial. With clearAfter, its script passes the
+// "check" after that many milliseconds: it sets the clearance cookie and
+// swaps in the results, as the real one does by reloading.
+function challengePage(clearAfter) {
+    const script = clearAfter === undefined ? '' : `<script>
+      setTimeout(() => {
+        document.cookie = 'cf_clearance=ok; path=/';
+        document.title = 'Search results';
+        document.body.innerHTML = ${JSON.stringify(RESULTS)};
+      }, ${clearAfter});
+    </script>`;
+    return `<html><head><title>Just a moment...</title></head>
+      <body><div id="challenge-stage">Checking your browser</div>${script}</body></html>`;
+}
+
+function consentBanner() {
+    return `<div id="banner" role="dialog">
+      <button class="settings">Settings</button>
+      <button onclick="document.cookie = 'consent=yes; path=/'; document.getElementById('banner').remove()">
+        Accept  All
+      </button>
+    </div>`;
+}
+
+// The mock site:
+//   /search   - a challenge that clears after 100ms, unless the clearance cookie is set
+//   /blocked  - a challenge that never clears
+//   /empty    - a challenge that clears to a page without results
+//   /consent  - results with a cookie banner, unless the consent cookie is set
+const server = http.createServer((req, res) => {
+    const cookies = req.headers.cookie || '';
+    const { pathname } = new URL(req.url, 'http://localhost');
+    let body = `<html><head><title>Search results</title></head><body>${RESULTS}</body></html>`;
+
+    if (pathname === '/search' && !cookies.includes('cf_clearance=ok')) {
+        body = challengePage(100);
+    } else if (pathname === '/blocked') {
+        body = challengePage();
+    } else if (pathname === '/empty') {
+        body = challengePage(50).replace(JSON.stringify(RESULTS), '"<p>No models found</p>"');
+    } else if (pathname === '/consent' && !cookies.includes('consent=yes')) {
+        body = body.replace('<body>', `<body>${consentBanner()}`);
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(body);
+});
+
+let base;
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'challenge-profiles-'));
+
+test.before(async () => {
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test.beforeEach(() => clearCooldown('mock'));
+
+const site = { id: 'mock', name: 'Mock' };
+const ready = 'article[data-testid="model"]';
+
+test('passChallenge: returns at once on a normal page', async () => {
+    const page = createJsdomPage();
+    await page.goto(`${base}/consent`);
+
+    assert.equal(await passChallenge(page, { ...site, ready }), false);
+    page.close();
+});
+
+test('passChallenge: waits for the challenge to clear instead of a fixed delay', async () => {
+    const page = createJsdomPage();
+    await page.goto(`${base}/search`);
+
+    const started = Date.now();
+    assert.equal(await passChallenge(page, { ...site, ready, timeoutMs: 5000 }), true);
+    assert.ok(Date.now() - started < 2000);
+    assert.equal(await page.evaluate(selector => document.querySelectorAll(selector).length, ready), 1);
+
+    // The clearance cookie was kept, so the next visit skips the challenge
+    await page.goto(`${base}/search`);
+    assert.equal(await passChallenge(page, { ...site, ready }), false);
+    page.close();
+});
+
+test('passChallenge: a cleared challenge without results is left to the provider', async () => {
+    const page = createJsdomPage();
+    await page.goto(`${base}/empty`);
+
+    assert.equal(await passChallenge(page, { ...site, ready, timeoutMs: 300 }), true);
+    assert.equal(cooldownStatus('mock'), null);
+    page.close();
+});
+
+test('passChallenge: a challenge that never clears is blocked and starts a cooldown', async () => {
+    const page = createJsdomPage();
+    await page.goto(`${base}/blocked`);
+
+    await assert.rejects(passChallenge(page, { ...site, ready, timeoutMs: 200 }), { name: 'ProviderError', status: 'blocked' });
+    assert.throws(() => checkCooldown('mock', 'Mock'), { status: 'blocked', message: /cooling down/ });
+    const first = cooldownStatus('mock');
+    assert.equal(first.strikes, 1);
+
+    // Each further failure doubles the cooldown
+    await assert.rejects(passChallenge(page, { ...site, ready, timeoutMs: 200 }), { status: 'blocked' });
+    const second = cooldownStatus('mock');
+    assert.equal(second.strikes, 2);
+    assert.ok(Date.parse(second.until) - Date.now() > 3 * 60 * 1000);
+
+    // Other providers aren't affected, and a cleared page ends the cooldown
+    assert.doesNotThrow(() => checkCooldown('other', 'Other'));
+    await page.goto(`${base}/consent`);
+    await passChallenge(page, { ...site, ready });
+    assert.doesNotThrow(() => checkCooldown('mock', 'Mock'));
+    page.close();
+});
+
+test('acceptConsent: clicks the banner by its text and remembers it in the profile', async () => {
+    const profiles = createProfileStore({ dir: root });
+    const consent = { ...site, texts: ['Accept all'], profiles, timeoutMs: 1000 };
+    const page = createJsdomPage();
+    await page.goto(`${base}/consent`);
+
+    assert.equal(await acceptConsent(page, consent), true);
+    assert.equal(await page.evaluate(() => Boolean(document.getElementById('banner'))), false);
+    assert.ok(profiles.getState('mock').consentAcceptedAt);
+
+    // With the consent cookie there is no banner, and no waiting for one
+    await page.goto(`${base}/consent`);
+    const started = Date.now();
+    assert.equal(await acceptConsent(page, consent), false);
+    assert.ok(Date.now() - started < 500);
+    page.close();
+});
+
+test('acceptConsent: falls back to the selector when no button text matches', async () => {
+    const profiles = createProfileStore({ dir: root });
+    const page = createJsdomPage();
+    await page.goto(`${base}/consent`);
+
+    const accepted = await acceptConsent(page, { id: 'fallback', name: 'Mock', texts: ['Agree'], selector: '#banner button:last-child', profiles, timeoutMs: 1000 });
+    assert.equal(accepted, true);
+    assert.match(await page.evaluate(() => document.cookie), /consent=yes/);
+    page.close();
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { CollectionError, createCollectionStore } = require('../collections');
+const { createResult } = require('../result-schema');
+const printables = require('../providers/printables');
+
+const result = {
+    ...createResult({
+        source: 'printables',
+        modelId: '1',
+        title: 'Gridfinity Bin',
+        url: 'https://www.printables.com/model/1-bin',
+        author: 'Zack',
+        thumbnails: ['https://media.printables.com/1.jpg'],
+        stats: { likes: 50, downloads: 900 }
+    }),
+    score: 0.8
+};
+
+function newStore() {
+    return createCollectionStore(new Database(':memory:'));
+}
+
+// Run fn and return the CollectionError's HTTP status
+function statusOf(fn) {
+    try {
+        fn();
+    } catch (error) {
+        assert.ok(error instanceof CollectionError, error.message);
+        return error.status;
+    }
+    assert.fail('expected a CollectionError');
+}
+
+test('collections: Favorites exists from the start and is protected', () => {
+    const store = newStore();
+    const [favorites] = store.listCollections();
+
+    assert.equal(favorites.name, 'Favorites');
+    assert.equal(favorites.favorites, true);
+    assert.equal(statusOf(() => store.deleteCollection(favorites.id)), 400);
+    assert.equal(statusOf(() => store.updateCollection(favorites.id, { name: 'Stars' })), 400);
+    assert.equal(store.updateCollection(favorites.id, { description: 'Starred' }).description, 'Starred');
+});
+
+test('collections: create, rename and delete, with unique names', () => {
+    const store = newStore();
+    const shop = store.createCollection({ name: ' Shop parts ' });
+
+    assert.equal(shop.name, 'Shop parts');
+    assert.equal(statusOf(() => store.createCollection({ name: 'shop PARTS' })), 409);
+    assert.equal(statusOf(() => store.createCollection({ name: '  ' })), 400);
+    assert.equal(store.updateCollection(shop.id, { name: 'Workshop' }).name, 'Workshop');
+
+    store.deleteCollection(shop.id);
+    assert.equal(statusOf(() => store.getCollection(shop.id)), 404);
+});
+
+test('collections: items keep a snapshot of the result', () => {
+    const store = newStore();
+    const shop = store.createCollection({ name: 'Shop' });
+    const item = store.saveItem(shop.id, { result, note: 'print in PETG' });
+
+    assert.equal(item.resultId, result.id);
+    assert.equal(item.note, 'print in PETG');
+    assert.equal(item.result.title, 'Gridfinity Bin');
+    assert.equal(item.result.modelId, '1');
+    assert.equal(item.result.score, undefined);
+    assert.equal(statusOf(() => store.saveItem(shop.id, { result: { title: 'No id' } })), 400);
+});
+
+test('collections: saving a result twice refreshes it instead of duplicating', () => {
+    const store = newStore();
+    const shop = store.createCollection({ name: 'Shop' });
+    const first = store.saveItem(shop.id, { result });
+    const second = store.saveItem(shop.id, { result: { ...result, likes: 75 } });
+
+    assert.equal(second.id, first.id);
+    assert.equal(second.result.likes, 75);
+    assert.equal(store.getCollection(shop.id).itemCount, 1);
+});
+
+test('collections: saving a result again keeps its note unless given a new one', () => {
+    const store = newStore();
+    const shop = store.createCollection({ name: 'Shop' });
+    store.saveItem(shop.id, { result, note: 'print in PETG' });
+
+    assert.equal(store.saveItem(shop.id, { result: { ...result, likes: 75 } }).note, 'print in PETG');
+    assert.equal(store.saveItem(shop.id, { result, note: 'print in ASA' }).note, 'print in ASA');
+    assert.equal(store.saveItem(shop.id, { result, note: '' }).note, '');
+});
+
+test('collections: deleting a collection deletes its items', () => {
+    const store = newStore();
+    const shop = store.createCollection({ name: 'Shop' });
+    const item = store.saveItem(shop.id, { result });
+
+    assert.equal(store.updateItem(shop.id, item.id, { note: 'later' }).note, 'later');
+    store.deleteItem(shop.id, item.id);
+    assert.equal(statusOf(() => store.deleteItem(shop.id, item.id)), 404);
+
+    store.saveItem(shop.id, { result });
+    store.deleteCollection(shop.id);
+    const favorites = store.listCollections()[0];
+    assert.equal(statusOf(() => store.listItems(shop.id)), 404);
+    assert.deepEqual(store.listItems(favorites.id), []);
+});
+
+test('collections: snapshots saved with an older result schema are migrated', () => {
+    const db = new Database(':memory:');
+    const shop = createCollectionStore(db).createCollection({ name: 'Shop' });
+    const v1 = {
+        id: 'printables_https://www.printables.com/model/1-bin',
+        title: 'Gridfinity Bin',
+        thumbnail: 'https://media.printables.com/1.jpg',
+        author: 'Unknown',
+        source: 'printables',
+        url: 'https://www.printables.com/model/1-bin',
+        likes: 50,
+        downloads: 900
+    };
+    const insert = db.prepare(`INSERT INTO collection_items (collection_id, result_id, source, snapshot, created_at, schema_version)
+      VALUES (?, ?, 'printables', ?, '2024-05-01 09:30:00', 1)`);
+    insert.run(shop.id, v1.id, JSON.stringify(v1));
+    // The same model saved again under its new id: the old copy goes
+    insert.run(shop.id, 'printables_https://www.printables.com/model/1-bin-v2', JSON.stringify({ ...v1, url: 'https://www.printables.com/model/1-bin-v2' }));
+
+    const store = createCollectionStore(db, { getProvider: id => (id === 'printables' ? printables : null) });
+    const items = store.listItems(shop.id);
+
+    assert.equal(items.length, 1);
+    assert.equal(items[0].resultId, 'printables:1');
+    assert.deepEqual(items[0].result, createResult({
+        source: 'printables',
+        modelId: '1',
+        title: 'Gridfinity Bin',
+        url: 'https://www.printables.com/model/1-bin',
+        thumbnails: ['https://media.printables.com/1.jpg'],
+        stats: { likes: 50, downloads: 900 },
+        fetchedAt: '2024-05-01T09:30:00.000Z'
+    }));
+    assert.equal(db.prepare('SELECT MIN(schema_version) AS version FROM collection_items').get().version, 2);
+});
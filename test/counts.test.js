@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCount, parseStats } = require('../providers/_counts');
+
+test('parseCount: reads k, M and B suffixes', () => {
+    assert.equal(parseCount('1.2k'), 1200);
+    assert.equal(parseCount('12.3K'), 12300);
+    assert.equal(parseCount('2M'), 2000000);
+    assert.equal(parseCount('1.5 M'), 1500000);
+    assert.equal(parseCount('3b'), 3000000000);
+    // Printables used to strip everything but digits, reading 1.2k as 12
+    assert.notEqual(parseCount('1.2k'), 12);
+});
+
+test('parseCount: reads thousands separators', () => {
+    assert.equal(parseCount('1,204'), 1204);
+    assert.equal(parseCount('1.204'), 1204);
+    assert.equal(parseCount('1 204'), 1204);
+    assert.equal(parseCount('1\u00a0204'), 1204);
+    assert.equal(parseCount("1'204"), 1204);
+    assert.equal(parseCount('1,234,567'), 1234567);
+    assert.equal(parseCount('1.234.567'), 1234567);
+});
+
+test('parseCount: reads localized decimals', () => {
+    assert.equal(parseCount('1,5k'), 1500);
+    assert.equal(parseCount('1.234,5'), 1235);
+    assert.equal(parseCount('1,234.5'), 1235);
+    assert.equal(parseCount('2,5'), 3);
+});
+
+test('parseCount: takes the first count out of labeled text', () => {
+    assert.equal(parseCount('12 likes'), 12);
+    assert.equal(parseCount('Downloads: 5.3K'), 5300);
+    assert.equal(parseCount('245 31 1520'), 245);
+});
+
+test('parseCount: numbers pass through, anything else is null', () => {
+    assert.equal(parseCount(42), 42);
+    assert.equal(parseCount(41.6), 42);
+    assert.equal(parseCount('0'), 0);
+    assert.equal(parseCount('likes'), null);
+    assert.equal(parseCount(''), null);
+    assert.equal(parseCount(null), null);
+    assert.equal(parseCount(undefined), null);
+    assert.equal(parseCount(NaN), null);
+});
+
+test('parseStats: has every stat, null where it is missing or unreadable', () => {
+    const none = { likes: null, downloads: null, makes: null, comments: null, views: null, collections: null };
+    assert.deepEqual(parseStats({}), none);
+    assert.deepEqual(parseStats(), none);
+    assert.deepEqual(
+        parseStats({ likes: '1.2k', makes: '31', comments: 'comments', views: 41700, rating: '5' }),
+        { ...none, likes: 1200, makes: 31, views: 41700 }
+    );
+});
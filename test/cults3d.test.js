@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateFixture } = require('./fixture-dom');
+const { parseStats } = require('../providers/_counts');
+const cults3d = require('../providers/cults3d');
+
+test('cults3d: extracts model cards from a search page', () => {
+    const items = evaluateFixture('cults3d-search.html', cults3d.extractResults);
+
+    assert.deepEqual(items[0], {
+        title: '#3DBenchy - The jolly 3D printing torture-test',
+        link: 'https://cults3d.com/en/3d-model/gadget/3dbenchy-the-jolly-3d-printing-torture-test',
+        thumbnail: 'https://images.cults3d.com/benchy-101.jpg',
+        author: 'CreativeTools',
+        stats: { likes: '1.2k' }
+    });
+    assert.equal(items[1].link, 'https://cults3d.com/en/3d-model/art/benchy-pirate-ship');
+    assert.deepEqual(parseStats(items[1].stats), { likes: 87, downloads: null, makes: null, comments: null, views: null, collections: null });
+});
+
+test('cults3d: skips promo cards and repeated models', () => {
+    const items = evaluateFixture('cults3d-search.html', cults3d.extractResults);
+    const links = items.map(item => item.link);
+
+    assert.equal(items.length, 12);
+    assert.equal(new Set(links).size, links.length);
+    assert.ok(links.every(link => link.includes('/3d-model/')));
+});
+
+test('cults3d: stops at maxItems', () => {
+    const items = evaluateFixture('cults3d-search.html', cults3d.extractResults, 5);
+
+    assert.equal(items.length, 5);
+});
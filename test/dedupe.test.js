@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const sharp = require('sharp');
+const {
+    normalizeTitle,
+    normalizeHandle,
+    titleSimilarity,
+    hammingDistance,
+    imageHash,
+    isLikelyDuplicate,
+    dedupeResults
+} = require('../dedupe');
+
+const results = [
+    { id: 't1', source: 'thingiverse', title: 'Gridfinity Bin 2x3 - 3D Print Model', author: 'Zack_Freedman', url: 'https://t/1', likes: 40, downloads: 0 },
+    { id: 'p1', source: 'printables', title: 'Gridfinity bin 2 x 3', author: '@zackfreedman', url: 'https://p/1', likes: 120, downloads: 900, makes: 12 },
+    { id: 'p2', source: 'printables', title: 'Gridfinity bin 3x3', author: 'zackfreedman', url: 'https://p/2', likes: 80, downloads: 500 },
+    { id: 'm1', source: 'makerworld', title: 'Gridfinity Bin 2x3 STL', author: 'Zack Freedman', url: 'https://m/1', likes: 30, downloads: 100 },
+    { id: 'm2', source: 'makerworld', title: 'Cable clip', author: 'Zack Freedman', url: 'https://m/2', likes: 5, downloads: 10 }
+];
+
+test('normalizeTitle: drops punctuation and noise words', () => {
+    assert.equal(normalizeTitle('Gridfinity Bin 2x3 - 3D Print Model'), 'gridfinity bin 2x3');
+});
+
+test('normalizeHandle: ignores case, @ and separators, and treats Unknown as no handle', () => {
+    assert.equal(normalizeHandle('@Zack_Freedman'), 'zackfreedman');
+    assert.equal(normalizeHandle('Zack Freedman'), 'zackfreedman');
+    assert.equal(normalizeHandle('Unknown'), '');
+});
+
+test('titleSimilarity: close for reworded titles, low for different models', () => {
+    assert.ok(titleSimilarity('Gridfinity Bin 2x3 STL', 'Gridfinity bin 2 x 3') > 0.8);
+    assert.ok(titleSimilarity('Gridfinity Bin 2x3', 'Cable clip') < 0.2);
+});
+
+test('isLikelyDuplicate: needs another site, a similar title with the same numbers, and a matching author or image', () => {
+    const [t1, p1, p2, m1] = results;
+    const stranger = { ...m1, author: 'someone_else' };
+
+    assert.equal(isLikelyDuplicate(t1, p1), true);
+    assert.equal(isLikelyDuplicate(p1, p2), false);
+    assert.equal(isLikelyDuplicate(t1, { ...p2, source: 'makerworld' }), false);
+    assert.equal(isLikelyDuplicate(t1, stranger), false);
+    assert.equal(isLikelyDuplicate(t1, stranger, new Map([['t1', '00ff00ff00ff00ff'], ['m1', '00ff00ff00ff00fe']])), true);
+});
+
+test('dedupeResults: merges each group into one result with listings and summed stats', async () => {
+    const deduped = await dedupeResults(results);
+
+    assert.deepEqual(deduped.map(r => r.id), ['t1', 'p2', 'm2']);
+    const [merged] = deduped;
+    assert.equal(merged.source, 'thingiverse');
+    assert.equal(merged.likes, 190);
+    assert.equal(merged.downloads, 1000);
+    assert.equal(merged.makes, 12);
+    assert.equal(merged.listings[1].makes, 12);
+    assert.equal(merged.listings[0].makes, null);
+    assert.deepEqual(merged.listings.map(l => [l.source, l.url]), [
+        ['thingiverse', 'https://t/1'],
+        ['printables', 'https://p/1'],
+        ['makerworld', 'https://m/1']
+    ]);
+    assert.equal(deduped[1].listings, undefined);
+});
+
+test('dedupeResults: off returns the results untouched', async () => {
+    assert.equal(await dedupeResults(results, 'off'), results);
+});
+
+test('imageHash: resized copies of an image hash alike, different images do not', async () => {
+    // Horizontal gradient with a dark square, and its mirror image
+    const width = 90;
+    const height = 80;
+    const pixels = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const inSquare = x > 20 && x < 50 && y > 20 && y < 50;
+            pixels[y * width + x] = inSquare ? 10 : Math.round((x / width) * 255);
+        }
+    }
+    const raw = { raw: { width, height, channels: 1 } };
+    const original = await sharp(pixels, raw).png().toBuffer();
+    const smaller = await sharp(pixels, raw).resize(45, 40).jpeg({ quality: 70 }).toBuffer();
+    const mirrored = await sharp(pixels, raw).flop().png().toBuffer();
+
+    const hash = await imageHash(original);
+    assert.ok(hammingDistance(hash, await imageHash(smaller)) <= 6);
+    assert.ok(hammingDistance(hash, await imageHash(mirrored)) > 6);
+});
+
+test('dedupeResults: hash never fetches thumbnails from this machine or the local network', async () => {
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+        requests += 1;
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    try {
+        const local = [
+            { ...results[1], author: 'someone', thumbnail: `http://127.0.0.1:${port}/a.png` },
+            { ...results[3], author: 'someone_else', thumbnail: `http://localhost:${port}/b.png` }
+        ];
+        const deduped = await dedupeResults(local, 'hash');
+        assert.equal(deduped.length, 2);
+        assert.equal(requests, 0);
+    } finally {
+        server.close();
+    }
+});
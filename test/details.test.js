@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateFixture } = require('./fixture-dom');
+const { extractModelDetails } = require('../providers/_details');
+const { getProviders } = require('../providers');
+const printables = require('../providers/printables');
+
+test('extractModelDetails: reads a model page with the provider selectors', () => {
+    const details = evaluateFixture('printables-model.html', extractModelDetails, printables.detailSelectors);
+
+    assert.equal(details.title, 'Gridfinity Bin 2x3');
+    assert.equal(details.author, 'Zack');
+    assert.equal(details.description, 'A 2x3 Gridfinity bin with a label shelf. Prints without supports.');
+    assert.equal(details.license, 'Creative Commons - Attribution - Share Alike');
+    assert.equal(details.createdAt, '2024-03-05T10:15:00.000Z');
+    assert.deepEqual(details.remixOf, {
+        title: 'Gridfinity Baseplate',
+        url: 'https://www.printables.com/model/100-gridfinity-baseplate'
+    });
+    assert.deepEqual(details.printSettings, { 'Layer height': '0.2 mm', Infill: '15 %' });
+    assert.deepEqual(details.files, [
+        { name: 'bin_2x3.stl', size: '1.5 MB', bytes: 1572864 },
+        { name: 'bin_2x3_label.3mf', size: '820 kB', bytes: 839680 },
+        { name: 'readme.txt', size: '', bytes: null }
+    ]);
+});
+
+test('extractModelDetails: merges gallery, tags and JSON-LD without duplicates', () => {
+    const details = evaluateFixture('printables-model.html', extractModelDetails, printables.detailSelectors);
+
+    assert.deepEqual(details.images, [
+        'https://media.printables.com/media/prints/123456/images/cover.jpg',
+        'https://www.printables.com/media/prints/123456/images/top.jpg',
+        'https://media.printables.com/media/prints/123456/images/side.jpg'
+    ]);
+    assert.deepEqual(details.tags, ['gridfinity', 'bins', 'storage', 'Organizer']);
+});
+
+test('extractModelDetails: falls back to JSON-LD and meta tags without selectors', () => {
+    const details = evaluateFixture('printables-model.html', extractModelDetails, {});
+
+    assert.equal(details.title, 'Gridfinity Bin 2x3');
+    assert.equal(details.author, 'Zack');
+    assert.equal(details.description, 'A 2x3 Gridfinity bin.');
+    assert.equal(details.createdAt, '2024-03-05T10:15:00.000Z');
+    assert.deepEqual(details.files, []);
+    assert.equal(details.remixOf, null);
+});
+
+test('providers: model ids round-trip through result urls', () => {
+    const urls = {
+        thingiverse: 'https://www.thingiverse.com/thing:4567',
+        printables: 'https://www.printables.com/model/123456-gridfinity-bin-2x3',
+        makerworld: 'https://makerworld.com/en/models/98765-gridfinity-bin#profileId-1',
+        cults3d: 'https://cults3d.com/en/3d-model/home/gridfinity-bin-2x3',
+        myminifactory: 'https://www.myminifactory.com/object/3d-print-voron-stealthburner-toolhead-5432',
+        thangs: 'https://thangs.com/designer/GridfinityFan/3d-model/Gridfinity%20Bin%202x3-112233'
+    };
+
+    getProviders().forEach(provider => {
+        const id = provider.modelIdFromUrl(urls[provider.id]);
+        assert.ok(id, `${provider.id} has no id for ${urls[provider.id]}`);
+        assert.equal(provider.modelIdFromUrl(provider.modelUrl(id)), id);
+    });
+});
+
+test('providers: modelUrl rejects ids that could point elsewhere', () => {
+    getProviders().forEach(provider => {
+        assert.equal(provider.modelUrl('../../admin'), null, provider.id);
+        assert.equal(provider.modelUrl('https://example.com'), null, provider.id);
+    });
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ProviderError, classifyError } = require('../providers/_errors');
+
+test('classifyError: keeps the status of a ProviderError', () => {
+    const error = new ProviderError('blocked', 'Challenge page');
+
+    assert.deepEqual(classifyError(error), { status: 'blocked', message: 'Challenge page' });
+});
+
+test('classifyError: treats provider and Puppeteer timeouts as timeout', () => {
+    const ours = Object.assign(new Error('Thangs timed out after 60s'), { code: 'TIMEOUT' });
+    const puppeteer = Object.assign(new Error('Navigation timeout of 30000 ms exceeded'), { name: 'TimeoutError' });
+
+    assert.equal(classifyError(ours).status, 'timeout');
+    assert.equal(classifyError(puppeteer).status, 'timeout');
+});
+
+test('classifyError: anything else is a generic error', () => {
+    assert.deepEqual(classifyError(new Error('net::ERR_NAME_NOT_RESOLVED')), {
+        status: 'error',
+        message: 'net::ERR_NAME_NOT_RESOLVED'
+    });
+});
@@ -0,0 +1,31 @@
+// test/fixture-dom.js - Run page.evaluate extractors against saved HTML snapshots
+//
+// The extractor is serialized and evaluated inside the fixture's window, the
+// same way Puppeteer ships it to the browser, so any reference to a variable
+// outside the function fails here just as it would in production.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+function loadFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+function evaluateFixture(name, extractor, ...args) {
+    const dom = new JSDOM(loadFixture(name), {
+        runScripts: 'outside-only',
+        // Keep the extractors' console.log debugging out of the test output
+        virtualConsole: new VirtualConsole()
+    });
+
+    try {
+        const serializedArgs = args.map(arg => JSON.stringify(arg)).join(', ');
+        // Round-trip through JSON like page.evaluate does, so results are plain objects
+        return JSON.parse(JSON.stringify(dom.window.eval(`(${extractor.toString()})(${serializedArgs})`)));
+    } finally {
+        dom.window.close();
+    }
+}
+
+module.exports = { loadFixture, evaluateFixture };
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { historyKey, createHistoryStore } = require('../history');
+
+function storeWith(...queries) {
+    const history = createHistoryStore(new Database(':memory:'));
+    queries.forEach(query => history.recordSearch(query));
+    return history;
+}
+
+const queriesOf = entries => entries.map(entry => entry.query);
+
+test('historyKey: ignores case and spacing', () => {
+    assert.equal(historyKey('  Gridfinity   BIN '), 'gridfinity bin');
+    assert.equal(historyKey(''), '');
+});
+
+test('history: every run is logged, grouped by query', () => {
+    const history = storeWith('gridfinity bin', 'benchy', 'Gridfinity  Bin', 'voron toolhead', '  ');
+    const { recent, frequent } = history.listHistory();
+
+    assert.deepEqual(queriesOf(recent), ['voron toolhead', 'Gridfinity Bin', 'benchy']);
+    assert.deepEqual(queriesOf(frequent), ['Gridfinity Bin', 'voron toolhead', 'benchy']);
+    assert.equal(frequent[0].count, 2);
+    assert.equal(history.listHistory({ limit: 1 }).recent.length, 1);
+});
+
+test('history: suggestions complete the query first, then words within it', () => {
+    const history = storeWith('gridfinity bin', 'bin 2x3', 'benchy', 'bin 2x3', 'bracket');
+
+    assert.deepEqual(queriesOf(history.suggest('bin')), ['bin 2x3', 'gridfinity bin']);
+    assert.deepEqual(queriesOf(history.suggest('b')), ['bin 2x3', 'bracket', 'benchy', 'gridfinity bin']);
+    assert.deepEqual(history.suggest(''), []);
+});
+
+test('history: LIKE wildcards in a prefix match literally', () => {
+    const history = storeWith('infill 20%', 'infill 205', 'snap_fit clip', 'snapXfit clip');
+
+    assert.deepEqual(queriesOf(history.suggest('infill 20%')), ['infill 20%']);
+    assert.deepEqual(queriesOf(history.suggest('snap_')), ['snap_fit clip']);
+});
+
+test('history: deleting a query removes all its runs', () => {
+    const history = storeWith('benchy', 'Benchy', 'gridfinity bin');
+
+    assert.equal(history.deleteQuery('BENCHY'), 2);
+    assert.equal(history.deleteQuery('benchy'), 0);
+    assert.deepEqual(queriesOf(history.listHistory().recent), ['gridfinity bin']);
+
+    history.clearHistory();
+    assert.deepEqual(history.listHistory().recent, []);
+});
@@ -0,0 +1,61 @@
+// test/jsdom-page.js - A stand-in for a Puppeteer page, backed by jsdom
+//
+// goto loads a URL with its scripts running and keeps cookies between loads,
+// so a page can set a cookie, change itself after a delay or react to a
+// click just as it would in Chromium. evaluate and waitForFunction serialize
+// the function into the page the way Puppeteer does.
+
+const { JSDOM, CookieJar, VirtualConsole } = require('jsdom');
+
+function createJsdomPage() {
+    const cookieJar = new CookieJar();
+    let dom = null;
+
+    const evaluate = async (fn, ...args) => {
+        const source = typeof fn === 'function'
+            ? `(${fn.toString()})(${args.map(arg => JSON.stringify(arg)).join(', ')})`
+            : fn;
+        const value = dom.window.eval(source);
+        // Round-trip through JSON like page.evaluate does
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    };
+
+    return {
+        cookieJar,
+
+        async goto(url) {
+            if (dom) dom.window.close();
+            dom = await JSDOM.fromURL(url, {
+                runScripts: 'dangerously',
+                cookieJar,
+                virtualConsole: new VirtualConsole()
+            });
+            return { status: () => 200 };
+        },
+
+        title: async () => dom.window.document.title,
+
+        evaluate,
+
+        async waitForFunction(fn, { timeout = 30000, polling = 100 } = {}, ...args) {
+            const deadline = Date.now() + timeout;
+            for (;;) {
+                const value = await evaluate(fn, ...args);
+                if (value) return value;
+                if (Date.now() >= deadline) {
+                    const error = new Error(`Waiting failed: ${timeout}ms exceeded`);
+                    error.name = 'TimeoutError';
+                    throw error;
+                }
+                await new Promise(resolve => setTimeout(resolve, polling));
+            }
+        },
+
+        close() {
+            if (dom) dom.window.close();
+            dom = null;
+        }
+    };
+}
+
+module.exports = { createJsdomPage };
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeLicense, licensePermissions, licenseAllows } = require('../providers/_licenses');
+
+test('normalizeLicense: reads Creative Commons names, codes and deed links', () => {
+    assert.equal(normalizeLicense('Creative Commons - Attribution - Non-Commercial - Share Alike'), 'CC-BY-NC-SA');
+    assert.equal(normalizeLicense('CC BY-ND 4.0'), 'CC-BY-ND-4.0');
+    assert.equal(normalizeLicense('https://creativecommons.org/licenses/by-nc/3.0/'), 'CC-BY-NC-3.0');
+    assert.equal(normalizeLicense('Creative Commons - Public Domain Dedication'), 'CC0-1.0');
+});
+
+test('normalizeLicense: reads software and site-specific licenses', () => {
+    assert.equal(normalizeLicense('GNU - GPL v3'), 'GPL-3.0');
+    assert.equal(normalizeLicense('GNU Lesser General Public License v2.1'), 'LGPL-2.1');
+    assert.equal(normalizeLicense('MIT License'), 'MIT');
+    assert.equal(normalizeLicense('Standard Digital File License'), 'LicenseRef-SDFL');
+    assert.equal(normalizeLicense('Cults3D: private use'), 'LicenseRef-Personal-Use');
+});
+
+test('normalizeLicense: returns null for missing or unrecognized licenses', () => {
+    assert.equal(normalizeLicense(''), null);
+    assert.equal(normalizeLicense(undefined), null);
+    assert.equal(normalizeLicense('Ask the designer'), null);
+});
+
+test('licensePermissions: NC forbids commercial use, ND forbids remixing', () => {
+    assert.deepEqual(licensePermissions('CC-BY-NC-SA-4.0'), { commercial: false, remix: true });
+    assert.deepEqual(licensePermissions('CC-BY-ND-4.0'), { commercial: true, remix: false });
+    assert.deepEqual(licensePermissions('CC0-1.0'), { commercial: true, remix: true });
+    assert.deepEqual(licensePermissions('GPL-3.0'), { commercial: true, remix: true });
+    assert.deepEqual(licensePermissions('LicenseRef-SDFL'), { commercial: false, remix: false });
+    assert.equal(licensePermissions(null), null);
+});
+
+test('licenseAllows: unknown licenses allow nothing', () => {
+    assert.equal(licenseAllows('CC-BY-4.0', ['commercial', 'remix']), true);
+    assert.equal(licenseAllows('CC-BY-NC-4.0', ['commercial']), false);
+    assert.equal(licenseAllows(null, ['remix']), false);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const axios = require('axios');
+const { isLocalAddress, isLocalUrl, publicLookup, localLookup } = require('../local-network');
+
+test('isLocalAddress: covers loopback, private, link-local and unspecified ranges', () => {
+    ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.20', '100.64.0.1', '169.254.169.254', '0.0.0.0',
+        '::', '::1', 'fd12:3456::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']
+        .forEach(address => assert.equal(isLocalAddress(address), true, address));
+    ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8', 'example.com']
+        .forEach(address => assert.equal(isLocalAddress(address), false, address));
+});
+
+test('isLocalUrl: names this machine or a private network outright', () => {
+    assert.equal(isLocalUrl('http://localhost:8123/image.png'), true);
+    assert.equal(isLocalUrl('http://192.168.1.20/image.png'), true);
+    assert.equal(isLocalUrl('https://printer.local/image.png'), true);
+    assert.equal(isLocalUrl('http://[::1]:9000/'), true);
+    assert.equal(isLocalUrl('http://[fd00::5]/'), true);
+    assert.equal(isLocalUrl('http://0.0.0.0:3001/'), true);
+    assert.equal(isLocalUrl('http://0x7f.1/'), true);
+    assert.equal(isLocalUrl('http://172.32.0.1/image.png'), false);
+    assert.equal(isLocalUrl('https://cdn.example.com/image.png'), false);
+    assert.equal(isLocalUrl('file:///etc/passwd'), false);
+    assert.equal(isLocalUrl('not a url'), false);
+});
+
+test('lookups: judge a hostname by the addresses it resolves to', async () => {
+    const lookup = (fn, options) => new Promise((resolve, reject) => {
+        fn('localhost', options, (error, ...result) => error ? reject(error) : resolve(result));
+    });
+
+    await assert.rejects(lookup(publicLookup, {}), /resolves to/);
+    await assert.rejects(lookup(publicLookup, { all: true }), /resolves to/);
+    const [address] = await lookup(localLookup, {});
+    assert.equal(isLocalAddress(address), true);
+    const [all] = await lookup(localLookup, { all: true });
+    assert.ok(all.length > 0);
+});
+
+test('lookups: apply to the connection axios makes', async () => {
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+        requests += 1;
+        res.end('ok');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://localhost:${server.address().port}/`;
+    const family = 4; // The server only listens on IPv4
+    try {
+        await assert.rejects(axios.get(url, { lookup: publicLookup, family }), /resolves to/);
+        assert.equal(requests, 0);
+
+        const response = await axios.get(url, { lookup: localLookup, family });
+        assert.equal(response.data, 'ok');
+        assert.equal(requests, 1);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateFixture } = require('./fixture-dom');
+const { parseStats } = require('../providers/_counts');
+const makerworld = require('../providers/makerworld');
+
+test('makerworld: extracts model cards from a search page', () => {
+    const items = evaluateFixture('makerworld-search.html', makerworld.extractResults);
+
+    assert.deepEqual(items[0], {
+        title: '3DBenchy',
+        link: 'https://makerworld.com/en/models/32112-3dbenchy',
+        thumbnail: 'https://makerworld.bblmw.com/makerworld/model/32112/cover.png',
+        author: 'BambuLab',
+        stats: { makes: '2.4k', likes: '1.5k', downloads: '12.3k' }
+    });
+    assert.deepEqual(parseStats(items[0].stats), { likes: 1500, downloads: 12300, makes: 2400, comments: null, views: null, collections: null });
+    assert.equal(items[1].author, 'Unknown');
+    assert.equal(parseStats(items[1].stats).downloads, 1204);
+});
+
+test('makerworld: reads stats by their labels when the row has them', () => {
+    const items = evaluateFixture('makerworld-search-labeled.html', makerworld.extractResults);
+
+    assert.deepEqual(items[0].stats, { makes: '2.4k', likes: '1.5k', downloads: '12.3k' });
+    assert.equal(parseStats(items[1].stats).downloads, 1204);
+});
+
+test('makerworld: skips category links and the second link to each model', () => {
+    const items = evaluateFixture('makerworld-search.html', makerworld.extractResults);
+    const links = items.map(item => item.link);
+
+    assert.equal(items.length, 12);
+    assert.equal(new Set(links).size, links.length);
+    assert.ok(links.every(link => /\/models\/\d+/.test(link)));
+});
+
+test('makerworld: stops at maxItems', () => {
+    const items = evaluateFixture('makerworld-search.html', makerworld.extractResults, 5);
+
+    assert.equal(items.length, 5);
+});
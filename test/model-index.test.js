@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { ModelIndexError, matchQuery, createModelIndex } = require('../model-index');
+const { createResult } = require('../result-schema');
+const printables = require('../providers/printables');
+
+function result(source, modelId, title, author = 'maker', stats = {}) {
+    return createResult({ source, modelId, title, url: `https://example.com/${source}/${modelId}`, author, stats });
+}
+
+function newIndex(db = new Database(':memory:')) {
+    return createModelIndex(db, { getProvider: id => (id === 'printables' ? printables : null) });
+}
+
+function ids(found) {
+    return found.models.map(model => model.id);
+}
+
+test('matchQuery: every word as a quoted prefix, FTS syntax as plain text', () => {
+    assert.equal(matchQuery('Gridfinity  BINS'), '"gridfinity"* "bins"*');
+    assert.equal(matchQuery('Café-holder'), '"cafe"* "holder"*');
+    assert.equal(matchQuery('bin NEAR "cup" *'), '"bin"* "near"* "cup"*');
+    assert.equal(matchQuery(' -*- '), '');
+});
+
+test('model index: finds models by title and author words, best match first', () => {
+    const index = newIndex();
+    index.addResults([
+        result('printables', '1', 'Gridfinity Bin 2x3', 'Zack Freedman'),
+        result('thangs', '7', 'Parts bin for the workshop'),
+        result('printables', '2', 'Voron Stealthburner', 'VoronDesign'),
+        { title: 'No id', source: 'printables' }
+    ]);
+
+    assert.deepEqual(ids(index.search('gridf bin')), ['printables:1']);
+    assert.deepEqual(ids(index.search('BIN')), ['printables:1', 'thangs:7']);
+    assert.deepEqual(ids(index.search('zack')), ['printables:1']);
+    assert.deepEqual(ids(index.search('voron', { sources: ['thangs'] })), []);
+    assert.equal(index.search('stealthburner').models[0].title, 'Voron Stealthburner');
+
+    const stats = index.stats();
+    assert.equal(stats.models, 3);
+    assert.equal(stats.sources.printables.models, 2);
+    assert.equal(stats.sources.thangs.models, 1);
+});
+
+test('model index: a model seen again is updated, not added twice', () => {
+    const index = newIndex();
+    index.addResults([result('printables', '1', 'Benchy', 'maker', { likes: 5 })]);
+    index.addResults([result('printables', '1', 'Benchy boat', 'maker', { likes: 9 })]);
+
+    const found = index.search('benchy');
+    assert.equal(found.total, 1);
+    assert.equal(found.models[0].title, 'Benchy boat');
+    assert.equal(found.models[0].likes, 9);
+    assert.deepEqual(ids(index.search('boat')), ['printables:1']);
+});
+
+test('model index: tags and licenses from model pages are searchable and kept', () => {
+    const index = newIndex();
+    index.addResults([result('printables', '1', 'Bin'), result('printables', '2', 'Cup')]);
+
+    assert.equal(index.addDetails('printables', '1', { tags: ['Gridfinity', 'storage', ''], license: 'CC-BY-4.0' }), true);
+    assert.equal(index.addDetails('printables', '99', { tags: ['orphan'] }), false);
+
+    const [model] = index.search('storage').models;
+    assert.equal(model.id, 'printables:1');
+    assert.deepEqual(model.tags, ['Gridfinity', 'storage']);
+    assert.equal(model.license, 'CC-BY-4.0');
+
+    // A later scrape without a license doesn't forget the one found
+    index.addResults([result('printables', '1', 'Bin')]);
+    assert.equal(index.search('gridfinity').models[0].license, 'CC-BY-4.0');
+    assert.deepEqual(ids(index.search('orphan')), []);
+});
+
+test('model index: pages through matches and rejects queries without words', () => {
+    const index = newIndex();
+    index.addResults([1, 2, 3, 4, 5].map(n => result('printables', String(n), `Benchy ${n}`)));
+
+    const second = index.search('benchy', { page: 2, limit: 2 });
+    assert.equal(second.total, 5);
+    assert.equal(second.models.length, 2);
+    assert.equal(second.hasMore, true);
+    assert.equal(index.search('benchy', { page: 3, limit: 2 }).hasMore, false);
+    assert.throws(() => index.search('  *  '), error => error instanceof ModelIndexError && error.status === 400);
+});
+
+test('model index: rows from an older result schema are migrated on startup', () => {
+    const db = new Database(':memory:');
+    newIndex(db);
+    const v1 = { id: 'printables_https://www.printables.com/model/3161-benchy', title: 'Benchy', url: 'https://www.printables.com/model/3161-benchy', thumbnail: '', author: 'Unknown', likes: 3, downloads: 0, source: 'printables' };
+    const insert = db.prepare(`INSERT INTO models (id, source, title, author, result, schema_version, last_seen_at)
+      VALUES (?, ?, ?, ?, ?, 1, '2024-05-01 08:00:00')`);
+    insert.run(v1.id, 'printables', v1.title, v1.author, JSON.stringify(v1));
+    insert.run('mystery_x', 'mystery', 'Benchy copy', '', JSON.stringify({ ...v1, id: 'mystery_x', source: 'mystery', url: 'https://example.com/x' }));
+
+    const index = newIndex(db);
+    const found = index.search('benchy');
+
+    assert.deepEqual(ids(found), ['printables:3161']);
+    assert.equal(found.models[0].author, null);
+    assert.equal(found.models[0].fetchedAt, '2024-05-01T08:00:00.000Z');
+    // 'Unknown' is no longer indexed as an author
+    assert.deepEqual(ids(index.search('unknown')), []);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateFixture } = require('./fixture-dom');
+const { parseStats } = require('../providers/_counts');
+const myminifactory = require('../providers/myminifactory');
+
+test('myminifactory: extracts object cards from a search page', () => {
+    const items = evaluateFixture('myminifactory-search.html', myminifactory.extractResults);
+
+    assert.deepEqual(items[0], {
+        title: 'Voron Stealthburner Toolhead',
+        link: 'https://www.myminifactory.com/object/3d-print-voron-stealthburner-toolhead-5432',
+        thumbnail: 'https://dl.myminifactory.com/object-assets/5432/720X720-stealthburner.jpg',
+        author: 'VoronDesign',
+        stats: { likes: '2,345', views: '41.7k' }
+    });
+    assert.deepEqual(parseStats(items[0].stats), { likes: 2345, downloads: null, makes: null, comments: null, views: 41700, collections: null });
+});
+
+test('myminifactory: falls back for lazy images and missing authors', () => {
+    const items = evaluateFixture('myminifactory-search.html', myminifactory.extractResults);
+
+    assert.equal(items[1].thumbnail, 'https://dl.myminifactory.com/object-assets/5433/720X720-mini.jpg');
+    assert.equal(items[1].author, 'Unknown');
+    assert.equal(parseStats(items[1].stats).likes, 0);
+});
+
+test('myminifactory: skips bundle cards', () => {
+    const items = evaluateFixture('myminifactory-search.html', myminifactory.extractResults);
+
+    assert.equal(items.length, 12);
+    assert.ok(items.every(item => item.link.includes('/object/')));
+});
+
+test('myminifactory: stops at maxItems', () => {
+    const items = evaluateFixture('myminifactory-search.html', myminifactory.extractResults, 5);
+
+    assert.equal(items.length, 5);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePaging, sitePageRange, MAX_LIMIT } = require('../providers/_pagination');
+
+test('normalizePaging: defaults and clamps page and limit', () => {
+    assert.deepEqual(normalizePaging({}), { page: 1, limit: 10 });
+    assert.deepEqual(normalizePaging({ page: '3', limit: '20' }), { page: 3, limit: 20 });
+    assert.deepEqual(normalizePaging({ page: '0', limit: '-5' }), { page: 1, limit: 10 });
+    assert.deepEqual(normalizePaging({ page: 'abc', limit: '1000' }), { page: 1, limit: MAX_LIMIT });
+});
+
+test('sitePageRange: maps our pages onto the site\'s pages', () => {
+    // Entirely inside the first site page
+    assert.deepEqual(sitePageRange({ page: 1, limit: 10 }, 20), { first: 1, last: 1, skip: 0 });
+    assert.deepEqual(sitePageRange({ page: 2, limit: 10 }, 20), { first: 1, last: 1, skip: 10 });
+    // Straddles two site pages
+    assert.deepEqual(sitePageRange({ page: 2, limit: 15 }, 20), { first: 1, last: 2, skip: 15 });
+    // Starts on a later site page
+    assert.deepEqual(sitePageRange({ page: 4, limit: 10 }, 24), { first: 2, last: 2, skip: 6 });
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateFixture } = require('./fixture-dom');
+const { parseStats } = require('../providers/_counts');
+const printables = require('../providers/printables');
+
+test('printables: extracts model cards from a search page', () => {
+    const items = evaluateFixture('printables-search.html', printables.extractResults);
+
+    assert.deepEqual(items[0], {
+        title: '#3DBenchy - The jolly 3D printing torture-test',
+        link: 'https://www.printables.com/model/3161-3dbenchy',
+        thumbnail: 'https://media.printables.com/media/prints/3161/images/benchy.webp?w=400',
+        author: 'Prusa Research',
+        stats: { likes: '245', makes: '31', downloads: '1520' }
+    });
+    assert.deepEqual(parseStats(items[0].stats), { likes: 245, downloads: 1520, makes: 31, comments: null, views: null, collections: null });
+});
+
+test('printables: takes the model image and name rather than the avatar', () => {
+    const items = evaluateFixture('printables-search.html', printables.extractResults);
+
+    assert.equal(items[1].thumbnail, 'https://media.printables.com/media/prints/40127/images/keychain.jpg');
+    assert.equal(items[1].author, 'maker_anna');
+    assert.equal(parseStats(items[1].stats).downloads, null);
+});
+
+test('printables: reads stats by their icon labels rather than their position', () => {
+    const items = evaluateFixture('printables-search-labeled.html', printables.extractResults);
+
+    assert.deepEqual(items[0].stats, { likes: '245', makes: '31', downloads: '1.5k' });
+    // Only likes and makes: the second count is makes, not downloads
+    assert.deepEqual(items[1].stats, { likes: '18', makes: '2' });
+    assert.equal(parseStats(items[1].stats).downloads, null);
+});
+
+test('printables: skips cards without a model link', () => {
+    const items = evaluateFixture('printables-search.html', printables.extractResults);
+
+    assert.equal(items.length, 12);
+    assert.ok(items.every(item => item.link.includes('/model/')));
+});
+
+test('printables: stops at maxItems', () => {
+    const items = evaluateFixture('printables-search.html', printables.extractResults, 5);
+
+    assert.equal(items.length, 5);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { countMissing, createProviderHealthStore } = require('../provider-health');
+
+const provider = { id: 'printables', capabilities: { likes: true, downloads: true } };
+
+function result(n, fields = {}) {
+    return {
+        id: `printables:${n}`,
+        title: `Model ${n}`,
+        thumbnails: [`https://media.printables.com/${n}.jpg`],
+        author: 'maker',
+        likes: n,
+        downloads: 10,
+        ...fields
+    };
+}
+
+function ok(count, fields) {
+    return { results: Array.from({ length: count }, (_, n) => result(n + 1, fields)), status: 'ok', message: null };
+}
+
+const empty = { results: [], status: 'empty', message: 'No models on Printables matched this search' };
+
+function newStore() {
+    return createProviderHealthStore(new Database(':memory:'));
+}
+
+test('countMissing: counts results without a thumbnail, author or stats', () => {
+    const results = [
+        result(1),
+        result(2, { thumbnails: [], author: null }),
+        result(3, { likes: 0, downloads: null })
+    ];
+    assert.deepEqual(countMissing(results, provider.capabilities), { thumbnail: 1, author: 1, stats: 1 });
+    // Downloads that a site never shows don't count as missing
+    assert.equal(countMissing([result(4, { downloads: null })], { likes: true, downloads: false }).stats, 0);
+});
+
+test('provider health: unknown before the first run, ok after normal runs', () => {
+    const health = newStore();
+    assert.equal(health.describe('printables').status, 'unknown');
+
+    health.recordRun(provider, 1200, ok(10));
+    health.recordRun(provider, 800, ok(10));
+    const state = health.describe('printables');
+    assert.equal(state.status, 'ok');
+    assert.equal(state.recent.averageMs, 1000);
+    assert.equal(state.recent.averageResults, 10);
+    assert.equal(state.lastRun.durationMs, 800);
+});
+
+test('provider health: degraded when the yield drops to zero', () => {
+    const health = newStore();
+    health.recordRun(provider, 1000, ok(10));
+    health.recordRun(provider, 1000, empty);
+    health.recordRun(provider, 1000, empty);
+    assert.equal(health.describe('printables').status, 'ok');
+
+    health.recordRun(provider, 1000, empty);
+    const state = health.describe('printables');
+    assert.equal(state.status, 'degraded');
+    assert.match(state.reasons[0], /No results in the last 3 runs/);
+
+    health.recordRun(provider, 1000, ok(10));
+    assert.equal(health.describe('printables').status, 'ok');
+});
+
+test('provider health: degraded when fields mostly come back empty', () => {
+    const health = newStore();
+    health.recordRun(provider, 1000, ok(5, { author: null }));
+    assert.equal(health.describe('printables').status, 'ok');
+
+    health.recordRun(provider, 1000, ok(10, { author: null, likes: 0 }));
+    const { status, reasons } = health.describe('printables');
+    assert.equal(status, 'degraded');
+    assert.deepEqual(reasons, ['100% of recent results have no author']);
+});
+
+test('provider health: degraded on unreadable pages and challenge pages', () => {
+    const health = newStore();
+    health.recordRun(provider, 1000, { results: [], status: 'parse_error', message: 'page has 20 model links but no result cards could be read' });
+    assert.match(health.describe('printables').reasons[0], /Result cards could not be read/);
+
+    const blocked = newStore();
+    blocked.recordRun(provider, 1000, ok(10));
+    blocked.recordRun(provider, 1000, { results: [], status: 'blocked', message: 'Challenge page' });
+    const state = blocked.describe('printables');
+    assert.equal(state.recent.challengeShare, 0.5);
+    assert.deepEqual(state.reasons, ['50% of recent runs hit a challenge page']);
+    assert.equal(blocked.listRuns('printables')[0].challenge, true);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { queryKey } = require('../query-key');
+const { createHistoryStore } = require('../history');
+
+test('queryKey: folds case, spacing and Unicode variants', () => {
+    assert.equal(queryKey('Benchy'), 'benchy');
+    assert.equal(queryKey(' benchy  '), 'benchy');
+    assert.equal(queryKey('ＢＥＮＣＨＹ'), 'benchy');
+    assert.equal(queryKey('Café\tstand'), 'cafe stand');
+    assert.equal(queryKey('   '), '');
+});
+
+test('queryKey: keeps stop words and plurals unless asked', () => {
+    assert.equal(queryKey('holder for phones'), 'holder for phones');
+    assert.equal(queryKey('holder for the phone', { stopWords: true }), 'holder phone');
+    assert.equal(queryKey('the', { stopWords: true }), 'the');
+});
+
+test('queryKey: plural folding leaves words that only look plural', () => {
+    const key = queryKey('bins boxes benches batteries pieces glass status axis abs 2x3s', { plurals: true });
+    assert.equal(key, 'bin box bench battery piece glass status axis abs 2x3s');
+});
+
+test('history: runs logged under an older key are re-keyed', () => {
+    const db = new Database(':memory:');
+    db.exec(`
+      CREATE TABLE query_log (id INTEGER PRIMARY KEY AUTOINCREMENT, query TEXT NOT NULL, query_key TEXT NOT NULL, searched_at DATETIME DEFAULT CURRENT_TIMESTAMP);
+      INSERT INTO query_log (query, query_key) VALUES ('Café stand', 'café stand');
+    `);
+    const history = createHistoryStore(db);
+    history.recordSearch('cafe stand');
+
+    assert.deepEqual(history.listHistory().recent.map(entry => [entry.query, entry.count]), [['cafe stand', 2]]);
+});
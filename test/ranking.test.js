@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseResultOptions,
+    textScore,
+    filterResults,
+    sortResults,
+    interleaveBySource,
+    applyResultOptions
+} = require('../ranking');
+
+const results = [
+    { id: 'a', source: 'printables', title: 'Gridfinity Bin 2x3', author: 'Zack', likes: 50, downloads: 900 },
+    { id: 'b', source: 'printables', title: 'Desk Organizer', author: 'maker', likes: 900, downloads: 12000 },
+    { id: 'c', source: 'thingiverse', title: 'Gridfinity bins collection', author: 'binfan', likes: 10, downloads: 0 },
+    { id: 'd', source: 'makerworld', title: 'Cable clip', author: 'Zack', likes: 300, downloads: 100 }
+];
+
+test('parseResultOptions: defaults and ignores unknown values', () => {
+    assert.deepEqual(parseResultOptions({}), {
+        sort: 'default', view: 'grouped', minLikes: 0, minDownloads: 0, author: '', dedupe: 'title', licenseUses: []
+    });
+    assert.deepEqual(parseResultOptions({ sort: 'bogus', view: 'merged', minLikes: '25', minDownloads: '-3', author: ' Zack ', dedupe: 'hash', license: 'remix,bogus,commercial' }), {
+        sort: 'default', view: 'merged', minLikes: 25, minDownloads: 0, author: 'zack', dedupe: 'hash', licenseUses: ['commercial', 'remix']
+    });
+});
+
+test('textScore: rewards matching words and the exact phrase', () => {
+    assert.ok(textScore('Gridfinity Bin 2x3', 'gridfinity bin') > textScore('Gridfinity bins collection', 'gridfinity bin'));
+    assert.ok(textScore('Gridfinity bins collection', 'gridfinity bin') > textScore('Desk Organizer', 'gridfinity bin'));
+    assert.equal(textScore('Desk Organizer', 'gridfinity bin'), 0);
+});
+
+test('filterResults: applies minimums and a case-insensitive author match', () => {
+    const options = { minLikes: 40, minDownloads: 0, author: 'zack' };
+
+    assert.deepEqual(filterResults(results, options).map(r => r.id), ['a', 'd']);
+    assert.deepEqual(filterResults(results, { minLikes: 0, minDownloads: 1000, author: '' }).map(r => r.id), ['b']);
+});
+
+test('filterResults: a license filter keeps only licenses known to allow every use', () => {
+    const licensed = [
+        { id: 'by', license: 'CC-BY-4.0' },
+        { id: 'nc', license: 'CC-BY-NC-SA-4.0' },
+        { id: 'nd', license: 'CC-BY-ND-4.0' },
+        { id: 'unknown', license: null },
+        { id: 'none' }
+    ];
+    const options = { minLikes: 0, minDownloads: 0, author: '' };
+
+    assert.deepEqual(filterResults(licensed, { ...options, licenseUses: ['commercial'] }).map(r => r.id), ['by', 'nd']);
+    assert.deepEqual(filterResults(licensed, { ...options, licenseUses: ['commercial', 'remix'] }).map(r => r.id), ['by']);
+    assert.equal(filterResults(licensed, options).length, 5);
+});
+
+test('sortResults: orders by likes, downloads or blended relevance', () => {
+    assert.deepEqual(sortResults(results, 'likes', '').map(r => r.id), ['b', 'd', 'a', 'c']);
+    assert.deepEqual(sortResults(results, 'downloads', '').map(r => r.id), ['b', 'a', 'd', 'c']);
+    // Title match outweighs raw popularity
+    assert.equal(sortResults(results, 'relevance', 'gridfinity bin')[0].id, 'a');
+    assert.equal(sortResults(results, 'default', ''), results);
+});
+
+test('interleaveBySource: alternates sites and keeps their order', () => {
+    assert.deepEqual(interleaveBySource(results).map(r => r.id), ['a', 'c', 'd', 'b']);
+});
+
+test('applyResultOptions: merged view without a sort is interleaved', () => {
+    const options = parseResultOptions({ view: 'merged' });
+
+    assert.deepEqual(applyResultOptions(results, 'gridfinity', options).map(r => r.id), ['a', 'c', 'd', 'b']);
+});
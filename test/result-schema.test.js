@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createResult, validateResult, checkResults, migrateResult, isoTime, RESULT_SCHEMA_VERSION } = require('../result-schema');
+const thingiverse = require('../providers/thingiverse');
+
+const getProvider = (id) => (id === 'thingiverse' ? thingiverse : null);
+
+test('isoTime: reads ms, ISO strings and SQLite times as UTC', () => {
+    assert.equal(isoTime(Date.UTC(2024, 4, 1, 12)), '2024-05-01T12:00:00.000Z');
+    assert.equal(isoTime('2024-05-01T12:00:00Z'), '2024-05-01T12:00:00.000Z');
+    assert.equal(isoTime('2024-05-01 12:00:00'), '2024-05-01T12:00:00.000Z');
+    assert.equal(isoTime(null), null);
+    assert.equal(isoTime('soon'), null);
+});
+
+test('createResult: canonical id, nulls for what is unknown, parsed counts', () => {
+    const result = createResult({
+        source: 'thingiverse',
+        modelId: 763622,
+        title: '  Benchy\n boat ',
+        url: 'https://www.thingiverse.com/thing:763622',
+        author: 'Unknown',
+        thumbnails: ['https://cdn.example.com/a.jpg', '', 'https://cdn.example.com/a.jpg', 'data:image/png;base64,x'],
+        stats: { likes: '1.2k', makes: 31 },
+        fetchedAt: Date.UTC(2024, 4, 1)
+    });
+
+    assert.deepEqual(result, {
+        id: 'thingiverse:763622',
+        source: 'thingiverse',
+        modelId: '763622',
+        title: 'Benchy boat',
+        url: 'https://www.thingiverse.com/thing:763622',
+        author: null,
+        thumbnails: ['https://cdn.example.com/a.jpg'],
+        likes: 1200,
+        downloads: null,
+        makes: 31,
+        comments: null,
+        views: null,
+        collections: null,
+        license: null,
+        via: null,
+        fetchedAt: '2024-05-01T00:00:00.000Z'
+    });
+    assert.deepEqual(validateResult(result), []);
+});
+
+test('validateResult: names each broken field', () => {
+    const good = createResult({ source: 'printables', modelId: '3161', title: 'Benchy', url: 'https://www.printables.com/model/3161' });
+
+    assert.deepEqual(validateResult(null), ['not an object']);
+    assert.deepEqual(validateResult({ ...good, id: 'printables_https://www.printables.com/model/3161' }), ['id must be source:modelId']);
+    assert.deepEqual(validateResult({ ...good, title: ' ', likes: -1, author: '' }),
+        ['title must not be empty', 'author must be a name or null', 'likes must be a count or null']);
+    assert.deepEqual(validateResult({ ...good, thumbnails: 'https://cdn.example.com/a.jpg', via: 'cache' }),
+        ['thumbnails must be a list of http(s) URLs', 'via must be api or scraper or null']);
+
+    const missing = createResult({ source: 'printables', modelId: null, title: 'Benchy', url: 'https://www.printables.com/model/3161' });
+    const { valid, invalid } = checkResults([good, missing]);
+    assert.deepEqual(valid, [good]);
+    assert.equal(invalid[0].result, missing);
+    assert.match(invalid[0].problems.join(), /modelId/);
+});
+
+test('migrateResult: version 1 results and their listings move to the current schema', () => {
+    const v1 = {
+        id: 'thingiverse_https://www.thingiverse.com/thing:763622',
+        title: 'Benchy',
+        url: 'https://www.thingiverse.com/thing:763622',
+        thumbnail: 'https://cdn.example.com/benchy.jpg',
+        author: 'Unknown',
+        likes: 0,
+        downloads: 0,
+        source: 'thingiverse',
+        listings: [{ id: 'thingiverse_https://www.thingiverse.com/thing:763622', source: 'thingiverse', url: 'https://www.thingiverse.com/thing:763622', likes: 12, downloads: 0 }]
+    };
+    const migrated = migrateResult(v1, 1, { getProvider, fetchedAt: '2024-05-01 10:00:00' });
+
+    assert.equal(RESULT_SCHEMA_VERSION, 2);
+    assert.equal(migrated.id, 'thingiverse:763622');
+    assert.equal(migrated.modelId, '763622');
+    assert.equal(migrated.author, null);
+    assert.deepEqual(migrated.thumbnails, ['https://cdn.example.com/benchy.jpg']);
+    // Thingiverse never reported downloads, so its 0 meant unknown; a 0 like is real
+    assert.equal(migrated.likes, 0);
+    assert.equal(migrated.downloads, null);
+    assert.equal(migrated.fetchedAt, '2024-05-01T10:00:00.000Z');
+    assert.deepEqual(validateResult(migrated), []);
+
+    assert.equal(migrated.listings[0].id, 'thingiverse:763622');
+    assert.equal(migrated.listings[0].likes, 12);
+    assert.equal(migrated.listings[0].downloads, null);
+    assert.equal(migrated.listings[0].thumbnail, undefined);
+
+    // A result already in the current schema is left alone
+    assert.equal(migrateResult(migrated, RESULT_SCHEMA_VERSION, { getProvider }), migrated);
+});
+
+test('migrateResult: a result without a readable model id keeps its old id and fails validation', () => {
+    const v1 = { id: 'mystery_https://example.com/x', title: 'X', url: 'https://example.com/x', thumbnail: '', author: 'A', likes: 1, downloads: 2, source: 'mystery' };
+    const migrated = migrateResult(v1, 1, { getProvider, fetchedAt: 0 });
+
+    assert.equal(migrated.id, v1.id);
+    assert.equal(migrated.downloads, 2);
+    assert.match(validateResult(migrated).join(), /modelId/);
+});
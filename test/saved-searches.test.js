@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { SavedSearchError, createSavedSearchStore, checkSavedSearch } = require('../saved-searches');
+const { createResult } = require('../result-schema');
+const printables = require('../providers/printables');
+
+function result(n, source = 'printables') {
+    return createResult({
+        source,
+        modelId: n,
+        title: `Voron Toolhead ${n}`,
+        url: `https://www.${source}.com/model/${n}`,
+        author: 'Maker',
+        stats: { likes: n }
+    });
+}
+
+function ok(...results) {
+    return { results, status: 'ok', message: null };
+}
+
+function newStore() {
+    return createSavedSearchStore(new Database(':memory:'), { knownSources: ['printables', 'thingiverse'] });
+}
+
+// Run fn and return the SavedSearchError's HTTP status
+function statusOf(fn) {
+    try {
+        fn();
+    } catch (error) {
+        assert.ok(error instanceof SavedSearchError, error.message);
+        return error.status;
+    }
+    assert.fail('expected a SavedSearchError');
+}
+
+test('saved searches: validate query, sources and webhook', () => {
+    const store = newStore();
+    const search = store.createSearch({ query: ' voron toolhead ', sources: 'printables', intervalMinutes: 1 });
+
+    assert.equal(search.name, 'voron toolhead');
+    assert.deepEqual(search.sources, ['printables']);
+    assert.equal(search.intervalMinutes, 15);
+    assert.equal(statusOf(() => store.createSearch({ query: '' })), 400);
+    assert.equal(statusOf(() => store.createSearch({ query: 'bin', sources: ['nowhere'] })), 400);
+    assert.equal(statusOf(() => store.createSearch({ query: 'bin', webhookUrl: 'https://example.com/hook' })), 400);
+    assert.equal(statusOf(() => store.getSearch(999)), 404);
+});
+
+test('saved searches: the first run is a baseline and later runs flag new ids', () => {
+    const store = newStore();
+    const { id } = store.createSearch({ query: 'voron toolhead' });
+
+    assert.deepEqual(store.recordRun(id, { printables: ok(result(1), result(2)) }), []);
+    const found = store.recordRun(id, { printables: ok(result(2), result(3)) });
+
+    assert.deepEqual(found.map(item => item.id), [result(3).id]);
+    assert.equal(store.getSearch(id).unreadCount, 1);
+    assert.equal(store.newItems(id)[0].result.title, 'Voron Toolhead 3');
+});
+
+test('saved searches: a platform that failed before gets its baseline once it answers', () => {
+    const store = newStore();
+    const { id } = store.createSearch({ query: 'voron toolhead' });
+
+    store.recordRun(id, {
+        printables: ok(result(1)),
+        thingiverse: { results: [], status: 'blocked', message: 'Blocked' }
+    });
+    const found = store.recordRun(id, { printables: ok(result(1)), thingiverse: ok(result(5, 'thingiverse')) });
+
+    assert.deepEqual(found, []);
+    assert.equal(store.getSearch(id).lastStatuses.thingiverse.status, 'ok');
+});
+
+test('saved searches: marking read clears the badge but keeps the items', () => {
+    const store = newStore();
+    const { id } = store.createSearch({ query: 'voron toolhead' });
+    store.recordRun(id, { printables: ok(result(1)) });
+    store.recordRun(id, { printables: ok(result(2)) });
+
+    store.markRead(id);
+    assert.equal(store.getSearch(id).unreadCount, 0);
+    assert.deepEqual(store.newItems(id), []);
+    assert.equal(store.newItems(id, { includeRead: true })[0].read, true);
+});
+
+test('saved searches: changing the query starts a new baseline', () => {
+    const store = newStore();
+    const { id } = store.createSearch({ query: 'voron toolhead' });
+    store.recordRun(id, { printables: ok(result(1)) });
+    store.recordRun(id, { printables: ok(result(2)) });
+
+    store.updateSearch(id, { query: 'stealthburner' });
+    assert.equal(store.getSearch(id).unreadCount, 0);
+    assert.deepEqual(store.recordRun(id, { printables: ok(result(3)) }), []);
+});
+
+test('saved searches: results seen under their old ids are not new once migrated', () => {
+    const db = new Database(':memory:');
+    const { id } = createSavedSearchStore(db).createSearch({ query: 'voron toolhead' });
+    const v1 = { ...result(1), id: 'printables_https://www.printables.com/model/1', modelId: undefined, thumbnail: '', likes: 1 };
+    db.prepare(`INSERT INTO saved_search_results (saved_search_id, result_id, snapshot, schema_version) VALUES (?, ?, ?, 1)`)
+        .run(id, v1.id, JSON.stringify(v1));
+    db.prepare(`UPDATE saved_searches SET settled_sources = '["printables"]' WHERE id = ?`).run(id);
+
+    const store = createSavedSearchStore(db, { knownSources: ['printables'], getProvider: source => (source === 'printables' ? printables : null) });
+    const found = store.recordRun(id, { printables: ok(result(1), result(2)) });
+
+    assert.deepEqual(found.map(item => item.id), [result(2).id]);
+});
+
+test('checkSavedSearch: runs the search and records a webhook failure', async () => {
+    const store = newStore();
+    // Nothing listens on port 9 (discard), so delivery fails fast
+    const saved = store.createSearch({ query: 'voron toolhead', webhookUrl: 'http://127.0.0.1:9/hook' });
+    let runs = 0;
+    const search = async () => ({ printables: ok(result(1), ...(runs++ > 0 ? [result(2)] : [])) });
+
+    await checkSavedSearch(store, saved, search);
+    const { newResults } = await checkSavedSearch(store, saved, search);
+
+    assert.equal(newResults.length, 1);
+    assert.notEqual(store.getSearch(saved.id).lastWebhookError, '');
+});
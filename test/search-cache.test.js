@@ -0,0 +1,225 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { RESULTS_TTL_MINUTES, SearchCacheError, retryDelayMinutes, createSearchCache } = require('../search-cache');
+const { RESULT_SCHEMA_VERSION, createResult } = require('../result-schema');
+
+const MINUTE = 60000;
+const paging = { page: 1, limit: 10 };
+const results = [{ id: 'printables_1', title: 'Benchy', source: 'printables' }];
+const ok = { results, status: 'ok', message: null };
+const empty = { results: [], status: 'empty', message: 'No models matched' };
+const blocked = { results: [], status: 'blocked', message: 'Challenge page' };
+
+// Stand-ins for the registry's providers, for migrating old results
+const providers = {
+    printables: { modelIdFromUrl: url => (url.match(/\/model\/(\d+)/) || [])[1] || null, capabilities: { likes: true, downloads: true } },
+    thingiverse: { modelIdFromUrl: url => (url.match(/\/thing:(\d+)/) || [])[1] || null, capabilities: { likes: true, downloads: false } }
+};
+const getProvider = id => providers[id] || null;
+
+// A cache on an in-memory database with a clock the test moves by hand
+function newCache(db = new Database(':memory:')) {
+    const clock = { time: Date.parse('2024-05-01T12:00:00Z') };
+    const cache = createSearchCache(db, { now: () => clock.time, getProvider });
+    return { cache, clock, advance: minutes => { clock.time += minutes * MINUTE; } };
+}
+
+test('search cache: results are fresh until their TTL, then due but still served', () => {
+    const { cache, advance } = newCache();
+    cache.record('Benchy', paging, 'printables', ok);
+
+    const fresh = cache.get(' benchy ', paging, 'printables');
+    assert.equal(fresh.state, 'fresh');
+    assert.equal(fresh.due, false);
+    assert.deepEqual(fresh.outcome, ok);
+
+    advance(RESULTS_TTL_MINUTES);
+    const stale = cache.get('benchy', paging, 'printables');
+    assert.equal(stale.state, 'stale');
+    assert.equal(stale.due, true);
+    assert.deepEqual(stale.outcome.results, results);
+    assert.equal(cache.get('benchy', paging, 'thingiverse'), null);
+});
+
+test('search cache: providers can set their own TTL', () => {
+    const { cache, advance } = newCache();
+    cache.record('benchy', paging, 'printables', ok, { ttlMinutes: 30 });
+
+    advance(30);
+    assert.equal(cache.get('benchy', paging, 'printables').due, true);
+});
+
+test('search cache: empty answers back off exponentially', () => {
+    const { cache, advance } = newCache();
+    assert.deepEqual([1, 2, 3, 20].map(failures => retryDelayMinutes(failures)), [5, 10, 20, RESULTS_TTL_MINUTES]);
+
+    cache.record('benchy', paging, 'thangs', empty);
+    advance(4);
+    assert.equal(cache.get('benchy', paging, 'thangs').due, false);
+    advance(1);
+    assert.equal(cache.get('benchy', paging, 'thangs').due, true);
+
+    cache.record('benchy', paging, 'thangs', empty);
+    advance(9);
+    assert.equal(cache.get('benchy', paging, 'thangs').due, false);
+    assert.equal(cache.get('benchy', paging, 'thangs').failures, 2);
+
+    cache.record('benchy', paging, 'thangs', ok);
+    assert.equal(cache.get('benchy', paging, 'thangs').failures, 0);
+});
+
+test('search cache: a failed refresh keeps the old results and backs off', () => {
+    const { cache, advance } = newCache();
+    cache.record('benchy', paging, 'printables', ok);
+    advance(RESULTS_TTL_MINUTES);
+    cache.record('benchy', paging, 'printables', blocked);
+
+    const entry = cache.get('benchy', paging, 'printables');
+    assert.deepEqual(entry.outcome, ok);
+    assert.equal(entry.state, 'stale');
+    assert.equal(entry.due, false);
+    assert.equal(entry.refreshError, 'Challenge page');
+
+    cache.record('benchy', paging, 'printables', ok);
+    assert.equal(cache.get('benchy', paging, 'printables').state, 'fresh');
+});
+
+test('search cache: old rows are cleaned up after a week', () => {
+    const { cache, advance } = newCache();
+    cache.record('benchy', paging, 'printables', ok);
+    advance(6 * 24 * 60);
+    cache.record('gridfinity', paging, 'printables', ok);
+    advance(2 * 24 * 60);
+
+    assert.equal(cache.clean(), 1);
+    assert.equal(cache.stats().totalSearches, 1);
+});
+
+test('search cache: allResults gives every cached result, oldest first', () => {
+    const { cache, advance } = newCache();
+    const later = { ...ok, results: [{ id: 'thangs_2', title: 'Gridfinity', source: 'thangs' }] };
+    cache.record('benchy', paging, 'printables', ok);
+    advance(1);
+    cache.record('gridfinity', paging, 'thangs', later);
+    cache.record('voron', paging, 'thangs', blocked);
+
+    assert.deepEqual(cache.allResults(), [...results, ...later.results]);
+});
+
+test('search cache: lists cached queries with their size and age', () => {
+    const { cache, advance } = newCache();
+    cache.record('Benchy', paging, 'printables', ok);
+    cache.record('benchy', paging, 'thangs', blocked);
+    advance(60);
+    cache.record('gridfinity 100%', paging, 'printables', ok);
+
+    const { total, queries } = cache.listQueries();
+    assert.equal(total, 2);
+    assert.deepEqual(queries.map(entry => entry.query), ['gridfinity 100%', 'benchy']);
+    assert.deepEqual(queries[1].sources.sort(), ['printables', 'thangs']);
+    assert.equal(queries[1].results, 1);
+    assert.equal(queries[1].failing, 1);
+    assert.equal(queries[1].fetchedAt, '2024-05-01 12:00:00');
+    assert.ok(queries[1].bytes > 0);
+
+    assert.deepEqual(cache.listQueries({ sort: 'oldest' }).queries.map(entry => entry.query), ['benchy', 'gridfinity 100%']);
+    assert.deepEqual(cache.listQueries({ search: '100%' }).queries.map(entry => entry.query), ['gridfinity 100%']);
+    assert.equal(cache.listQueries({ search: '1_0' }).total, 0);
+    assert.equal(cache.listQueries({ source: 'thangs' }).total, 1);
+    assert.throws(() => cache.listQueries({ sort: 'name' }), SearchCacheError);
+});
+
+test('search cache: purges by query, platform and age', () => {
+    const { cache, advance } = newCache();
+    cache.record('benchy', paging, 'printables', ok);
+    cache.record('benchy', paging, 'thangs', ok);
+    advance(120);
+    cache.record('gridfinity', paging, 'printables', ok);
+    cache.record('gridfinity', paging, 'thangs', ok);
+
+    assert.equal(cache.purge({ query: 'BENCHY', source: 'thangs' }), 1);
+    assert.equal(cache.get('benchy', paging, 'thangs'), null);
+    assert.ok(cache.get('benchy', paging, 'printables'));
+
+    assert.equal(cache.purge({ olderThanMinutes: 60 }), 1);
+    assert.equal(cache.purge({ source: 'thangs' }), 1);
+    assert.equal(cache.stats().entries, 1);
+
+    assert.throws(() => cache.purge({}), { status: 400 });
+    assert.throws(() => cache.purge({ olderThanMinutes: 'soon' }), { status: 400 });
+    assert.equal(cache.purge({ all: true }), 1);
+    assert.equal(cache.stats().totalSearches, 0);
+});
+
+test('search cache: whole-page rows from the old searches table are split per platform', () => {
+    const db = new Database(':memory:');
+    db.exec(`
+      CREATE TABLE searches (id INTEGER PRIMARY KEY, query TEXT, page INTEGER, page_size INTEGER,
+        results TEXT, sources TEXT, statuses TEXT, created_at DATETIME, updated_at DATETIME);
+      INSERT INTO searches (query, page, page_size, results, sources, statuses, updated_at) VALUES (
+        'Benchy', 1, 10,
+        '[{"id":"printables_https://www.printables.com/model/1-benchy","title":"Benchy","source":"printables","url":"https://www.printables.com/model/1-benchy","author":"Unknown","likes":3,"downloads":0}]',
+        '{"printables":1,"thangs":0}',
+        '{"printables":{"status":"ok","message":null},"thangs":{"status":"blocked","message":"Challenge page"}}',
+        '2024-05-01 11:00:00'
+      );
+    `);
+    const { cache } = newCache(db);
+
+    assert.deepEqual(cache.get('benchy', paging, 'printables').outcome.results, [createResult({
+        source: 'printables',
+        modelId: '1',
+        title: 'Benchy',
+        url: 'https://www.printables.com/model/1-benchy',
+        stats: { likes: 3, downloads: 0 },
+        fetchedAt: '2024-05-01T11:00:00.000Z'
+    })]);
+    assert.equal(cache.get('benchy', paging, 'printables').fetchedAt, '2024-05-01 11:00:00');
+    assert.equal(cache.get('benchy', paging, 'thangs').outcome.status, 'blocked');
+    assert.equal(db.prepare(`SELECT name FROM sqlite_master WHERE name = 'searches'`).get(), undefined);
+});
+
+test('search cache: rows from an older result schema are migrated on startup', () => {
+    const db = new Database(':memory:');
+    db.exec(`
+      CREATE TABLE provider_results (
+        query TEXT NOT NULL, page INTEGER NOT NULL, page_size INTEGER NOT NULL, source TEXT NOT NULL,
+        results TEXT NOT NULL DEFAULT '[]', status TEXT NOT NULL, message TEXT, fetched_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL, failures INTEGER NOT NULL DEFAULT 0, refresh_error TEXT,
+        PRIMARY KEY (query, page, page_size, source)
+      );
+    `);
+    const insert = db.prepare(`
+      INSERT INTO provider_results (query, page, page_size, source, results, status, fetched_at, expires_at)
+      VALUES ('benchy', 1, 10, ?, ?, 'ok', '2024-05-01 11:00:00', '2024-05-02 11:00:00')
+    `);
+    insert.run('thingiverse', JSON.stringify([{
+        id: 'thingiverse_https://www.thingiverse.com/thing:763622',
+        title: 'Benchy',
+        thumbnail: 'https://cdn.thingiverse.com/benchy.jpg',
+        author: 'CreativeTools',
+        source: 'thingiverse',
+        url: 'https://www.thingiverse.com/thing:763622',
+        likes: 0,
+        downloads: 0
+    }]));
+    // Nothing here says which model it is, so it can't be migrated
+    insert.run('printables', JSON.stringify([{ id: 'printables_x', title: 'Benchy', source: 'printables', url: 'https://www.printables.com/' }]));
+    const { cache } = newCache(db);
+
+    const [result] = cache.get('benchy', paging, 'thingiverse').outcome.results;
+    assert.equal(result.id, 'thingiverse:763622');
+    assert.deepEqual(result.thumbnails, ['https://cdn.thingiverse.com/benchy.jpg']);
+    assert.equal(result.fetchedAt, '2024-05-01T11:00:00.000Z');
+    // Thingiverse never shows downloads, so its 0 meant unknown; its likes really were 0
+    assert.equal(result.likes, 0);
+    assert.equal(result.downloads, null);
+    // A page left with nothing readable is dropped, so the next search scrapes it
+    assert.equal(cache.get('benchy', paging, 'printables'), null);
+
+    // Rows from a newer version than this code are deleted rather than misread
+    db.prepare('UPDATE provider_results SET schema_version = ?').run(RESULT_SCHEMA_VERSION + 1);
+    newCache(db);
+    assert.equal(db.prepare('SELECT COUNT(*) AS count FROM provider_results').get().count, 0);
+});
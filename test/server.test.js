@@ -0,0 +1,289 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the server's data out of the working tree
+const thumbDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-thumbs-'));
+process.env.SEARCH_CACHE_DB = ':memory:';
+process.env.THUMB_CACHE_DIR = thumbDir;
+
+const { getProvider } = require('../providers');
+const { ProviderError } = require('../providers/_errors');
+const { createResult } = require('../result-schema');
+const { app, db } = require('../server');
+
+// Stand-in searches for two platforms: each call is counted, and answers
+// with whatever the test last set (numbers for results to make, results as
+// they are, or an error to throw)
+const calls = { printables: 0, thangs: 0 };
+const answers = {};
+let release = null; // Set to hold searches until it is called
+
+['printables', 'thangs'].forEach(id => {
+    getProvider(id).search = async query => {
+        calls[id] += 1;
+        if (release) await new Promise(resolve => release.push(resolve));
+        const answer = answers[id];
+        if (answer instanceof Error) throw answer;
+        return answer.map(n => (typeof n === 'object' ? n : createResult({
+            source: id,
+            modelId: n,
+            title: `${query} ${n}`,
+            url: `https://example.com/${id}/${n}`,
+            author: 'maker',
+            thumbnails: [`https://example.com/${id}/${n}.jpg`],
+            stats: { likes: n, downloads: 0 }
+        })));
+    };
+});
+
+let server;
+let base;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(thumbDir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+    db.exec('DELETE FROM provider_results');
+    calls.printables = 0;
+    calls.thangs = 0;
+    answers.printables = [1, 2];
+    answers.thangs = [3];
+});
+
+async function search(query) {
+    const res = await fetch(`${base}/api/search?q=${encodeURIComponent(query)}&sources=printables,thangs&history=0`);
+    assert.equal(res.status, 200);
+    return res.json();
+}
+
+// Run a streaming search to the end and return its events in order
+async function stream(query, params = '') {
+    const res = await fetch(`${base}/api/search/stream?q=${encodeURIComponent(query)}&sources=printables,thangs&history=0${params}`);
+    assert.equal(res.status, 200);
+    const text = await res.text();
+    return text.trim().split('\n\n').map(block => ({
+        event: block.match(/^event: (.*)$/m)[1],
+        data: JSON.parse(block.match(/^data: (.*)$/m)[1])
+    }));
+}
+
+// Let background refreshes finish
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+test('api/search: scrapes each platform once, then answers from the cache', async () => {
+    const first = await search('benchy');
+    assert.equal(first.total, 3);
+    assert.equal(first.cached, false);
+    assert.equal(first.freshness.printables.state, 'live');
+
+    const second = await search('Benchy ');
+    assert.equal(second.cached, true);
+    assert.equal(second.query, 'Benchy ');
+    assert.equal(second.freshness.thangs.state, 'fresh');
+    assert.deepEqual(second.results.map(result => result.id).sort(), first.results.map(result => result.id).sort());
+    assert.deepEqual(calls, { printables: 1, thangs: 1 });
+});
+
+test('api/search: a failed platform is retried with backoff, not on every search', async () => {
+    answers.thangs = new ProviderError('blocked', 'Thangs showed an anti-bot challenge page');
+    const first = await search('benchy');
+    assert.equal(first.providerStatus.thangs.status, 'blocked');
+
+    answers.thangs = [3];
+    await search('benchy');
+    assert.equal(calls.thangs, 1);
+
+    // Once the retry is due, only the failed platform is scraped again
+    db.prepare(`UPDATE provider_results SET expires_at = '2000-01-01 00:00:00' WHERE source = 'thangs'`).run();
+    const retried = await search('benchy');
+    assert.equal(retried.providerStatus.thangs.status, 'ok');
+    assert.equal(retried.freshness.thangs.state, 'live');
+    assert.equal(retried.freshness.printables.state, 'fresh');
+    assert.deepEqual(calls, { printables: 1, thangs: 2 });
+});
+
+test('api/search: expired results are served while they refresh in the background', async () => {
+    await search('benchy');
+    db.prepare(`UPDATE provider_results SET expires_at = '2000-01-01 00:00:00' WHERE source = 'printables'`).run();
+    answers.printables = [1, 2, 5];
+
+    const stale = await search('benchy');
+    assert.equal(stale.freshness.printables.state, 'stale');
+    assert.equal(stale.freshness.printables.refreshing, true);
+    assert.equal(stale.total, 3);
+
+    await settle();
+    const refreshed = await search('benchy');
+    assert.equal(refreshed.freshness.printables.state, 'fresh');
+    assert.equal(refreshed.total, 4);
+    assert.deepEqual(calls, { printables: 2, thangs: 1 });
+});
+
+test('api/search: simultaneous searches share one scrape per platform', async () => {
+    release = [];
+    const searches = Promise.all([search('benchy'), search('BENCHY')]);
+    while (release.length < 2) await settle();
+    release.forEach(resolve => resolve());
+    release = null;
+
+    const [first, second] = await searches;
+    assert.equal(first.total, 3);
+    assert.equal(second.total, 3);
+    assert.deepEqual(calls, { printables: 1, thangs: 1 });
+});
+
+test('api/search/stream: a stream and a search for the same query share one scrape', async () => {
+    release = [];
+    const searches = Promise.all([stream('calipers'), search('calipers')]);
+    while (release.length < 2) await settle();
+    // Both requests are waiting on the same two scrapes
+    const health = await (await fetch(`${base}/api/health`)).json();
+    assert.equal(health.inFlightSearches, 2);
+    release.forEach(resolve => resolve());
+    release = null;
+
+    const [events, body] = await searches;
+    assert.equal(events[events.length - 1].data.total, 3);
+    assert.equal(body.total, 3);
+    assert.deepEqual(calls, { printables: 1, thangs: 1 });
+});
+
+test('api/search: results that break the schema are dropped before caching', async () => {
+    const [result] = answers.printables.map(n => createResult({ source: 'printables', modelId: n, title: 'x', url: 'https://example.com/x' }));
+    answers.printables = [2, { ...result, modelId: null, id: 'printables_https://example.com/x' }];
+    answers.thangs = [{ title: 'Benchy', source: 'thangs', url: 'https://example.com/thangs/1', author: 'Unknown' }];
+
+    const body = await search('benchy');
+    assert.equal(body.schemaVersion, 2);
+    assert.deepEqual(body.results.map(r => r.id), ['printables:2']);
+    assert.equal(body.providerStatus.printables.status, 'ok');
+    assert.equal(body.providerStatus.thangs.status, 'parse_error');
+    assert.match(body.providerStatus.thangs.message, /modelId/);
+
+    const cached = db.prepare(`SELECT results, schema_version FROM provider_results WHERE source = 'printables'`).get();
+    assert.equal(JSON.parse(cached.results).length, 1);
+    assert.equal(cached.schema_version, 2);
+});
+
+test('api/search/stream: a license filter looks up a limited number of model pages, once each', async () => {
+    db.exec('DELETE FROM model_details; DELETE FROM models');
+    const printables = getProvider('printables');
+    const { getDetails } = printables;
+    const lookedUp = [];
+    printables.getDetails = async modelId => {
+        lookedUp.push(modelId);
+        if (modelId === '1') throw new Error('Page did not load');
+        return { license: 'CC-BY-4.0', licenseText: 'Creative Commons - Attribution' };
+    };
+    answers.printables = Array.from({ length: 20 }, (_, i) => i + 1);
+    const licensedSearch = async () => {
+        const events = await stream('gridfinity', '&license=commercial');
+        return events[events.length - 1].data;
+    };
+
+    try {
+        assert.equal((await licensedSearch()).results.filter(r => r.source === 'printables').length, 11);
+        assert.equal(lookedUp.length, 12);
+
+        // The rest on the next search, without trying the failed page again
+        assert.equal((await licensedSearch()).results.filter(r => r.source === 'printables').length, 19);
+        assert.equal(lookedUp.length, 20);
+        assert.equal(new Set(lookedUp).size, 20);
+
+        // The model index keeps licenses once the cached pages are gone
+        db.exec('DELETE FROM model_details');
+        assert.equal((await licensedSearch()).results.filter(r => r.source === 'printables').length, 19);
+        assert.equal(lookedUp.length, 20);
+    } finally {
+        printables.getDetails = getDetails;
+    }
+});
+
+test('api/local-search: searches everything scraped so far without the sites', async () => {
+    db.exec('DELETE FROM models');
+    await search('voron toolhead');
+    answers.printables = new ProviderError('blocked', 'Printables showed an anti-bot challenge page');
+    answers.thangs = new ProviderError('timeout', 'Thangs timed out');
+
+    const res = await fetch(`${base}/api/local-search?q=TOOLHEAD&sources=printables,thangs&limit=1&history=0`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+
+    assert.equal(body.offline, true);
+    assert.equal(body.indexed, 3);
+    assert.equal(body.schemaVersion, 2);
+    assert.deepEqual(body.sources, { printables: 1, thangs: 1 });
+    assert.equal(body.results.find(r => r.source === 'thangs').title, 'voron toolhead 3');
+    assert.deepEqual(body.hasMore, { printables: true, thangs: false });
+    assert.equal(body.providerStatus.thangs.status, 'ok');
+    assert.deepEqual(calls, { printables: 1, thangs: 1 });
+
+    const none = await (await fetch(`${base}/api/local-search?q=benchy&sources=thangs&history=0`)).json();
+    assert.equal(none.providerStatus.thangs.status, 'empty');
+    assert.equal((await fetch(`${base}/api/local-search?q=${encodeURIComponent('**')}`)).status, 400);
+});
+
+test('api/search/stream: sends each platform as it answers, then the merged list', async () => {
+    // The same model on both platforms
+    answers.thangs = [1];
+    const events = await stream('benchy', '&view=merged');
+
+    assert.equal(events[0].event, 'start');
+    assert.deepEqual(events[0].data.sources, ['printables', 'thangs']);
+    const results = events.filter(e => e.event === 'results');
+    assert.deepEqual(results.map(e => [e.data.source, e.data.results.length]).sort(), [['printables', 2], ['thangs', 1]]);
+
+    const done = events[events.length - 1];
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.duplicatesMerged, 1);
+    assert.equal(done.data.total, 2);
+    assert.deepEqual(done.data.results.map(r => r.listings?.length || 1).sort(), [1, 2]);
+});
+
+test('api/search/stream: a failure ends the stream with an error event', async () => {
+    // A cached result with a damaged license, which the license filter can't read
+    db.prepare(`INSERT INTO provider_results (query, page, page_size, source, results, status, fetched_at, expires_at)
+        VALUES ('benchy', 1, 10, 'printables', ?, 'ok', datetime('now'), datetime('now', '+1 day'))`)
+        .run(JSON.stringify([{ id: 'printables_1', modelId: '1', source: 'printables', title: 'benchy', license: 5 }]));
+
+    const events = await stream('benchy', '&license=commercial');
+
+    assert.deepEqual(events[events.length - 1], { event: 'error', data: { error: 'Search failed' } });
+    assert.equal(events.some(e => e.event === 'done'), false);
+});
+
+test('api/search: rejects a blank query or an unknown source', async () => {
+    assert.equal((await fetch(`${base}/api/search?q=%20%20`)).status, 400);
+    assert.equal((await fetch(`${base}/api/search?q=benchy&sources=nowhere`)).status, 400);
+});
+
+test('api/search/stream: rejects a blank query or an unknown source', async () => {
+    assert.equal((await fetch(`${base}/api/search/stream`)).status, 400);
+    assert.equal((await fetch(`${base}/api/search/stream?q=benchy&sources=nowhere`)).status, 400);
+});
+
+test('api/health/providers: records each scrape', async () => {
+    await search('benchy');
+
+    const { providers } = await (await fetch(`${base}/api/health/providers`)).json();
+    const printables = providers.find(provider => provider.id === 'printables');
+    assert.equal(printables.status, 'ok');
+    assert.equal(printables.lastRun.resultCount, 2);
+
+    const res = await fetch(`${base}/api/health/providers/thangs?limit=1`);
+    assert.equal((await res.json()).runs.length, 1);
+    assert.equal((await fetch(`${base}/api/health/providers/nowhere`)).status, 404);
+});
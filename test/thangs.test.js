@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateFixture } = require('./fixture-dom');
+const { parseStats } = require('../providers/_counts');
+const thangs = require('../providers/thangs');
+
+test('thangs: extracts result cards from a search page', () => {
+    const items = evaluateFixture('thangs-search.html', thangs.extractResults);
+
+    assert.deepEqual(items[0], {
+        title: 'Gridfinity Bin 2x3',
+        link: 'https://thangs.com/designer/GridfinityFan/3d-model/Gridfinity%20Bin%202x3-112233',
+        thumbnail: 'https://storage.googleapis.com/thangs-thumbnails/112233.png',
+        author: 'GridfinityFan',
+        stats: { likes: '1,024', downloads: '5.3K' }
+    });
+    assert.deepEqual(parseStats(items[0].stats), { likes: 1024, downloads: 5300, makes: null, comments: null, views: null, collections: null });
+    assert.equal(items[1].author, 'Unknown');
+    assert.equal(parseStats(items[1].stats).downloads, 1500000);
+});
+
+test('thangs: skips sponsored cards and repeated models', () => {
+    const items = evaluateFixture('thangs-search.html', thangs.extractResults);
+    const links = items.map(item => item.link);
+
+    assert.equal(items.length, 12);
+    assert.equal(new Set(links).size, links.length);
+});
+
+test('thangs: stops at maxItems', () => {
+    const items = evaluateFixture('thangs-search.html', thangs.extractResults, 5);
+
+    assert.equal(items.length, 5);
+});
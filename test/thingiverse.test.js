@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateFixture } = require('./fixture-dom');
+const { parseStats } = require('../providers/_counts');
+const thingiverse = require('../providers/thingiverse');
+
+test('thingiverse: extracts thing cards from a search page', () => {
+    const items = evaluateFixture('thingiverse-search.html', thingiverse.extractResults);
+
+    assert.deepEqual(items[0], {
+        title: 'Benchy Pirate Ship',
+        link: 'https://www.thingiverse.com/thing:4551234',
+        thumbnail: 'https://cdn.thingiverse.com/assets/aa/bb/benchy-pirate.jpg',
+        author: 'CaptainPrints',
+        stats: { likes: '1.2k' }
+    });
+    assert.deepEqual(parseStats(items[0].stats), { likes: 1200, downloads: null, makes: null, comments: null, views: null, collections: null });
+    assert.equal(items[1].link, 'https://www.thingiverse.com/thing:1278865');
+    assert.equal(parseStats(items[1].stats).likes, 842);
+});
+
+test('thingiverse: reads stats by their labels, not numbers in the title', () => {
+    const items = evaluateFixture('thingiverse-search-labeled.html', thingiverse.extractResults);
+
+    assert.deepEqual(parseStats(items[0].stats), { likes: 1200, downloads: null, makes: null, comments: 34, views: null, collections: 2100 });
+
+    assert.equal(items[1].title, '20mm Calibration Cube');
+    assert.deepEqual(parseStats(items[1].stats), { likes: 842, downloads: null, makes: null, comments: 1045, views: null, collections: null });
+});
+
+test('thingiverse: falls back for lazy images and missing authors', () => {
+    const items = evaluateFixture('thingiverse-search.html', thingiverse.extractResults);
+
+    assert.equal(items[2].thumbnail, 'https://cdn.thingiverse.com/assets/ee/ff/benchy-tug.jpg');
+    assert.equal(items[2].author, 'Unknown');
+});
+
+test('thingiverse: skips promoted cards', () => {
+    const items = evaluateFixture('thingiverse-search.html', thingiverse.extractResults);
+
+    assert.equal(items.length, 12);
+    assert.ok(items.every(item => item.link.includes('/thing:')));
+});
+
+test('thingiverse: stops at maxItems', () => {
+    const items = evaluateFixture('thingiverse-search.html', thingiverse.extractResults, 5);
+
+    assert.equal(items.length, 5);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { thumbWidth, createThumbnailCache } = require('../thumbnails');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbs-'));
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// A plain PNG of the given size, standing in for a site's thumbnail
+function pngImage(width, height) {
+    return sharp({ create: { width, height, channels: 3, background: '#3366cc' } }).png().toBuffer();
+}
+
+// A cache in a fresh temporary directory whose fetches are counted
+function newCache(options = {}) {
+    const dir = fs.mkdtempSync(path.join(root, 'cache-'));
+    const fetched = [];
+    const fetch = options.fetch || (async url => {
+        fetched.push(url);
+        return pngImage(1200, 600);
+    });
+    return { dir, fetched, cache: createThumbnailCache({ dir, fetch, ...options }) };
+}
+
+test('thumbWidth: rounds up to a served width', () => {
+    assert.equal(thumbWidth(undefined), 400);
+    assert.equal(thumbWidth('150'), 200);
+    assert.equal(thumbWidth(401), 800);
+    assert.equal(thumbWidth(5000), 800);
+});
+
+test('thumbnails: resizes once and serves later requests from disk', async () => {
+    const { cache, dir, fetched } = newCache();
+    const url = 'https://cdn.example.com/model.png';
+
+    const first = await cache.getThumbnail(url, { width: 200 });
+    const { width, height, format } = await sharp(first.image).metadata();
+    assert.deepEqual([width, height, format], [200, 100, 'webp']);
+    assert.equal(first.cached, false);
+
+    const second = await cache.getThumbnail(url, { width: 200 });
+    assert.equal(second.cached, true);
+    assert.deepEqual(second.image, first.image);
+    assert.equal(fetched.length, 1);
+
+    // A restarted server finds the file again
+    const restarted = createThumbnailCache({ dir, fetch: async () => assert.fail('fetched again') });
+    assert.equal((await restarted.getThumbnail(url, { width: 200 })).cached, true);
+});
+
+test('thumbnails: simultaneous requests share one fetch', async () => {
+    const { cache, fetched } = newCache();
+    const url = 'https://cdn.example.com/model.png';
+
+    await Promise.all([cache.getThumbnail(url), cache.getThumbnail(url), cache.getThumbnail(url)]);
+    assert.equal(fetched.length, 1);
+});
+
+test('thumbnails: deletes the least recently served files past the size cap', async () => {
+    const { cache: sizing } = newCache();
+    const { image } = await sizing.getThumbnail('https://cdn.example.com/size.png', { width: 200 });
+    const { cache, fetched } = newCache({ maxBytes: image.length * 2 });
+
+    await cache.getThumbnail('https://cdn.example.com/a.png', { width: 200 });
+    await cache.getThumbnail('https://cdn.example.com/b.png', { width: 200 });
+    await cache.getThumbnail('https://cdn.example.com/a.png', { width: 200 });
+    await cache.getThumbnail('https://cdn.example.com/c.png', { width: 200 });
+    assert.equal(cache.stats().files, 2);
+    assert.equal(cache.stats().evictions, 1);
+
+    // b was served least recently, so it went
+    await cache.getThumbnail('https://cdn.example.com/a.png', { width: 200 });
+    await cache.getThumbnail('https://cdn.example.com/b.png', { width: 200 });
+    assert.deepEqual(fetched.map(url => url.slice(-5)), ['a.png', 'b.png', 'c.png', 'b.png']);
+});
+
+test('thumbnails: broken images fail with 502 and are not fetched again at once', async () => {
+    let attempts = 0;
+    const { cache } = newCache({
+        fetch: async () => {
+            attempts += 1;
+            return Buffer.from('<html>Hotlinking not allowed</html>');
+        }
+    });
+
+    await assert.rejects(cache.getThumbnail('https://cdn.example.com/broken.png'), { status: 502 });
+    await assert.rejects(cache.getThumbnail('https://cdn.example.com/broken.png'), { status: 502 });
+    assert.equal(attempts, 1);
+});
+
+test('thumbnails: refuses URLs that are not remote images', async () => {
+    const { cache, fetched } = newCache();
+
+    await assert.rejects(cache.getThumbnail('not a url'), { status: 400 });
+    await assert.rejects(cache.getThumbnail('file:///etc/passwd'), { status: 400 });
+    await assert.rejects(cache.getThumbnail('http://192.168.1.1/admin.png'), { status: 400 });
+    await assert.rejects(cache.getThumbnail('http://169.254.169.254/latest/meta-data/'), { status: 400 });
+    await assert.rejects(cache.getThumbnail('http://[::ffff:127.0.0.1]/'), { status: 400 });
+    assert.equal(fetched.length, 0);
+});
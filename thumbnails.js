@@ -0,0 +1,233 @@
+// thumbnails.js - Thumbnail proxy with a size-capped disk cache
+//
+// Cards used to load thumbnails straight from each site's CDN, where some
+// block hotlinking and some URLs expire. Instead each image is fetched once,
+// resized to the width asked for and kept on disk as WebP. When the cache
+// grows past its size cap, the least recently served files are deleted.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const sharp = require('sharp');
+const { isLocalUrl, publicLookup } = require('./local-network');
+
+const THUMB_DIR = path.join(__dirname, 'thumb_cache');
+const THUMB_WIDTHS = [200, 400, 800]; // Widths served; others are rounded up to one of these
+const DEFAULT_WIDTH = 400; // Cards are about 200px wide, so this is sharp on high-DPI screens
+const MAX_CACHE_BYTES = 200 * 1024 * 1024;
+const WEBP_QUALITY = 80;
+
+const FETCH_TIMEOUT_MS = 8000;
+const MAX_IMAGE_BYTES = 15 * 1024 * 1024; // Larger originals are refused rather than resized
+const MAX_REDIRECTS = 3;
+const FETCH_CONCURRENCY = 6; // Images fetched and resized at once
+const FAILURE_RETRY_MS = 10 * 60 * 1000; // A URL that failed isn't fetched again for this long
+const MAX_REMEMBERED_FAILURES = 1000;
+
+class ThumbnailError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ThumbnailError';
+        // HTTP status for the API to answer with
+        this.status = status;
+    }
+}
+
+// The smallest served width at least as wide as asked for
+function thumbWidth(width) {
+    const value = parseInt(width, 10);
+    if (!(value > 0)) return DEFAULT_WIDTH;
+    return THUMB_WIDTHS.find(served => served >= value) || THUMB_WIDTHS[THUMB_WIDTHS.length - 1];
+}
+
+// Whether a URL may be fetched by the proxy: http(s) and not naming this
+// machine or the local network. Hostnames are checked again as they resolve.
+function isProxiableUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+    return (parsed.protocol === 'http:' || parsed.protocol === 'https:') && !isLocalUrl(url);
+}
+
+// Download an image the way a visitor to its site would. Some CDNs refuse
+// requests without a Referer from their own site. Redirects are followed here
+// rather than by axios so that every hop is checked.
+async function fetchImage(url) {
+    let response;
+    for (let hop = url, redirects = 0; ; redirects += 1) {
+        if (!isProxiableUrl(hop)) {
+            throw new Error('Will not fetch from this machine or the local network');
+        }
+        response = await axios.get(hop, {
+            responseType: 'arraybuffer',
+            timeout: FETCH_TIMEOUT_MS,
+            maxContentLength: MAX_IMAGE_BYTES,
+            maxRedirects: 0,
+            lookup: publicLookup,
+            validateStatus: status => status >= 200 && status < 400,
+            headers: {
+                Accept: 'image/avif,image/webp,image/*,*/*;q=0.8',
+                Referer: `${new URL(hop).origin}/`,
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+            }
+        });
+        if (response.status < 300) break;
+        if (!response.headers.location || redirects >= MAX_REDIRECTS) {
+            throw new Error(`Too many redirects or no redirect target (${response.status})`);
+        }
+        hop = new URL(response.headers.location, hop).href;
+    }
+    const type = String(response.headers['content-type'] || '');
+    if (type && !type.startsWith('image/')) {
+        throw new Error(`Not an image (${type})`);
+    }
+    return Buffer.from(response.data);
+}
+
+async function resizeImage(buffer, width) {
+    return sharp(buffer)
+        .rotate()
+        .resize({ width, height: width, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: WEBP_QUALITY })
+        .toBuffer();
+}
+
+// Thumbnail cache in dir. fetchImage(url) returns the original image as a
+// Buffer and can be replaced in tests.
+function createThumbnailCache({ dir = THUMB_DIR, maxBytes = MAX_CACHE_BYTES, fetch = fetchImage } = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    // File name -> size, least recently served first. Rebuilt from the
+    // files' modification times, which are bumped whenever a file is served.
+    const files = new Map();
+    let totalBytes = 0;
+    fs.readdirSync(dir)
+        .filter(name => name.endsWith('.webp'))
+        .map(name => ({ name, stat: fs.statSync(path.join(dir, name)) }))
+        .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs)
+        .forEach(({ name, stat }) => {
+            files.set(name, stat.size);
+            totalBytes += stat.size;
+        });
+
+    const inFlight = new Map(); // File name -> promise of the image being made
+    const failures = new Map(); // URL -> { time, message }, oldest first
+    const waiting = []; // Fetches waiting for one of the FETCH_CONCURRENCY slots
+    let active = 0;
+    const counts = { hits: 0, misses: 0, failures: 0, evictions: 0 };
+
+    async function withFetchSlot(task) {
+        if (active >= FETCH_CONCURRENCY) {
+            await new Promise(resolve => waiting.push(resolve));
+        }
+        active += 1;
+        try {
+            return await task();
+        } finally {
+            active -= 1;
+            if (waiting.length > 0) waiting.shift()();
+        }
+    }
+
+    function markUsed(name) {
+        const size = files.get(name);
+        files.delete(name);
+        files.set(name, size);
+        const time = new Date();
+        fs.promises.utimes(path.join(dir, name), time, time).catch(() => {});
+    }
+
+    function evict() {
+        for (const [name, size] of files) {
+            if (totalBytes <= maxBytes) break;
+            files.delete(name);
+            totalBytes -= size;
+            counts.evictions += 1;
+            fs.promises.unlink(path.join(dir, name)).catch(() => {});
+        }
+    }
+
+    function rememberFailure(url, message) {
+        failures.delete(url);
+        failures.set(url, { time: Date.now(), message });
+        if (failures.size > MAX_REMEMBERED_FAILURES) {
+            failures.delete(failures.keys().next().value);
+        }
+    }
+
+    async function makeThumbnail(url, width, name) {
+        let image;
+        try {
+            image = await withFetchSlot(async () => resizeImage(await fetch(url), width));
+        } catch (error) {
+            counts.failures += 1;
+            rememberFailure(url, error.message);
+            console.log(`Thumbnails: Could not load ${url}: ${error.message}`);
+            throw new ThumbnailError(502, `Could not load image: ${error.message}`);
+        }
+
+        await fs.promises.writeFile(path.join(dir, name), image);
+        if (!files.has(name)) totalBytes += image.length;
+        files.delete(name);
+        files.set(name, image.length);
+        evict();
+        return image;
+    }
+
+    return {
+        // The thumbnail for an image URL as WebP, fetching and resizing it on
+        // first use. Throws a ThumbnailError for URLs that can't be proxied or
+        // images that can't be loaded.
+        async getThumbnail(url, { width } = {}) {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch {
+                throw new ThumbnailError(400, 'url must be an image URL');
+            }
+            if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+                throw new ThumbnailError(400, 'url must be an http or https URL');
+            }
+            if (isLocalUrl(url)) {
+                throw new ThumbnailError(400, 'Images on this machine or the local network are not proxied');
+            }
+
+            const size = thumbWidth(width);
+            const name = `${crypto.createHash('sha1').update(`${size} ${url}`).digest('hex')}.webp`;
+
+            if (files.has(name)) {
+                try {
+                    const image = await fs.promises.readFile(path.join(dir, name));
+                    markUsed(name);
+                    counts.hits += 1;
+                    return { image, name, cached: true };
+                } catch {
+                    // Deleted behind our back; fetch it again
+                    totalBytes -= files.get(name);
+                    files.delete(name);
+                }
+            }
+
+            const failure = failures.get(url);
+            if (failure && Date.now() - failure.time < FAILURE_RETRY_MS) {
+                throw new ThumbnailError(502, `Could not load image: ${failure.message}`);
+            }
+
+            if (!inFlight.has(name)) {
+                counts.misses += 1;
+                inFlight.set(name, makeThumbnail(url, size, name).finally(() => inFlight.delete(name)));
+            }
+            return { image: await inFlight.get(name), name, cached: false };
+        },
+
+        stats() {
+            return { files: files.size, bytes: totalBytes, maxBytes, ...counts };
+        }
+    };
+}
+
+module.exports = { THUMB_WIDTHS, ThumbnailError, thumbWidth, createThumbnailCache };